@@ -0,0 +1,420 @@
+// Tab actions applied to the duplicates a rule finds, and how to undo each of them
+// Every action records enough about the tabs beforehand to reverse it later
+
+import { DEFAULT_ACTION_TARGET, selectTabsToRestore } from './utils.js';
+
+// Reason: chrome.tabGroups.TAB_GROUP_ID_NONE is -1
+const NO_GROUP = -1;
+
+/**
+ * Read the details needed to undo an action, skipping tabs that no longer exist
+ * Reason: Group IDs die with the group, so its title and color are kept to recreate it
+ * @param {Array} tabIds - Array of tab IDs
+ * @returns {Promise<Array>} Tab records { id, url, title, favIconUrl, windowId, index, pinned,
+ *   muted, groupId, groupTitle, groupColor, openerTabId }
+ */
+async function captureTabs(tabIds) {
+  const records = [];
+  for (const tabId of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      const group = tab.groupId === NO_GROUP ? null : await chrome.tabGroups.get(tab.groupId);
+      records.push({
+        id: tab.id,
+        url: tab.url,
+        title: tab.title,
+        favIconUrl: tab.favIconUrl,
+        windowId: tab.windowId,
+        index: tab.index,
+        pinned: tab.pinned,
+        muted: tab.mutedInfo?.muted ?? false,
+        groupId: tab.groupId,
+        groupTitle: group?.title ?? '',
+        groupColor: group?.color,
+        openerTabId: tab.openerTabId,
+      });
+    } catch {
+      // Reason: Tab might not exist, skip it
+      continue;
+    }
+  }
+  return records;
+}
+
+/**
+ * Note on each closed tab record how many tabs with its URL stay open after the action
+ * Reason: Undo compares this with the tabs open then, so the kept duplicate of a closed tab does
+ * not count as the tab having been reopened
+ * @param {Array} records - Tab records about to be closed, modified in place
+ */
+async function countKeptCopies(records) {
+  const closing = new Set(records.map(record => record.id));
+  const openTabs = await chrome.tabs.query({});
+  const counts = new Map();
+  openTabs.filter(tab => !closing.has(tab.id)).forEach(tab => counts.set(tab.url, (counts.get(tab.url) ?? 0) + 1));
+  records.forEach((record) => {
+    record.keptCopies = counts.get(record.url) ?? 0;
+  });
+}
+
+/**
+ * Group tab records by the window they are in
+ * @param {Array} records - Tab records
+ * @returns {Map<number, Array>} Window ID to records
+ */
+function groupByWindow(records) {
+  const byWindow = new Map();
+  for (const record of records) {
+    if (!byWindow.has(record.windowId)) {
+      byWindow.set(record.windowId, []);
+    }
+    byWindow.get(record.windowId).push(record);
+  }
+  return byWindow;
+}
+
+/**
+ * Collect tabs into a tab group with the given title, one group per window
+ * Reason: Tab groups cannot span windows, so each window gets (or reuses) its own group
+ * @param {Array} records - Tab records
+ * @param {string} title - Tab group title
+ */
+async function groupTabs(records, title) {
+  for (const [windowId, windowRecords] of groupByWindow(records)) {
+    const tabIds = windowRecords.map(record => record.id);
+    const [existingGroup] = await chrome.tabGroups.query({ windowId, title });
+
+    if (existingGroup) {
+      await chrome.tabs.group({ tabIds, groupId: existingGroup.id });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      await chrome.tabGroups.update(groupId, { title, collapsed: true });
+    }
+  }
+}
+
+/**
+ * Find the dedicated "Duplicates" window, creating it if needed
+ * @param {number} firstTabId - Tab to seed a new window with
+ * @returns {Promise<{windowId: number, created: boolean}>}
+ */
+async function getDuplicatesWindow(firstTabId) {
+  const { duplicatesWindowId } = await chrome.storage.session.get(['duplicatesWindowId']);
+  if (duplicatesWindowId !== undefined) {
+    try {
+      await chrome.windows.get(duplicatesWindowId);
+      return { windowId: duplicatesWindowId, created: false };
+    } catch {
+      // Reason: The window was closed since, create a new one
+    }
+  }
+
+  const newWindow = await chrome.windows.create({ tabId: firstTabId, focused: false });
+  await chrome.storage.session.set({ duplicatesWindowId: newWindow.id });
+  return { windowId: newWindow.id, created: true };
+}
+
+/**
+ * Move tabs into the dedicated "Duplicates" window
+ * @param {Array} records - Tab records
+ */
+async function moveTabs(records) {
+  const tabIds = records.map(record => record.id);
+  const { windowId, created } = await getDuplicatesWindow(tabIds[0]);
+  // Reason: A new window was created from the first tab, so it is already there
+  const remaining = created ? tabIds.slice(1) : tabIds;
+  if (remaining.length > 0) {
+    await chrome.tabs.move(remaining, { windowId, index: -1 });
+  }
+}
+
+/**
+ * Find a bookmark folder by title directly under "Other bookmarks", creating it if needed
+ * Reason: Folders with the same title deeper in the tree belong to the user, not to this extension
+ * @param {string} title - Folder title
+ * @returns {Promise<string>} Folder ID
+ */
+async function getBookmarkFolder(title) {
+  const [root] = await chrome.bookmarks.getTree();
+  // Reason: folderType is only set by newer Chrome versions; "Other bookmarks" is otherwise the second root folder
+  const otherBookmarks = root.children.find(node => node.folderType === 'other') ?? root.children[1];
+  const children = await chrome.bookmarks.getChildren(otherBookmarks.id);
+  const folder = children.find(node => !node.url && node.title === title);
+  if (folder) {
+    return folder.id;
+  }
+  const created = await chrome.bookmarks.create({ parentId: otherBookmarks.id, title });
+  return created.id;
+}
+
+/**
+ * Bookmark tabs into a folder, remembering each bookmark ID for undo
+ * @param {Array} records - Tab records, modified in place
+ * @param {string} folderTitle - Bookmark folder title
+ */
+async function bookmarkTabs(records, folderTitle) {
+  const parentId = await getBookmarkFolder(folderTitle);
+  for (const record of records) {
+    const bookmark = await chrome.bookmarks.create({ parentId, title: record.title, url: record.url });
+    record.bookmarkId = bookmark.id;
+  }
+}
+
+/**
+ * Apply an action to tabs and return what is needed to undo it
+ * @param {Array} tabIds - Array of tab IDs
+ * @param {string} action - One of the ACTIONS keys
+ * @param {string} [target] - Tab group title or bookmark folder title
+ * @returns {Promise<Array>} Tab records captured before the action, each with its action
+ */
+export async function performAction(tabIds, action, target = DEFAULT_ACTION_TARGET) {
+  // Reason: Each record carries its action, so one undo event can mix tabs from several rules.
+  // Pinned tabs cannot be grouped, so they are left alone rather than failing the whole action
+  let records = (await captureTabs(tabIds))
+    .filter(record => action !== 'group' || !record.pinned)
+    .map(record => ({ ...record, action }));
+  if (records.length === 0) {
+    return records;
+  }
+  const ids = records.map(record => record.id);
+
+  if (action === 'discard') {
+    const discarded = new Set();
+    for (const tabId of ids) {
+      try {
+        await chrome.tabs.discard(tabId);
+        discarded.add(tabId);
+      } catch {
+        // Reason: The active tab and some special pages cannot be discarded, skip them and
+        // leave them out of the records, so undo does not reload tabs it never discarded
+        continue;
+      }
+    }
+    records = records.filter(record => discarded.has(record.id));
+  } else if (action === 'group') {
+    await groupTabs(records, target);
+  } else if (action === 'move') {
+    await moveTabs(records);
+  } else if (action === 'bookmark') {
+    await countKeptCopies(records);
+    await bookmarkTabs(records, target);
+    await chrome.tabs.remove(ids);
+  } else {
+    await countKeptCopies(records);
+    await chrome.tabs.remove(ids);
+  }
+
+  return records;
+}
+
+/**
+ * Put tabs back where they were before a group or move action
+ * Reason: Sorting by index restores the original order without indexes shifting under us
+ * @param {Array} records - Tab records
+ * @returns {Promise<Array>} Records of the tabs put back
+ */
+async function putTabsBack(records) {
+  const sorted = [...records].sort((a, b) => a.index - b.index);
+  const groupIds = new Map();
+  const restored = [];
+  for (const record of sorted) {
+    try {
+      if (record.groupId === NO_GROUP) {
+        await chrome.tabs.ungroup(record.id);
+      } else {
+        await restoreGroup(record.id, record, record.windowId, groupIds);
+      }
+      await chrome.tabs.move(record.id, { windowId: record.windowId, index: record.index });
+      restored.push(record);
+    } catch {
+      // Reason: The tab or its window may be gone, leave the tab where it is
+      continue;
+    }
+  }
+  return restored;
+}
+
+/**
+ * Find the window a closed tab belonged to, recreating it if it is gone
+ * @param {Object} record - Closed tab record
+ * @param {Map<number, number>} windowIds - Recorded window ID to current window ID, updated in place
+ * @returns {Promise<{windowId: number, tabId?: number}>} tabId is set when the tab seeded a new window
+ */
+async function resolveWindow(record, windowIds) {
+  // Reason: Records migrated from before the undo history have no window, use the focused one
+  if (record.windowId === undefined || record.windowId === null) {
+    const focused = await chrome.windows.getLastFocused();
+    return { windowId: focused.id };
+  }
+
+  if (windowIds.has(record.windowId)) {
+    return { windowId: windowIds.get(record.windowId) };
+  }
+
+  try {
+    await chrome.windows.get(record.windowId);
+    windowIds.set(record.windowId, record.windowId);
+    return { windowId: record.windowId };
+  } catch {
+    // Reason: The window was closed since, recreate it with this tab as its first tab
+    const newWindow = await chrome.windows.create({ url: record.url, focused: false });
+    windowIds.set(record.windowId, newWindow.id);
+    return { windowId: newWindow.id, tabId: newWindow.tabs[0].id };
+  }
+}
+
+/**
+ * Reopen a closed tab from the browser's recently closed list, keeping its back/forward history
+ * @param {Object} record - Closed tab record
+ * @param {Set<string>} usedSessionIds - Session IDs already restored, updated in place
+ * @returns {Promise<number|null>} ID of the restored tab, or null if it was not in the list
+ */
+async function restoreFromSession(record, usedSessionIds) {
+  if (!chrome.sessions) {
+    return null;
+  }
+
+  const sessions = await chrome.sessions.getRecentlyClosed();
+  const session = sessions.find(entry =>
+    entry.tab && entry.tab.url === record.url && !usedSessionIds.has(entry.tab.sessionId)
+  );
+  if (!session) {
+    return null;
+  }
+
+  usedSessionIds.add(session.tab.sessionId);
+  try {
+    const restored = await chrome.sessions.restore(session.tab.sessionId);
+    return restored.tab?.id ?? null;
+  } catch {
+    // Reason: The entry can expire between listing and restoring, fall back to a plain tab
+    return null;
+  }
+}
+
+/**
+ * Put a tab back into its recorded tab group, recreating the group if it is gone
+ * @param {number} tabId - Reopened or moved tab ID
+ * @param {Object} record - Closed tab record
+ * @param {number} windowId - Window the tab is in now
+ * @param {Map<number, number>} groupIds - Recorded group ID to current group ID, updated in place
+ */
+async function restoreGroup(tabId, record, windowId, groupIds) {
+  if (record.groupId === NO_GROUP || record.groupId === undefined) {
+    return;
+  }
+
+  if (groupIds.has(record.groupId)) {
+    await chrome.tabs.group({ tabIds: tabId, groupId: groupIds.get(record.groupId) });
+    return;
+  }
+
+  let groupId = null;
+  try {
+    const group = await chrome.tabGroups.get(record.groupId);
+    groupId = group.windowId === windowId ? group.id : null;
+  } catch {
+    // Reason: The group closed with its last tab, recreate it below
+  }
+
+  if (groupId === null) {
+    groupId = await chrome.tabs.group({ tabIds: tabId, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, { title: record.groupTitle, color: record.groupColor });
+  } else {
+    await chrome.tabs.group({ tabIds: tabId, groupId });
+  }
+  groupIds.set(record.groupId, groupId);
+}
+
+/**
+ * Reopen closed tabs in their original window, position, group, pinned and muted state
+ * Reason: chrome.sessions is tried first so back/forward history survives; a plain new tab
+ * is the fallback when the tab has dropped off the recently closed list
+ * @param {Array} records - Closed tab records
+ * @returns {Promise<Array>} Records of the tabs reopened
+ */
+async function reopenTabs(records) {
+  const openTabs = await chrome.tabs.query({});
+  const toRestore = selectTabsToRestore(records, openTabs.map(tab => tab.url));
+
+  const windowIds = new Map();
+  const groupIds = new Map();
+  const tabIds = new Map();
+  const usedSessionIds = new Set();
+
+  for (const record of toRestore) {
+    try {
+      const { windowId, tabId: seededTabId } = await resolveWindow(record, windowIds);
+      let tabId = seededTabId ?? await restoreFromSession(record, usedSessionIds);
+      if (tabId === null) {
+        const tab = await chrome.tabs.create({ url: record.url, windowId, index: record.index, active: false });
+        tabId = tab.id;
+      }
+      tabIds.set(record.id, tabId);
+
+      // Reason: A session restore may land in another window or slot, so pin the position down;
+      // records without a position (from before the undo history) go at the end of the window
+      await chrome.tabs.update(tabId, { pinned: record.pinned ?? false, muted: record.muted ?? false });
+      await chrome.tabs.move(tabId, { windowId, index: record.index ?? -1 });
+      await restoreGroup(tabId, record, windowId, groupIds);
+    } catch (error) {
+      console.error('[Restore] Could not restore tab:', record.url, error);
+    }
+  }
+
+  // Reason: Openers are set last, since an opener may itself be one of the reopened tabs
+  for (const record of toRestore) {
+    if (record.openerTabId === undefined || !tabIds.has(record.id)) {
+      continue;
+    }
+    const openerTabId = tabIds.get(record.openerTabId) ?? record.openerTabId;
+    try {
+      await chrome.tabs.update(tabIds.get(record.id), { openerTabId });
+    } catch {
+      // Reason: The opener was closed and not reopened, leave the tab without one
+      continue;
+    }
+  }
+  return toRestore.filter(record => tabIds.has(record.id));
+}
+
+/**
+ * Reverse an action using the records performAction returned
+ * @param {string} action - One of the ACTIONS keys
+ * @param {Array} records - Tab records
+ * @returns {Promise<Array>} Records of the tabs restored; the others could not be undone
+ */
+export async function undoAction(action, records) {
+  if (action === 'discard') {
+    const restored = [];
+    for (const record of records) {
+      try {
+        await chrome.tabs.reload(record.id);
+        restored.push(record);
+      } catch {
+        // Reason: Tab might have been closed since, skip it
+        continue;
+      }
+    }
+    return restored;
+  }
+
+  if (action === 'group' || action === 'move') {
+    return putTabsBack(records);
+  }
+
+  const restored = await reopenTabs(records);
+
+  // Reason: Tabs that were not reopened stay in the history, and so do their bookmarks
+  if (action === 'bookmark') {
+    for (const record of restored) {
+      try {
+        await chrome.bookmarks.remove(record.bookmarkId);
+      } catch {
+        // Reason: The user may have deleted the bookmark already
+        continue;
+      }
+    }
+  }
+  return restored;
+}
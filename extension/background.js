@@ -1,257 +1,367 @@
 // Service worker for close-duplicate-tabs extension
 // Handles keyboard shortcuts and tab management
 
+import {
+  buildPlanGroups,
+  applySafeguards,
+  isRuleEnabled,
+  filterTabsInScope,
+  MATCH_MODES,
+  DEFAULT_SCOPE,
+} from './utils.js';
+import {
+  findTabsToCloseForRule,
+  findRuleGroups,
+  getPredefinedRule,
+  getRuleAction,
+  getRuleTabNeeds,
+} from './rule-engine.js';
+import { performAction, undoAction } from './actions.js';
+import { loadSettings, getMatchOptions } from './settings.js';
+import { migrateStorage } from './migrations.js';
+import { loadRules, refreshRules } from './rule-store.js';
+import { createMessageRouter } from './messages.js';
+import { recordTabCreated, forgetTabCreated, addCreationTimes } from './tab-times.js';
+import {
+  createHistoryEvent,
+  pushHistoryEvent,
+  removeHistoryEvent,
+  takeTabsFromHistory,
+  returnToHistory,
+  groupTabsByAction,
+  getSharedAction,
+  updateHistory,
+} from './history.js';
+
 /**
- * Extract base URL by removing query parameters and fragments
- * @param {string} url - The full URL
- * @returns {string} Base URL without params and fragments
+ * Get the tabs in a scope and the active tab of every window
+ * @param {string} [scope] - One of the SCOPES keys
+ * @param {string} [groupTitle] - Tab group title for the "tab-group" scope
+ * @returns {Promise<{tabs: Array, activeTabIds: Array<number>}>}
  */
-function getBaseUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    // Reason: Remove everything after ? and # to get the base URL
-    return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
-  } catch {
-    // Invalid URLs should not crash the function
-    return url;
+async function getTabsInScope(scope = DEFAULT_SCOPE, groupTitle = '') {
+  let tabs;
+  if (scope === 'all-windows') {
+    tabs = await chrome.tabs.query({ windowType: 'normal' });
+  } else if (scope === 'tab-group') {
+    // Reason: Group IDs change across restarts, so groups are looked up by title
+    const groups = await chrome.tabGroups.query({ title: groupTitle });
+    const groupTabs = await Promise.all(groups.map(group => chrome.tabs.query({ groupId: group.id })));
+    tabs = groupTabs.flat();
+  } else {
+    tabs = await chrome.tabs.query({ currentWindow: true });
   }
+
+  // Reason: Protect the active tab of each window, not only the focused one
+  const activeTabs = await chrome.tabs.query({ active: true, windowType: 'normal' });
+
+  return {
+    tabs,
+    activeTabIds: activeTabs.map(tab => tab.id),
+  };
 }
 
 /**
- * Group tabs by their base URL
- * @param {Array} tabs - Array of tab objects with id, url properties
- * @returns {Object} Object with base URLs as keys and arrays of tabs as values
+ * Attach page state (history length, unsaved input) reported by the page-state content script
+ * Reason: Messaging every tab is slow, so callers only ask when a keep strategy or safeguard needs it
+ * @param {Array} tabs - Array of tab objects, modified in place
  */
-function groupTabsByBaseUrl(tabs) {
-  return tabs.reduce((groups, tab) => {
-    const baseUrl = getBaseUrl(tab.url);
-    if (!groups[baseUrl]) {
-      groups[baseUrl] = [];
+async function addPageStates(tabs) {
+  await Promise.all(tabs.map(async (tab) => {
+    try {
+      const state = await chrome.tabs.sendMessage(tab.id, { action: 'getPageState' });
+      tab.historyLength = state?.historyLength ?? 0;
+      tab.hasUnsavedInput = state?.hasUnsavedInput ?? false;
+    } catch {
+      // Reason: Tabs opened before the extension loaded have no content script
+      tab.historyLength = 0;
+      tab.hasUnsavedInput = false;
     }
-    groups[baseUrl].push(tab);
-    return groups;
-  }, {});
+  }));
 }
 
 /**
- * Filter out special URLs that shouldn't be closed
- * @param {Array} tabs - Array of tab objects
- * @returns {Array} Filtered array of regular tabs
+ * Attach the title of each tab's group, for group title conditions
+ * @param {Array} tabs - Array of tab objects, modified in place
  */
-function filterSpecialUrls(tabs) {
-  const specialPrefixes = ['chrome://', 'about:', 'chrome-extension://', 'edge://'];
-  return tabs.filter(tab => {
-    return !specialPrefixes.some(prefix => tab.url.startsWith(prefix));
+async function addGroupTitles(tabs) {
+  const groups = await chrome.tabGroups.query({});
+  const titles = new Map(groups.map(group => [group.id, group.title ?? '']));
+  tabs.forEach((tab) => {
+    tab.groupTitle = titles.get(tab.groupId) ?? '';
   });
 }
 
 /**
- * Find which tabs should be closed based on duplicate detection
- * Rule: If active tab is in the duplicate group, keep it. Otherwise keep the newest.
- * Never closes the currently focused tab.
- * @param {Array} tabs - Array of tab objects
- * @param {number} currentTabId - ID of the currently focused tab
- * @returns {Array} Array of tab IDs to close
+ * Get the tabs a rule runs on, with the data its keep strategy and conditions need
+ * @param {Object} rule - Rule options { scope, scopeGroupTitle, keep, conditions }
+ * @returns {Promise<{tabs: Array, activeTabIds: Array<number>}>}
  */
-function findTabsToClose(tabs, currentTabId) {
-  const filteredTabs = filterSpecialUrls(tabs);
-  const grouped = groupTabsByBaseUrl(filteredTabs);
-
-  const tabsToClose = [];
-
-  Object.values(grouped).forEach(group => {
-    if (group.length <= 1) {
-      // Reason: No duplicates in this group, skip
-      return;
-    }
-
-    // Sort by ID ascending (older tabs have lower IDs)
-    group.sort((a, b) => a.id - b.id);
-
-    // Determine which tab to keep in this group
-    // Reason: If active tab is in this group, prioritize keeping it over the newest
-    const isActiveTabInGroup = group.some(tab => tab.id === currentTabId);
-    const tabToKeep = isActiveTabInGroup ? currentTabId : group[group.length - 1].id;
+async function getTabsForRule(rule) {
+  const result = await getTabsInScope(rule.scope, rule.scopeGroupTitle);
+  const needs = getRuleTabNeeds(rule);
+  if (needs.pageStates) {
+    await addPageStates(result.tabs);
+  }
+  if (needs.creationTimes) {
+    await addCreationTimes(result.tabs);
+  }
+  if (needs.groupTitles) {
+    await addGroupTitles(result.tabs);
+  }
+  return result;
+}
 
-    // Close all others except the tab to keep
-    group.forEach(tab => {
-      if (tab.id !== tabToKeep) {
-        tabsToClose.push(tab.id);
-      }
-    });
-  });
+/**
+ * Take one snapshot of every window's tabs for several rules, with the data any of them needs
+ * @param {Array} rules - Rules that will be planned on the snapshot
+ * @returns {Promise<{tabs: Array, activeTabIds: Array<number>, windowId: number|null, groups: Array}>}
+ */
+async function getTabSnapshot(rules) {
+  const [tabs, activeTabs, currentWindow, groups] = await Promise.all([
+    chrome.tabs.query({ windowType: 'normal' }),
+    chrome.tabs.query({ active: true, windowType: 'normal' }),
+    chrome.windows.getLastFocused().catch(() => null),
+    chrome.tabGroups.query({}),
+  ]);
+
+  const needs = rules.map(getRuleTabNeeds);
+  if (needs.some(need => need.pageStates)) {
+    await addPageStates(tabs);
+  }
+  if (needs.some(need => need.creationTimes)) {
+    await addCreationTimes(tabs);
+  }
+  if (needs.some(need => need.groupTitles)) {
+    await addGroupTitles(tabs);
+  }
 
-  return tabsToClose;
+  return { tabs, activeTabIds: activeTabs.map(tab => tab.id), windowId: currentWindow?.id ?? null, groups };
 }
 
 /**
- * Get all tabs and the currently active tab
- * @returns {Promise<{tabs: Array, currentTabId: number}>}
+ * Apply the safeguards from settings to the tabs a rule wants to close
+ * @param {Array} tabs - Array of tab objects
+ * @param {Array} tabIdsToClose - Tab IDs the rule wants to close
+ * @param {Object} safeguards - Map of SAFEGUARDS keys to booleans
+ * @returns {Promise<{tabsToClose: Array, spared: Array}>}
  */
-async function getAllTabsAndCurrent() {
-  const tabs = await chrome.tabs.query({ currentWindow: true });
-  const currentTab = await chrome.tabs.query({ active: true, currentWindow: true });
-
-  return {
-    tabs,
-    currentTabId: currentTab[0]?.id || null,
-  };
+async function spareProtectedTabs(tabs, tabIdsToClose, safeguards) {
+  if (safeguards.unsavedInput) {
+    const candidates = tabs.filter(tab => tabIdsToClose.includes(tab.id) && tab.hasUnsavedInput === undefined);
+    await addPageStates(candidates);
+  }
+  return applySafeguards(tabs, tabIdsToClose, safeguards);
 }
 
 /**
- * Close specified tabs and store them for reopening
- * @param {Array} tabIds - Array of tab IDs to close
+ * Apply each batch's rule action to its tabs and add one undo event for all of them
+ * @param {Array<{rule: Object, tabIds: Array}>} batches - Rules { action, actionTarget } and the tabs to act on
+ * @param {string} ruleName - Name shown in the undo history
  */
-async function closeAndStoreTabs(tabIds) {
-  if (tabIds.length === 0) {
+async function applyActionsAndStore(batches, ruleName) {
+  if (batches.every(batch => batch.tabIds.length === 0)) {
     return;
   }
 
-  // Get tab details before closing (for reopening)
-  const tabsToStore = [];
-  for (const tabId of tabIds) {
-    try {
-      const tab = await chrome.tabs.get(tabId);
-      tabsToStore.push({
-        id: tab.id,
-        url: tab.url,
-        title: tab.title,
-      });
-    } catch {
-      // Reason: Tab might not exist, skip it
-      continue;
+  // Reason: Read the window before acting, moving tabs can change which window is focused
+  const triggerWindow = await chrome.windows.getLastFocused().catch(() => null);
+  const records = [];
+  for (const { rule, tabIds } of batches) {
+    if (tabIds.length > 0) {
+      const { action, target } = getRuleAction(rule);
+      records.push(...await performAction(tabIds, action, target));
     }
   }
+  if (records.length === 0) {
+    return;
+  }
 
-  // Reason: Store closed tabs before closing them
-  await chrome.storage.local.set({
-    lastClosedTabs: tabsToStore,
-    closedTabsCount: tabIds.length,
+  const event = createHistoryEvent({
+    ruleName,
+    windowId: triggerWindow?.id ?? null,
+    action: getSharedAction(records),
+    tabs: records,
   });
+  await updateHistory(history => pushHistoryEvent(history, event));
+}
 
-  // Close the tabs
-  await chrome.tabs.remove(tabIds);
+/**
+ * Apply a rule's action to tabs and add an undo event to the history
+ * @param {Array} tabIds - Array of tab IDs
+ * @param {Object} rule - Rule options { name, action, actionTarget }
+ */
+async function applyActionAndStore(tabIds, rule) {
+  await applyActionsAndStore([{ rule, tabIds }], rule.name);
 }
 
 /**
- * Execute the default behavior: close duplicate tabs
+ * Execute a predefined rule: close duplicate tabs
+ * @param {string} [mode] - One of MATCH_MODES, defaults to ignoring params
  */
-async function executeCloseDuplicates() {
-  const { tabs, currentTabId } = await getAllTabsAndCurrent();
-  const tabsToClose = findTabsToClose(tabs, currentTabId);
-  await closeAndStoreTabs(tabsToClose);
+async function executeCloseDuplicates(mode = MATCH_MODES.IGNORE_PARAMS) {
+  const settings = await loadSettings();
+  const rule = getPredefinedRule(settings, mode);
+  const { tabs, activeTabIds } = await getTabsForRule(rule);
+  const duplicates = findTabsToCloseForRule(tabs, rule, activeTabIds, getMatchOptions(settings));
+  const { tabsToClose } = await spareProtectedTabs(tabs, duplicates.tabsToClose, settings.safeguards);
+  await applyActionAndStore(tabsToClose, rule);
 }
 
 /**
  * Execute a custom rule: find tabs matching regex and close them
- * @param {string} ruleName - Name of the rule (for logging)
- * @param {string} ruleRegex - Regex pattern to match URLs
+ * @param {Object} rule - Custom rule { name, regex, conditions, mode, keep, scope, scopeGroupTitle, action, actionTarget }
  */
-async function executeCustomRule(ruleName, ruleRegex) {
-  console.log(`[CustomRule] Executing rule "${ruleName}" with pattern: ${ruleRegex}`);
+async function executeCustomRule(rule) {
+  console.log(`[CustomRule] Executing rule "${rule.name}" (${rule.mode}) with pattern: ${rule.regex}`);
   try {
-    const { tabs, currentTabId } = await getAllTabsAndCurrent();
-    console.log(`[CustomRule] Found ${tabs.length} total tabs, active tab ID: ${currentTabId}`);
-
-    const filteredTabs = filterSpecialUrls(tabs);
-    console.log(`[CustomRule] ${filteredTabs.length} regular tabs after filtering special URLs`);
-
-    // Compile the regex pattern
-    const pattern = new RegExp(ruleRegex);
-    console.log(`[CustomRule] Compiled regex pattern`);
-
-    // Find all tabs matching the regex pattern
-    const matchingTabs = filteredTabs.filter(tab => {
-      try {
-        return pattern.test(tab.url);
-      } catch {
-        // If regex fails on a specific URL, skip it
-        return false;
-      }
-    });
-
-    console.log(`[CustomRule] Found ${matchingTabs.length} matching tabs`);
-
-    if (matchingTabs.length === 0) {
-      // Reason: No matching tabs found, nothing to close
-      console.log(`[CustomRule] No matching tabs found`);
-      return;
-    }
+    const settings = await loadSettings();
+    const { tabs, activeTabIds } = await getTabsForRule(rule);
+    console.log(`[CustomRule] Found ${tabs.length} total tabs, active tab IDs: ${activeTabIds}`);
 
-    // Determine tabs to close
-    // Reason: For custom rules, only keep the active tab if it matches the pattern
-    const tabsToClose = [];
-    const isActiveTabInMatches = matchingTabs.some(tab => tab.id === currentTabId);
-    console.log(`[CustomRule] Active tab in matches: ${isActiveTabInMatches}`);
-
-    matchingTabs.forEach(tab => {
-      // Only keep the active tab if it's in the matching set
-      if (tab.id === currentTabId && isActiveTabInMatches) {
-        console.log(`[CustomRule] Keeping active tab ID ${tab.id}`);
-        return;
-      }
-      // Close all other matching tabs
-      tabsToClose.push(tab.id);
-    });
+    const plan = findTabsToCloseForRule(tabs, rule, activeTabIds, getMatchOptions(settings));
+    console.log(`[CustomRule] Found ${plan.matchingTabIds.length} matching tabs`);
+
+    const { tabsToClose, spared } = await spareProtectedTabs(tabs, plan.tabsToClose, settings.safeguards);
+    console.log(`[CustomRule] Spared ${spared.length} protected tabs:`, spared);
 
     console.log(`[CustomRule] Will close ${tabsToClose.length} tabs:`, tabsToClose);
-    await closeAndStoreTabs(tabsToClose);
+    await applyActionAndStore(tabsToClose, rule);
     console.log(`[CustomRule] Rule execution complete`);
   } catch (error) {
-    console.error(`[CustomRule] Error executing custom rule "${ruleName}":`, error);
+    console.error(`[CustomRule] Error executing custom rule "${rule.name}":`, error);
     throw error;
   }
 }
 
 /**
- * Test a custom rule: find which tabs match the regex pattern
- * @param {string} ruleRegex - Regex pattern to test
- * @returns {Object} Object with matchingTabIds array
+ * Run the default predefined rule and then every enabled custom rule, in list order, as one cleanup
+ * Reason: All rules are planned on the same snapshot before anything is done, and tabs an
+ * earlier rule will act on are hidden from later rules, so no tab is processed twice
  */
-async function testCustomRule(ruleRegex) {
+async function executeAllRules() {
+  const settings = await loadSettings();
+  const rules = [getPredefinedRule(settings), ...(await loadRules()).filter(isRuleEnabled)];
+  const matchOptions = getMatchOptions(settings);
+  const snapshot = await getTabSnapshot(rules);
+  const { activeTabIds } = snapshot;
+  const claimedTabIds = new Set();
+  const batches = [];
+
+  for (const rule of rules) {
+    try {
+      const tabs = filterTabsInScope(snapshot.tabs, rule.scope, rule.scopeGroupTitle, snapshot);
+      const available = tabs.filter(tab => !claimedTabIds.has(tab.id));
+      const plan = findTabsToCloseForRule(available, rule, activeTabIds, matchOptions);
+      const { tabsToClose } = await spareProtectedTabs(available, plan.tabsToClose, settings.safeguards);
+
+      tabsToClose.forEach(tabId => claimedTabIds.add(tabId));
+      batches.push({ rule, tabIds: tabsToClose });
+    } catch (error) {
+      // Reason: One broken rule (e.g. a bad regex) should not stop the others
+      console.error(`[RunAll] Skipping rule "${rule.name}":`, error);
+    }
+  }
+
+  await applyActionsAndStore(batches, 'All enabled rules');
+}
+
+/**
+ * Work out what a rule would do without doing it, for the dry-run preview
+ * @param {Object} [rule] - Custom rule; when missing, the predefined rule for mode is planned
+ * @param {string} [mode] - One of MATCH_MODES, for predefined rules
+ * @returns {Promise<{rule: Object, groups: Array}>} The rule that was planned and its groups, see buildPlanGroups
+ */
+async function planRule(rule, mode) {
+  const settings = await loadSettings();
+  const plannedRule = rule || getPredefinedRule(settings, mode);
+  const { tabs, activeTabIds } = await getTabsForRule(plannedRule);
+  const { groups } = findRuleGroups(tabs, plannedRule, activeTabIds, getMatchOptions(settings));
+
+  if (settings.safeguards.unsavedInput) {
+    const closeTabIds = new Set(groups.flatMap(group => group.closeTabIds));
+    await addPageStates(tabs.filter(tab => closeTabIds.has(tab.id) && tab.hasUnsavedInput === undefined));
+  }
+
+  return { rule: plannedRule, groups: buildPlanGroups(tabs, groups, settings.safeguards) };
+}
+
+/**
+ * Apply a plan the user reviewed in the preview
+ * Reason: Tabs may have changed since the preview, so only tabs still in the rule's scope are
+ * acted on, and the active tabs and safeguards are checked again
+ * @param {Object} rule - The rule returned by planRule
+ * @param {Array} tabIds - Tab IDs the user left ticked
+ */
+async function applyPlan(rule, tabIds) {
+  const settings = await loadSettings();
+  const { tabs, activeTabIds } = await getTabsForRule(rule);
+  const inScope = new Set(tabs.map(tab => tab.id));
+  const candidates = tabIds.filter(tabId => inScope.has(tabId) && !activeTabIds.includes(tabId));
+  const { tabsToClose } = await spareProtectedTabs(tabs, candidates, settings.safeguards);
+  await applyActionAndStore(tabsToClose, rule);
+}
+
+/**
+ * Undo the tabs of one event, putting the tabs that could not be restored back in the history
+ * Reason: The event is already off the history, so the rest goes back even when an undo throws
+ * @param {Object} event - History event, possibly holding only some of its tabs
+ */
+async function undoEventTabs(event) {
+  const restored = new Set();
   try {
-    const { tabs } = await getAllTabsAndCurrent();
-    const filteredTabs = filterSpecialUrls(tabs);
-
-    // Compile the regex pattern
-    const pattern = new RegExp(ruleRegex);
-
-    // Find all tabs matching the regex pattern
-    const matchingTabs = filteredTabs.filter(tab => {
-      try {
-        return pattern.test(tab.url);
-      } catch {
-        return false;
-      }
-    });
-
-    return {
-      matchingTabIds: matchingTabs.map(tab => tab.id),
-      matchCount: matchingTabs.length,
-    };
-  } catch (error) {
-    console.error('[TestCustomRule] Error:', error);
-    throw error;
+    for (const { action, tabs } of groupTabsByAction(event.tabs, event.action)) {
+      (await undoAction(action, tabs)).forEach(record => restored.add(record));
+    }
+  } finally {
+    const remaining = event.tabs.filter(record => !restored.has(record));
+    if (remaining.length > 0) {
+      await updateHistory(history => returnToHistory(history, { ...event, tabs: remaining }));
+    }
   }
 }
 
 /**
- * Restore the last closed tabs
+ * Undo a history event: reopen closed tabs, reload discarded ones, or put moved/grouped tabs back
+ * @param {string} [eventId] - Event to undo, defaults to the most recent one
  */
-async function restoreLastClosedTabs() {
-  const data = await chrome.storage.local.get(['lastClosedTabs']);
-  const tabsToRestore = data.lastClosedTabs || [];
+async function undoHistoryEvent(eventId) {
+  let event;
+  // Reason: Take the event off the history before undoing it, so two quick undos never
+  // restore the same tabs twice
+  await updateHistory((history) => {
+    event = eventId ? history.find(entry => entry.id === eventId) : history[0];
+    return event ? removeHistoryEvent(history, event.id) : history;
+  });
 
-  if (tabsToRestore.length === 0) {
-    return;
+  if (event) {
+    await undoEventTabs(event);
   }
+}
+
+/**
+ * Undo selected tabs from any history events, leaving the rest of each event in the history
+ * @param {Array<{eventId: string, tabId: number}>} selection - Tabs to restore
+ */
+async function restoreHistoryTabs(selection) {
+  let taken = [];
+  await updateHistory((history) => {
+    const result = takeTabsFromHistory(history, selection);
+    taken = result.taken;
+    return result.history;
+  });
 
-  for (const tab of tabsToRestore) {
-    await chrome.tabs.create({ url: tab.url });
+  for (const event of taken) {
+    await undoEventTabs(event);
   }
+}
 
-  // Clear the history after restoring
-  await chrome.storage.local.remove(['lastClosedTabs', 'closedTabsCount']);
+/**
+ * Drop selected tabs from the history without restoring them
+ * @param {Array<{eventId: string, tabId: number}>} selection - Tabs to forget
+ */
+async function forgetHistoryTabs(selection) {
+  await updateHistory(history => takeTabsFromHistory(history, selection).history);
 }
 
 /**
@@ -261,73 +371,71 @@ async function restoreLastClosedTabs() {
  */
 async function syncRulesToLocal() {
   try {
-    const data = await chrome.storage.sync.get(['rules']);
-    const rules = data.rules || [];
-    await chrome.storage.local.set({ cachedRules: rules });
+    const rules = await refreshRules();
     console.log('[SyncRules] Synced rules to local storage:', rules.length, 'rules');
   } catch (error) {
     console.error('[SyncRules] Error syncing rules:', error);
   }
 }
 
-// Sync rules on extension startup
-syncRulesToLocal();
+// Migrate stored data to the current schema, then sync rules on extension startup
+// Reason: Rules are cached only after migrating, so the popup never sees the old shape for long
+const storageReady = migrateStorage();
+storageReady.then(syncRulesToLocal);
 
-// Listen for keyboard shortcut command
-chrome.commands.onCommand.addListener((command) => {
-  if (command === 'close-duplicates-default') {
-    executeCloseDuplicates();
-  }
+// Reason: The worker starts (and migrates) to deliver this event, so install and update wait
+// for that same run instead of starting another
+chrome.runtime.onInstalled.addListener(() => {
+  storageReady.then(syncRulesToLocal);
 });
 
-// Listen for messages from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'getClosedCount') {
-    chrome.storage.local.get(['closedTabsCount'], (data) => {
-      sendResponse({ count: data.closedTabsCount || 0 });
-    });
-    // Reason: Return true to indicate async response
-    return true;
-  }
-
-  if (request.action === 'restoreLastClosed') {
-    restoreLastClosedTabs().then(() => {
-      sendResponse({ success: true });
-    });
-    return true;
-  }
+/**
+ * Wrap a command or message handler so it only runs once storage is migrated
+ * Reason: A rule saved while a migration is pending would be overwritten from the stale
+ * pre-migration data when the migration writes its result
+ * @param {Function} handler
+ * @returns {Function} Async handler taking the same arguments
+ */
+function whenStorageReady(handler) {
+  return async (...args) => {
+    await storageReady;
+    return handler(...args);
+  };
+}
 
-  if (request.action === 'executeCloseDuplicates') {
-    executeCloseDuplicates().then(() => {
-      sendResponse({ success: true });
-    });
-    return true;
-  }
+// Record tab creation times for the newest and oldest keep strategies
+chrome.tabs.onCreated.addListener(tab => recordTabCreated(tab.id));
+chrome.tabs.onRemoved.addListener(tabId => forgetTabCreated(tabId));
 
-  if (request.action === 'executeCustomRule') {
-    const { ruleName, ruleRegex } = request;
-    executeCustomRule(ruleName, ruleRegex).then(() => {
-      sendResponse({ success: true });
-    }).catch((error) => {
-      sendResponse({ success: false, error: error.message });
-    });
-    return true;
+// Listen for keyboard shortcut command
+chrome.commands.onCommand.addListener(whenStorageReady((command) => {
+  if (command === 'close-duplicates-default') {
+    executeCloseDuplicates();
   }
 
-  if (request.action === 'testCustomRule') {
-    const { ruleRegex } = request;
-    testCustomRule(ruleRegex).then((result) => {
-      sendResponse(result);
-    }).catch((error) => {
-      sendResponse({ error: error.message });
-    });
-    return true;
+  if (command === 'run-all-rules') {
+    executeAllRules();
   }
 
-  if (request.action === 'syncRules') {
-    syncRulesToLocal().then(() => {
-      sendResponse({ success: true });
-    });
-    return true;
+  if (command === 'undo-last-action') {
+    undoHistoryEvent();
   }
-});
+}));
+
+// Listen for messages from the popup and the dashboard, see MESSAGES for each request's arguments
+const messageHandlers = {
+  executeCloseDuplicates: ({ mode }) => executeCloseDuplicates(mode),
+  executeCustomRule: ({ rule }) => executeCustomRule(rule),
+  executeAllRules: () => executeAllRules(),
+  planRule: ({ rule, mode }) => planRule(rule, mode),
+  applyPlan: ({ rule, tabIds }) => applyPlan(rule, tabIds),
+  restoreHistoryEvent: ({ eventId }) => undoHistoryEvent(eventId),
+  restoreHistoryTabs: ({ selection }) => restoreHistoryTabs(selection),
+  forgetHistoryTabs: ({ selection }) => forgetHistoryTabs(selection),
+  syncRules: () => syncRulesToLocal(),
+  // Reason: whenStorageReady does the waiting
+  waitForMigration: () => {},
+};
+chrome.runtime.onMessage.addListener(createMessageRouter(Object.fromEntries(
+  Object.entries(messageHandlers).map(([action, handler]) => [action, whenStorageReady(handler)])
+)));
@@ -0,0 +1,275 @@
+// Rule conditions on tab fields (title, host, state, age...), combined with all/any and negation
+// These functions are pure and don't depend on Chrome APIs
+
+/**
+ * Tab fields a condition can test
+ * Keys are stored in rules, labels are shown in the condition builder
+ * Types: text (compared with CONDITION_OPERATORS.text), flag (true or false), age (minutes since last accessed)
+ */
+export const CONDITION_FIELDS = {
+  url: { label: 'URL', type: 'text' },
+  title: { label: 'Title', type: 'text' },
+  host: { label: 'Host', type: 'text' },
+  path: { label: 'Path', type: 'text' },
+  groupTitle: { label: 'Tab group title', type: 'text' },
+  pinned: { label: 'Pinned', type: 'flag' },
+  audible: { label: 'Playing audio', type: 'flag' },
+  discarded: { label: 'Discarded', type: 'flag' },
+  age: { label: 'Last accessed', type: 'age' },
+};
+
+/**
+ * Operators for each field type
+ * Keys are stored in rules, values are the labels shown in the condition builder
+ */
+export const CONDITION_OPERATORS = {
+  text: {
+    'contains': 'contains',
+    'equals': 'is',
+    'starts-with': 'starts with',
+    'ends-with': 'ends with',
+    'matches': 'matches regex',
+  },
+  flag: {
+    is: 'is set',
+  },
+  age: {
+    'older-than': 'more than N minutes ago',
+    'newer-than': 'less than N minutes ago',
+  },
+};
+
+/**
+ * How a group combines its conditions
+ * Keys are stored in rules, values are the labels shown in the condition builder
+ */
+export const CONDITION_MATCH = {
+  all: 'All of (AND)',
+  any: 'Any of (OR)',
+};
+
+/**
+ * Whether a condition node is a group of conditions rather than a single condition
+ * @param {Object} node - { match, negate, conditions } or { field, operator, value, negate }
+ * @returns {boolean}
+ */
+export function isConditionGroup(node) {
+  return Array.isArray(node?.conditions);
+}
+
+/**
+ * Whether a rule's conditions hold at least one condition
+ * @param {Object|undefined} node - Condition group, or undefined when there are no conditions
+ * @returns {boolean}
+ */
+export function hasConditions(node) {
+  return isConditionGroup(node) && node.conditions.length > 0;
+}
+
+/**
+ * Read the value a condition compares against
+ * @param {Object} tab - Tab object, with groupTitle added when a condition needs it
+ * @param {string} field - One of the CONDITION_FIELDS keys
+ * @returns {string|boolean|number|undefined}
+ */
+function getFieldValue(tab, field) {
+  if (field === 'host' || field === 'path') {
+    try {
+      const urlObj = new URL(tab.url);
+      return field === 'host' ? urlObj.hostname : urlObj.pathname;
+    } catch {
+      return '';
+    }
+  }
+  if (field === 'age') {
+    return tab.lastAccessed;
+  }
+  if (CONDITION_FIELDS[field]?.type === 'flag') {
+    return Boolean(tab[field]);
+  }
+  return tab[field] ?? '';
+}
+
+/**
+ * Compare a text field with a condition value
+ * Reason: Plain text comparisons ignore case, like a browser's find; "matches" is a regex and
+ * behaves like the rule's own regex
+ * @param {string} text - Field value
+ * @param {string} operator - One of the CONDITION_OPERATORS.text keys
+ * @param {string} value - Condition value
+ * @returns {boolean}
+ */
+function compareText(text, operator, value) {
+  if (operator === 'matches') {
+    return new RegExp(value).test(text);
+  }
+  const haystack = text.toLowerCase();
+  const needle = String(value).toLowerCase();
+  switch (operator) {
+    case 'equals':
+      return haystack === needle;
+    case 'starts-with':
+      return haystack.startsWith(needle);
+    case 'ends-with':
+      return haystack.endsWith(needle);
+    default:
+      return haystack.includes(needle);
+  }
+}
+
+/**
+ * Evaluate one condition against a tab, ignoring its negate flag
+ * @param {Object} tab - Tab object
+ * @param {Object} condition - { field, operator, value }
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function evaluateCondition(tab, condition, now) {
+  const value = getFieldValue(tab, condition.field);
+  const type = CONDITION_FIELDS[condition.field]?.type;
+
+  if (type === 'flag') {
+    return value === true;
+  }
+  if (type === 'age') {
+    // Reason: Without lastAccessed the age is unknown, so no age condition holds
+    if (typeof value !== 'number') {
+      return false;
+    }
+    const minutes = (now - value) / 60000;
+    return condition.operator === 'newer-than' ? minutes < condition.value : minutes > condition.value;
+  }
+  return compareText(value, condition.operator, condition.value);
+}
+
+/**
+ * Whether a tab meets a rule's conditions
+ * An empty group always holds, so a rule without conditions matches on its regex alone.
+ * @param {Object} tab - Tab object
+ * @param {Object|undefined} node - Condition group or single condition; missing means no conditions
+ * @param {number} [now] - Current time in ms, for tests
+ * @returns {boolean}
+ */
+export function matchesConditions(tab, node, now = Date.now()) {
+  if (!node) {
+    return true;
+  }
+
+  let result;
+  if (isConditionGroup(node)) {
+    if (node.conditions.length === 0) {
+      return true;
+    }
+    const check = child => matchesConditions(tab, child, now);
+    result = node.match === 'any' ? node.conditions.some(check) : node.conditions.every(check);
+  } else {
+    result = evaluateCondition(tab, node, now);
+  }
+  return node.negate ? !result : result;
+}
+
+/**
+ * Check a rule's conditions
+ * @param {Object|undefined} node - Condition group or single condition
+ * @returns {Array<string>} Problems found, empty if the conditions are valid
+ */
+export function validateConditions(node) {
+  if (node === undefined) {
+    return [];
+  }
+  if (typeof node !== 'object' || node === null) {
+    return ['A condition is not an object'];
+  }
+  if (node.negate !== undefined && typeof node.negate !== 'boolean') {
+    return ['A condition has a negate flag that is not true or false'];
+  }
+
+  if (isConditionGroup(node)) {
+    const errors = node.match in CONDITION_MATCH ? [] : [`A condition group has an unknown match "${node.match}"`];
+    // Reason: An empty group matches every tab, which would let a rule close everything in scope
+    if (node.conditions.length === 0) {
+      return [...errors, 'A condition group is empty'];
+    }
+    return [...errors, ...node.conditions.flatMap(validateConditions)];
+  }
+
+  const field = CONDITION_FIELDS[node.field];
+  if (!field) {
+    return [`A condition has an unknown field "${node.field}"`];
+  }
+  if (!(node.operator in CONDITION_OPERATORS[field.type])) {
+    return [`The ${field.label} condition has an unknown operator "${node.operator}"`];
+  }
+  if (field.type === 'text') {
+    // Reason: Empty text is contained in every value, so the condition would match every tab
+    if (typeof node.value !== 'string' || node.value === '') {
+      return [`The ${field.label} condition has no text`];
+    }
+    if (node.operator === 'matches') {
+      try {
+        new RegExp(node.value);
+      } catch (error) {
+        return [`The ${field.label} condition has an invalid regex: ${error.message}`];
+      }
+    }
+  }
+  if (field.type === 'age' && !(typeof node.value === 'number' && node.value >= 0)) {
+    return [`The ${field.label} condition needs a number of minutes`];
+  }
+  return [];
+}
+
+/**
+ * Whether any condition tests a field
+ * Reason: Some fields (e.g. the tab group title) cost extra Chrome calls, made only when needed
+ * @param {Object|undefined} node - Condition group or single condition
+ * @param {string} field - One of the CONDITION_FIELDS keys
+ * @returns {boolean}
+ */
+export function usesConditionField(node, field) {
+  if (!node) {
+    return false;
+  }
+  if (isConditionGroup(node)) {
+    return node.conditions.some(child => usesConditionField(child, field));
+  }
+  return node.field === field;
+}
+
+/**
+ * Describe a condition node, wrapping nested groups in brackets
+ * @param {Object} node - Condition group or single condition
+ * @param {boolean} nested - Whether the node is inside another group
+ * @returns {string}
+ */
+function describeNode(node, nested) {
+  let text;
+  if (isConditionGroup(node)) {
+    const parts = node.conditions.map(child => describeNode(child, true));
+    const joined = parts.join(node.match === 'any' ? ' OR ' : ' AND ');
+    text = (nested || node.negate) && parts.length > 1 ? `(${joined})` : joined;
+  } else {
+    const field = CONDITION_FIELDS[node.field];
+    const operator = CONDITION_OPERATORS[field.type][node.operator];
+    if (field.type === 'flag') {
+      text = `${field.label} ${operator}`;
+    } else if (field.type === 'age') {
+      text = `${field.label} ${operator.replace('N', node.value)}`;
+    } else {
+      text = `${field.label} ${operator} "${node.value}"`;
+    }
+  }
+  return node.negate ? `NOT ${text}` : text;
+}
+
+/**
+ * Describe conditions in one line, e.g. 'Title contains "draft" AND NOT Pinned is set'
+ * @param {Object|undefined} node - Validated condition group or single condition
+ * @returns {string} Empty when there are no conditions
+ */
+export function describeConditions(node) {
+  if (!node || (isConditionGroup(node) && node.conditions.length === 0)) {
+    return '';
+  }
+  return describeNode(node, false);
+}
@@ -0,0 +1,63 @@
+// Content script for close-duplicate-tabs extension
+// Reports page state the tabs API does not expose, such as navigation history length
+// and whether the user has typed into a form that was not submitted
+
+// Form fields the user edited since the page last navigated or submitted their form
+const editedFields = new Set();
+
+// Reason: Search boxes and buttons hold nothing worth keeping a tab open for
+const IGNORED_INPUT_TYPES = ['search', 'button', 'submit', 'reset', 'image', 'hidden'];
+
+/**
+ * Whether an element is a form field whose edits count as unsaved input
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isTrackedField(target) {
+  if (target instanceof HTMLInputElement) {
+    return !IGNORED_INPUT_TYPES.includes(target.type);
+  }
+  return target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement;
+}
+
+/**
+ * Whether a form field's value differs from the one the page loaded with
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field
+ * @returns {boolean}
+ */
+function differsFromDefault(field) {
+  if (field instanceof HTMLSelectElement) {
+    return [...field.options].some(option => option.selected !== option.defaultSelected);
+  }
+  if (field.type === 'checkbox' || field.type === 'radio') {
+    return field.checked !== field.defaultChecked;
+  }
+  return field.value !== field.defaultValue;
+}
+
+document.addEventListener('input', (event) => {
+  if (isTrackedField(event.target)) {
+    editedFields.add(event.target);
+  }
+}, true);
+
+document.addEventListener('submit', (event) => {
+  editedFields.forEach((field) => {
+    if (field.form === event.target) {
+      editedFields.delete(field);
+    }
+  });
+}, true);
+
+// Reason: Single-page apps navigate with pushState without reloading, which also leaves the
+// edited view behind; the Navigation API reports those, popstate covers older Chrome versions
+window.navigation?.addEventListener('navigatesuccess', () => editedFields.clear());
+window.addEventListener('popstate', () => editedFields.clear());
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getPageState') {
+    // Reason: Checked when asked, so a field edited back to its original value no longer counts
+    const hasUnsavedInput = [...editedFields].some(field => field.isConnected && differsFromDefault(field));
+    sendResponse({ historyLength: history.length, hasUnsavedInput });
+  }
+});
@@ -0,0 +1,313 @@
+// Full-page dashboard for close-duplicate-tabs extension
+// Lists every duplicate group across all windows, live, using the same matching as the rules
+
+import {
+  MATCH_MODES,
+  PREDEFINED_RULE_NAMES,
+  GROUP_SORTS,
+  ACTIONS,
+  ACTION_PAST_TENSE,
+  DEFAULT_ACTION,
+  buildPlanGroups,
+  sortPlanGroups,
+} from '../utils.js';
+import { findDuplicateGroups } from '../rule-engine.js';
+import { sendMessage } from '../messages.js';
+import { loadSettings, getMatchOptions } from '../settings.js';
+import { addCreationTimes } from '../tab-times.js';
+import { fillSelect } from '../form-fields.js';
+import { initErrorBanner, showError } from '../error-banner.js';
+
+const modeSelect = document.getElementById('modeSelect');
+const sortSelect = document.getElementById('sortSelect');
+const actionSelect = document.getElementById('actionSelect');
+const actionTargetInput = document.getElementById('actionTargetInput');
+const applyAllBtn = document.getElementById('applyAllBtn');
+const summary = document.getElementById('summary');
+const groupsContainer = document.getElementById('groupsContainer');
+
+// Reason: Tab events come in bursts (e.g. closing a window), so refreshes are batched
+const REFRESH_DELAY_MS = 250;
+
+// Group key to the tab the user chose to keep, kept across live refreshes
+const keptTabOverrides = new Map();
+let currentGroups = [];
+let refreshTimer = null;
+
+/**
+ * Whether a tab can be acted on at all
+ * Reason: Active tabs are never closed, and spared tabs are protected by a safeguard
+ * @param {Object} tab - Plan tab
+ * @returns {boolean}
+ */
+function isClosable(tab) {
+  return !tab.active && !tab.spared;
+}
+
+/**
+ * Apply the user's "Keep this" choices on top of the computed groups
+ * @param {Array} groups - Groups from buildPlanGroups, modified in place
+ */
+function applyKeptOverrides(groups) {
+  for (const group of groups) {
+    const keptTabId = keptTabOverrides.get(group.key);
+    if (!group.tabs.some(tab => tab.id === keptTabId)) {
+      // Reason: The chosen tab was closed or navigated away, fall back to the keep strategy
+      keptTabOverrides.delete(group.key);
+      continue;
+    }
+    group.tabs.forEach((tab) => {
+      tab.keep = tab.id === keptTabId || tab.active;
+      tab.close = !tab.keep && isClosable(tab);
+    });
+  }
+}
+
+/**
+ * Compute the duplicate groups across all windows
+ * @returns {Promise<Array>} Sorted groups, see buildPlanGroups
+ */
+async function computeGroups() {
+  const settings = await loadSettings();
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  const activeTabIds = tabs.filter(tab => tab.active).map(tab => tab.id);
+  await addCreationTimes(tabs);
+  const options = { ...getMatchOptions(settings), mode: modeSelect.value };
+
+  const groups = buildPlanGroups(tabs, findDuplicateGroups(tabs, activeTabIds, options), settings.safeguards);
+  applyKeptOverrides(groups);
+  return sortPlanGroups(groups, sortSelect.value);
+}
+
+/**
+ * Bring a tab and its window to the front
+ * @param {Object} tab - Plan tab
+ */
+async function jumpToTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Apply the selected action to the tabs marked for closing in some groups
+ * Reason: Goes through the background's applyPlan, so safeguards are checked again and the
+ * run lands in the undo history like any other rule
+ * @param {Array} groups - Groups to act on
+ */
+async function applyToGroups(groups) {
+  const tabIds = groups.flatMap(group => group.tabs.filter(tab => tab.close).map(tab => tab.id));
+  if (tabIds.length === 0) {
+    return;
+  }
+
+  const rule = {
+    name: `Dashboard (${PREDEFINED_RULE_NAMES[modeSelect.value]})`,
+    mode: modeSelect.value,
+    scope: 'all-windows',
+    action: actionSelect.value,
+    actionTarget: actionTargetInput.value.trim(),
+  };
+  try {
+    await sendMessage('applyPlan', { rule, tabIds });
+  } catch (error) {
+    showError('Could not apply the action', error);
+  }
+  scheduleRefresh();
+}
+
+/**
+ * Describe a tab's window and state, e.g. "Window 2 · Kept"
+ * @param {Object} tab - Plan tab
+ * @param {Map<number, number>} windowNumbers - Window ID to window number
+ * @returns {string}
+ */
+function describeTab(tab, windowNumbers) {
+  let state = '';
+  if (tab.spared) {
+    state = 'Spared by a safeguard';
+  } else if (tab.active) {
+    state = 'Active tab';
+  } else if (tab.keep) {
+    state = 'Kept';
+  }
+  const windowLabel = `Window ${windowNumbers.get(tab.windowId)}`;
+  return state ? `${windowLabel} · ${state}` : windowLabel;
+}
+
+/**
+ * Render one tab row
+ * @param {Object} group - Plan group
+ * @param {Object} tab - Plan tab
+ * @param {Map<number, number>} windowNumbers - Window ID to window number
+ * @returns {HTMLElement}
+ */
+function createTabRow(group, tab, windowNumbers) {
+  const row = document.createElement('li');
+  row.className = tab.keep ? 'tab-row kept' : 'tab-row';
+
+  const favicon = document.createElement('img');
+  favicon.className = 'tab-favicon';
+  favicon.alt = '';
+  if (tab.favIconUrl) {
+    favicon.src = tab.favIconUrl;
+  }
+
+  const details = document.createElement('div');
+  details.className = 'tab-details';
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  title.textContent = tab.title || tab.url;
+  const url = document.createElement('div');
+  url.className = 'tab-url';
+  url.textContent = tab.url;
+  details.append(title, url);
+
+  const meta = document.createElement('span');
+  meta.className = 'tab-meta';
+  meta.textContent = describeTab(tab, windowNumbers);
+
+  const jumpBtn = document.createElement('button');
+  jumpBtn.type = 'button';
+  jumpBtn.className = 'btn-link';
+  jumpBtn.textContent = 'Go to tab';
+  jumpBtn.addEventListener('click', () => jumpToTab(tab));
+
+  row.append(favicon, details, meta, jumpBtn);
+
+  if (!tab.keep) {
+    const keepBtn = document.createElement('button');
+    keepBtn.type = 'button';
+    keepBtn.className = 'btn-link';
+    keepBtn.textContent = 'Keep this';
+    keepBtn.addEventListener('click', () => {
+      keptTabOverrides.set(group.key, tab.id);
+      refresh();
+    });
+    row.appendChild(keepBtn);
+  }
+
+  return row;
+}
+
+/**
+ * Render one duplicate group with its bulk action button
+ * @param {Object} group - Plan group
+ * @param {Map<number, number>} windowNumbers - Window ID to window number
+ * @returns {HTMLElement}
+ */
+function createGroupCard(group, windowNumbers) {
+  const card = document.createElement('section');
+  card.className = 'group';
+
+  const header = document.createElement('div');
+  header.className = 'group-header';
+  const key = document.createElement('span');
+  key.className = 'group-key';
+  key.textContent = group.key;
+  key.title = group.key;
+  const count = document.createElement('span');
+  count.className = 'group-count';
+  count.textContent = `${group.tabs.length} tabs`;
+
+  const closeCount = group.tabs.filter(tab => tab.close).length;
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'button';
+  applyBtn.className = 'btn-link';
+  applyBtn.textContent = `Apply to ${closeCount} duplicate${closeCount === 1 ? '' : 's'}`;
+  applyBtn.disabled = closeCount === 0;
+  applyBtn.addEventListener('click', () => applyToGroups([group]));
+
+  header.append(key, count, applyBtn);
+
+  const list = document.createElement('ul');
+  list.className = 'tab-list';
+  group.tabs.forEach(tab => list.appendChild(createTabRow(group, tab, windowNumbers)));
+
+  card.append(header, list);
+  return card;
+}
+
+/**
+ * Render the groups and the summary line
+ */
+function render() {
+  const windowIds = [...new Set(currentGroups.flatMap(group => group.tabs.map(tab => tab.windowId)))].sort((a, b) => a - b);
+  const windowNumbers = new Map(windowIds.map((windowId, i) => [windowId, i + 1]));
+  const closeCount = currentGroups.reduce((total, group) => total + group.tabs.filter(tab => tab.close).length, 0);
+  const verb = ACTION_PAST_TENSE[actionSelect.value || DEFAULT_ACTION];
+
+  summary.textContent = `${currentGroups.length} group${currentGroups.length === 1 ? '' : 's'}, ${closeCount} tab${closeCount === 1 ? '' : 's'} would be ${verb}`;
+  applyAllBtn.disabled = closeCount === 0;
+
+  groupsContainer.innerHTML = '';
+  if (currentGroups.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = 'No duplicate tabs open.';
+    groupsContainer.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  currentGroups.forEach(group => fragment.appendChild(createGroupCard(group, windowNumbers)));
+  groupsContainer.appendChild(fragment);
+}
+
+/**
+ * Recompute and re-render the groups now
+ */
+async function refresh() {
+  currentGroups = await computeGroups();
+  render();
+}
+
+/**
+ * Refresh after the current burst of tab events settles
+ */
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, REFRESH_DELAY_MS);
+}
+
+/**
+ * Initialize controls and live updates
+ */
+function init() {
+  initErrorBanner();
+  fillSelect(modeSelect, PREDEFINED_RULE_NAMES);
+  modeSelect.value = MATCH_MODES.IGNORE_PARAMS;
+  fillSelect(sortSelect, GROUP_SORTS);
+  fillSelect(actionSelect, ACTIONS);
+
+  modeSelect.addEventListener('change', () => {
+    // Reason: Group keys differ between match modes, so earlier choices no longer apply
+    keptTabOverrides.clear();
+    refresh();
+  });
+  sortSelect.addEventListener('change', refresh);
+  actionSelect.addEventListener('change', render);
+  applyAllBtn.addEventListener('click', () => applyToGroups(currentGroups));
+
+  chrome.tabs.onCreated.addListener(scheduleRefresh);
+  chrome.tabs.onRemoved.addListener(scheduleRefresh);
+  chrome.tabs.onMoved.addListener(scheduleRefresh);
+  chrome.tabs.onAttached.addListener(scheduleRefresh);
+  chrome.tabs.onDetached.addListener(scheduleRefresh);
+  chrome.tabs.onActivated.addListener(scheduleRefresh);
+  chrome.tabs.onReplaced.addListener(scheduleRefresh);
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    // Reason: Loading progress fires many updates that do not change any group
+    if (['url', 'title', 'favIconUrl', 'pinned', 'audible', 'groupId'].some(key => key in changeInfo)) {
+      scheduleRefresh();
+    }
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.settings) {
+      scheduleRefresh();
+    }
+  });
+
+  refresh();
+}
+
+document.addEventListener('DOMContentLoaded', init);
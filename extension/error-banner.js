@@ -0,0 +1,30 @@
+// Error bar at the top of the popup and the dashboard, for requests to the service worker that failed
+
+const errorBanner = document.getElementById('errorBanner');
+const errorBannerText = document.getElementById('errorBannerText');
+
+/**
+ * Show an error until it is dismissed or replaced
+ * @param {string} context - What was being done, e.g. 'Could not run "GitHub PRs"'
+ * @param {Error} error - Error from sendMessage
+ */
+export function showError(context, error) {
+  console.error(`${context}:`, error);
+  errorBannerText.textContent = `${context}: ${error.message}`;
+  errorBanner.style.display = 'flex';
+}
+
+/**
+ * Hide the error bar
+ */
+export function clearError() {
+  errorBanner.style.display = 'none';
+  errorBannerText.textContent = '';
+}
+
+/**
+ * Set up the dismiss button
+ */
+export function initErrorBanner() {
+  document.getElementById('dismissErrorBtn').addEventListener('click', clearError);
+}
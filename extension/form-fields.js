@@ -0,0 +1,28 @@
+// Form field helpers shared by the popup and the dashboard
+// Only touches the elements passed in, so either page can import it
+
+/**
+ * Fill a select element with one option per entry of a value-to-label map
+ * @param {HTMLSelectElement} select
+ * @param {Object} options - Map of option value to label
+ */
+export function fillSelect(select, options) {
+  select.innerHTML = '';
+  for (const [value, label] of Object.entries(options)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Show a field only while a select has one of the given values
+ * e.g. the tab group title input only makes sense for the "tab-group" scope
+ * @param {HTMLSelectElement} select - Select controlling the field
+ * @param {HTMLElement} field - Label wrapping the dependent input
+ * @param {Array<string>} values - Select values that need the field
+ */
+export function syncDependentField(select, field, values) {
+  field.style.display = values.includes(select.value) ? 'flex' : 'none';
+}
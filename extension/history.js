@@ -0,0 +1,178 @@
+// Undo history for close-duplicate-tabs extension
+// A bounded stack of events (newest first) kept in chrome.storage.local
+
+/**
+ * Maximum number of events kept; older ones are dropped
+ */
+export const MAX_HISTORY_EVENTS = 20;
+
+/**
+ * Create a history event for one rule run
+ * @param {Object} details
+ * @param {string} details.ruleName - Name of the rule that ran
+ * @param {number|null} details.windowId - Window the rule was triggered from
+ * @param {string|null} details.action - One of the ACTIONS keys, or null when the tabs had different actions
+ * @param {Array} details.tabs - Tab records returned by performAction
+ * @param {number} [now] - Timestamp in ms, for tests
+ * @returns {Object} History event
+ */
+export function createHistoryEvent({ ruleName, windowId, action, tabs }, now = Date.now()) {
+  return {
+    // Reason: Two shortcut presses can land in the same millisecond, so add a random suffix
+    id: `event-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: now,
+    ruleName,
+    windowId,
+    action,
+    tabs,
+  };
+}
+
+/**
+ * Add an event to the top of the history, dropping the oldest beyond the limit
+ * @param {Array} history - Events, newest first
+ * @param {Object} event - Event to add
+ * @param {number} [limit] - Maximum number of events
+ * @returns {Array} New history
+ */
+export function pushHistoryEvent(history, event, limit = MAX_HISTORY_EVENTS) {
+  return [event, ...history].slice(0, limit);
+}
+
+/**
+ * Remove an event from the history
+ * @param {Array} history - Events, newest first
+ * @param {string} eventId - ID of the event to remove
+ * @returns {Array} New history
+ */
+export function removeHistoryEvent(history, eventId) {
+  return history.filter(event => event.id !== eventId);
+}
+
+/**
+ * Take selected tabs out of the history, dropping events left with no tabs
+ * @param {Array} history - Events, newest first
+ * @param {Array<{eventId: string, tabId: number}>} selection - Tabs to take, by event and recorded tab ID
+ * @returns {{history: Array, taken: Array}} The remaining history, and the taken tabs as copies
+ *   of the events they came from holding only those tabs
+ */
+export function takeTabsFromHistory(history, selection) {
+  const remaining = [];
+  const taken = [];
+
+  for (const event of history) {
+    const selectedIds = new Set(selection.filter(item => item.eventId === event.id).map(item => item.tabId));
+    if (selectedIds.size === 0) {
+      remaining.push(event);
+      continue;
+    }
+
+    const tabs = event.tabs.filter(tab => selectedIds.has(tab.id));
+    const kept = event.tabs.filter(tab => !selectedIds.has(tab.id));
+    if (tabs.length > 0) {
+      taken.push({ ...event, tabs });
+    }
+    if (kept.length > 0) {
+      remaining.push({ ...event, tabs: kept });
+    }
+  }
+
+  return { history: remaining, taken };
+}
+
+/**
+ * Put an event, or some of its tabs, back into the history after an undo that could not restore them
+ * Reason: Undo takes the event off the history first, so nothing is lost when it finds nothing to do
+ * @param {Array} history - Events, newest first
+ * @param {Object} event - Event, possibly holding only some of its tabs
+ * @param {number} [limit] - Maximum number of events
+ * @returns {Array} New history: the tabs join the event if it is still there, otherwise the event
+ *   goes back in its place by timestamp
+ */
+export function returnToHistory(history, event, limit = MAX_HISTORY_EVENTS) {
+  if (history.some(entry => entry.id === event.id)) {
+    return history.map(entry => (entry.id === event.id ? { ...entry, tabs: [...entry.tabs, ...event.tabs] } : entry));
+  }
+  const index = history.findIndex(entry => entry.timestamp < event.timestamp);
+  const position = index === -1 ? history.length : index;
+  return [...history.slice(0, position), event, ...history.slice(position)].slice(0, limit);
+}
+
+/**
+ * Split tab records by the action that was applied to them, so each part can be undone
+ * Reason: Records from before actions were stored per tab fall back to the event's action
+ * @param {Array} tabs - Tab records
+ * @param {string|null} fallbackAction - The event's action
+ * @returns {Array<{action: string, tabs: Array}>}
+ */
+export function groupTabsByAction(tabs, fallbackAction) {
+  const byAction = new Map();
+  for (const tab of tabs) {
+    const action = tab.action ?? fallbackAction;
+    if (!byAction.has(action)) {
+      byAction.set(action, []);
+    }
+    byAction.get(action).push(tab);
+  }
+  return [...byAction].map(([action, actionTabs]) => ({ action, tabs: actionTabs }));
+}
+
+/**
+ * The action shared by all tab records, or null when a run mixed several actions
+ * @param {Array} tabs - Tab records
+ * @returns {string|null}
+ */
+export function getSharedAction(tabs) {
+  const actions = new Set(tabs.map(tab => tab.action));
+  return actions.size === 1 ? [...actions][0] : null;
+}
+
+/**
+ * Load the history from local storage
+ * @returns {Promise<Array>} Events, newest first
+ */
+export async function loadHistory() {
+  const data = await chrome.storage.local.get(['closeHistory']);
+  return data.closeHistory || [];
+}
+
+// Reason: Updates are read-modify-write, so chain them to keep quick successive runs from
+// overwriting each other's events
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Apply a change to the stored history, one update at a time
+ * @param {Function} change - Receives the current history and returns the new one
+ * @returns {Promise<Array>} The new history
+ */
+export function updateHistory(change) {
+  const update = pendingUpdate.then(async () => {
+    const history = change(await loadHistory());
+    await chrome.storage.local.set({ closeHistory: history });
+    return history;
+  });
+  // Reason: A failed update must not block the ones queued after it
+  pendingUpdate = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Describe how long ago an event happened, e.g. "just now", "5 min ago", "2 h ago"
+ * @param {number} timestamp - Event timestamp in ms
+ * @param {number} [now] - Current time in ms, for tests
+ * @returns {string}
+ */
+export function formatTimeAgo(timestamp, now = Date.now()) {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} h ago`;
+  }
+  return `${Math.floor(hours / 24)} d ago`;
+}
@@ -0,0 +1,265 @@
+// Message protocol between the popup, the dashboard and the service worker
+// Every request is declared with its arguments and response data, checked on arrival, and
+// answered with { ok, data, error }; only sendMessage touches Chrome APIs
+
+import {
+  MATCH_MODES,
+  CUSTOM_RULE_MODES,
+  KEEP_STRATEGIES,
+  SCOPES,
+  ACTIONS,
+  PATTERN_SYNTAXES,
+} from './utils.js';
+import { getRuleKind, hasRuleMatcher, RULE_KINDS } from './rule-engine.js';
+import { validateConditions, isConditionGroup } from './conditions.js';
+
+// Reason: Acting on hundreds of tabs can take a while, but a hung handler must not hang the popup
+export const MESSAGE_TIMEOUT_MS = 30000;
+
+// Shapes reused by several messages
+const SELECTION = {
+  type: 'array',
+  items: { type: 'object', fields: { eventId: { type: 'string' }, tabId: { type: 'number' } } },
+};
+const MODE = { type: 'string', values: Object.values(MATCH_MODES), optional: true };
+const TEXT = { type: 'string', optional: true };
+const PATTERN_LIST = { type: 'array', items: { type: 'string' }, optional: true };
+
+// Fields both kinds of rule share
+const RULE_OPTIONS = {
+  name: { type: 'string' },
+  keep: { type: 'string', values: Object.keys(KEEP_STRATEGIES), optional: true },
+  scope: { type: 'string', values: Object.keys(SCOPES), optional: true },
+  scopeGroupTitle: TEXT,
+  action: { type: 'string', values: Object.keys(ACTIONS), optional: true },
+  actionTarget: TEXT,
+};
+
+const CUSTOM_RULE = {
+  type: 'object',
+  fields: {
+    ...RULE_OPTIONS,
+    enabled: { type: 'boolean', optional: true },
+    syntax: { type: 'string', values: Object.keys(PATTERN_SYNTAXES), optional: true },
+    regex: { type: 'string' },
+    include: PATTERN_LIST,
+    exclude: PATTERN_LIST,
+    conditions: {
+      type: 'object',
+      optional: true,
+      check: conditions => (isConditionGroup(conditions) ? validateConditions(conditions) : ['Not a condition group']),
+    },
+    mode: { type: 'string', values: Object.values(CUSTOM_RULE_MODES), optional: true },
+  },
+  check: rule => (hasRuleMatcher(rule) ? [] : ['Needs a pattern, or a condition outside dedupe mode']),
+};
+
+// Reason: The mode is required, so an object that is not a rule is never run as the predefined rule
+const PREDEFINED_RULE = {
+  type: 'object',
+  fields: { ...RULE_OPTIONS, mode: { ...MODE, optional: false } },
+};
+
+// Reason: Checked as the kind the rule engine will treat it as, which depends on whether it has a regex
+const RULE = {
+  type: 'object',
+  variants: { [RULE_KINDS.CUSTOM]: CUSTOM_RULE, [RULE_KINDS.PREDEFINED]: PREDEFINED_RULE },
+  variantOf: getRuleKind,
+};
+
+/**
+ * Requests the service worker handles, keyed by action
+ * args declares each argument of the request, data the shape of a successful response's data
+ * (undefined when there is none). Shapes are { type, optional, values, fields, items, variants,
+ * variantOf, check }, where type is string, number, boolean, object or array.
+ */
+export const MESSAGES = {
+  executeCloseDuplicates: { args: { mode: MODE } },
+  executeCustomRule: { args: { rule: CUSTOM_RULE } },
+  executeAllRules: { args: {} },
+  planRule: {
+    args: { rule: { ...CUSTOM_RULE, optional: true }, mode: MODE },
+    data: { type: 'object', fields: { rule: RULE, groups: { type: 'array' } } },
+  },
+  applyPlan: { args: { rule: RULE, tabIds: { type: 'array', items: { type: 'number' } } } },
+  restoreHistoryEvent: { args: { eventId: { type: 'string', optional: true } } },
+  restoreHistoryTabs: { args: { selection: SELECTION } },
+  forgetHistoryTabs: { args: { selection: SELECTION } },
+  syncRules: { args: {} },
+  // Reason: Answered once the service worker has migrated storage, so pages can wait before writing
+  waitForMigration: { args: {} },
+};
+
+/**
+ * Check a value against a declared shape
+ * @param {*} value - Value to check
+ * @param {Object} shape - { type, optional, values, fields, items, variants, variantOf, check }, where
+ *   variantOf picks the key of the variants shape the value must also fit, and check returns
+ *   further problems with a value whose fields and items fit
+ * @param {string} path - Where the value is, for messages, e.g. "selection[0].tabId"
+ * @returns {Array<string>} Problems found, empty if the value fits
+ */
+export function checkShape(value, shape, path) {
+  if (value === undefined) {
+    return shape.optional ? [] : [`${path} is missing`];
+  }
+
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (type !== shape.type) {
+    return [`${path} should be ${shape.type === 'array' || shape.type === 'object' ? 'an' : 'a'} ${shape.type}, not ${type}`];
+  }
+  if (shape.values && !shape.values.includes(value)) {
+    return [`${path} has an unknown value "${value}"`];
+  }
+  if (shape.variants) {
+    return checkShape(value, shape.variants[shape.variantOf(value)], path);
+  }
+  const errors = [
+    ...Object.entries(shape.fields ?? {}).flatMap(([name, field]) => checkShape(value[name], field, `${path}.${name}`)),
+    ...(shape.items ? value.flatMap((item, index) => checkShape(item, shape.items, `${path}[${index}]`)) : []),
+  ];
+  // Reason: The check may read the fields, so it only runs once they have the declared shapes
+  if (errors.length === 0 && shape.check) {
+    return shape.check(value).map(message => `${path}: ${message}`);
+  }
+  return errors;
+}
+
+/**
+ * Check a request against its declaration
+ * Reason: Arguments the declaration does not list are rejected, so a typo in a caller fails loudly
+ * @param {Object} request - { action, ...args }
+ * @param {Object} [messages] - Declarations, see MESSAGES
+ * @returns {Array<string>} Problems found, empty if the request is valid
+ */
+export function validateRequest(request, messages = MESSAGES) {
+  if (typeof request !== 'object' || request === null || typeof request.action !== 'string') {
+    return ['The message has no action'];
+  }
+  const declaration = messages[request.action];
+  if (!declaration) {
+    return [`Unknown message "${request.action}"`];
+  }
+
+  const { action, ...args } = request;
+  const unknown = Object.keys(args)
+    .filter(name => !(name in declaration.args))
+    .map(name => `${action} has an unknown argument "${name}"`);
+  const invalid = Object.entries(declaration.args).flatMap(([name, shape]) => checkShape(args[name], shape, `${action}.${name}`));
+  return [...unknown, ...invalid];
+}
+
+/**
+ * Reject after a delay
+ * @param {number} ms - Delay in ms
+ * @param {string} message - Error message
+ * @returns {{promise: Promise<never>, cancel: Function}}
+ */
+function createTimeout(ms, message) {
+  let timer;
+  const promise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return { promise, cancel: () => clearTimeout(timer) };
+}
+
+/**
+ * Run a promise with a time limit
+ * @param {Promise} promise
+ * @param {number} ms - Time limit in ms
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, message) {
+  const timeout = createTimeout(ms, message);
+  return Promise.race([promise, timeout.promise]).finally(timeout.cancel);
+}
+
+/**
+ * Validate a request, run its handler and build the response
+ * Never rejects: every failure (invalid request, handler error, invalid response data, timeout)
+ * becomes { ok: false, error }.
+ * @param {Object} request - { action, ...args }
+ * @param {Object} handlers - Action to async function (args, sender) returning the response data
+ * @param {Object} [options]
+ * @param {Object} [options.messages] - Declarations, see MESSAGES
+ * @param {number} [options.timeoutMs] - Time limit for a handler
+ * @param {Object} [options.sender] - Message sender, passed to the handler
+ * @returns {Promise<{ok: boolean, data?: *, error?: string}>}
+ */
+export async function handleMessage(request, handlers, options = {}) {
+  const { messages = MESSAGES, timeoutMs = MESSAGE_TIMEOUT_MS, sender } = options;
+  const errors = validateRequest(request, messages);
+  if (errors.length > 0) {
+    return { ok: false, error: errors.join('; ') };
+  }
+
+  const { action, ...args } = request;
+  const handler = handlers[action];
+  if (!handler) {
+    return { ok: false, error: `No handler for "${action}"` };
+  }
+
+  try {
+    const data = await withTimeout(
+      Promise.resolve().then(() => handler(args, sender)),
+      timeoutMs,
+      `"${action}" did not finish within ${timeoutMs / 1000} s`
+    );
+    const declared = messages[action].data;
+    const dataErrors = declared ? checkShape(data, declared, `${action} response`) : [];
+    if (dataErrors.length > 0) {
+      return { ok: false, error: dataErrors.join('; ') };
+    }
+    return declared ? { ok: true, data } : { ok: true };
+  } catch (error) {
+    console.error(`[Messages] "${action}" failed:`, error);
+    return { ok: false, error: error.message || String(error) };
+  }
+}
+
+/**
+ * Build a chrome.runtime.onMessage listener that routes requests to handlers
+ * @param {Object} handlers - See handleMessage
+ * @param {Object} [options] - See handleMessage
+ * @returns {Function} Listener (request, sender, sendResponse) that always answers asynchronously
+ */
+export function createMessageRouter(handlers, options = {}) {
+  return (request, sender, sendResponse) => {
+    handleMessage(request, handlers, { ...options, sender }).then(sendResponse);
+    // Reason: Keeps the channel open until the handler's promise settles
+    return true;
+  };
+}
+
+/**
+ * Send a request to the service worker and unwrap its response
+ * @param {string} action - One of the MESSAGES keys
+ * @param {Object} [args] - Request arguments
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Time limit, a little over the service worker's own
+ * @returns {Promise<*>} The response data
+ * @throws {Error} If the request is invalid, the service worker reports an error, there is no
+ *   response, or the time limit passes
+ */
+export async function sendMessage(action, args = {}, options = {}) {
+  const request = { action, ...args };
+  const errors = validateRequest(request);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const timeoutMs = options.timeoutMs ?? MESSAGE_TIMEOUT_MS + 1000;
+  const response = await withTimeout(
+    chrome.runtime.sendMessage(request),
+    timeoutMs,
+    `No answer to "${action}" within ${timeoutMs / 1000} s`
+  );
+  if (!response) {
+    throw new Error(`No answer to "${action}"`);
+  }
+  if (!response.ok) {
+    throw new Error(response.error);
+  }
+  return response.data;
+}
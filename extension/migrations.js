@@ -0,0 +1,176 @@
+// Storage schema versions and the migrations between them
+// Each storage area keeps its own `schemaVersion`; the migrations themselves are pure functions
+// over a copy of the area's contents so they can be tested without Chrome
+
+import { MAX_HISTORY_EVENTS, createHistoryEvent } from './history.js';
+import { DEFAULT_ACTION } from './utils.js';
+import { RULE_ORDER_KEY, getRuleKey } from './rule-store.js';
+
+// Key holding the schema version in each storage area
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+/**
+ * Migrations for each storage area, in version order
+ * Reason: Rules and settings live in sync storage and history in local storage, and the two
+ * areas can be at different versions (e.g. sync data written by another device)
+ * Each migrate function receives a copy of the area's contents and returns the new contents
+ */
+export const MIGRATIONS = {
+  sync: [
+    {
+      version: 1,
+      description: 'Give every rule an ID and an explicit enabled flag',
+      migrate(data, { now }) {
+        if (!Array.isArray(data.rules)) {
+          return data;
+        }
+        const rules = data.rules.map((rule, i) => ({
+          ...rule,
+          id: rule.id ?? `custom-${now}-${i}`,
+          enabled: rule.enabled !== false,
+        }));
+        return { ...data, rules };
+      },
+    },
+    {
+      version: 2,
+      description: 'Store each rule as its own sync item instead of one rules array',
+      migrate(data) {
+        const { rules, ...rest } = data;
+        if (!Array.isArray(rules)) {
+          return rest;
+        }
+        // Reason: The old array fitted in one item, so its rules fit as separate items too
+        const ruleItems = Object.fromEntries(rules.map(rule => [getRuleKey(rule.id), rule]));
+        return { ...rest, ...ruleItems, [RULE_ORDER_KEY]: rules.map(rule => rule.id) };
+      },
+    },
+  ],
+  local: [
+    {
+      version: 1,
+      description: 'Move the single undo slot (lastClosedTabs) into the undo history',
+      migrate(data, { now }) {
+        const { lastClosedTabs, closedTabsCount, lastAction, ...rest } = data;
+        if (!Array.isArray(lastClosedTabs) || lastClosedTabs.length === 0) {
+          return rest;
+        }
+        const event = createHistoryEvent({
+          ruleName: 'Earlier version',
+          windowId: lastClosedTabs[0].windowId ?? null,
+          action: lastAction || DEFAULT_ACTION,
+          tabs: lastClosedTabs,
+        }, now);
+        // Reason: The old slot predates any event already in the history, so it goes last
+        const history = Array.isArray(rest.closeHistory) ? rest.closeHistory : [];
+        return { ...rest, closeHistory: [...history, event].slice(0, MAX_HISTORY_EVENTS) };
+      },
+    },
+  ],
+};
+
+/**
+ * The version an area is at once all its migrations have run
+ * @param {Array} migrations - One area's migrations
+ * @returns {number}
+ */
+export function getLatestVersion(migrations) {
+  return migrations.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+}
+
+/**
+ * Run the migrations newer than an area's version
+ * Reason: All or nothing: if one migration throws, the original data and version are returned
+ * so nothing is written and the data stays readable by the code that wrote it
+ * @param {Object} data - The area's contents, without the version key
+ * @param {number} fromVersion - The area's stored version, 0 if it has none
+ * @param {Array} migrations - One area's migrations
+ * @param {Object} [context] - Passed to each migration
+ * @param {number} [context.now] - Timestamp in ms, for tests
+ * @returns {{data: Object, version: number, error: Error|null}}
+ */
+export function applyMigrations(data, fromVersion, migrations, context = { now: Date.now() }) {
+  const pending = migrations
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+
+  let current = data;
+  for (const migration of pending) {
+    try {
+      current = migration.migrate(structuredClone(current), context);
+    } catch (error) {
+      const message = `Migration to version ${migration.version} (${migration.description}) failed: ${error.message}`;
+      return { data, version: fromVersion, error: new Error(message, { cause: error }) };
+    }
+  }
+
+  const version = pending.length > 0 ? pending[pending.length - 1].version : fromVersion;
+  return { data: current, version, error: null };
+}
+
+/**
+ * Work out the storage writes that turn one set of contents into another
+ * @param {Object} before - Contents before migrating
+ * @param {Object} after - Contents after migrating
+ * @returns {{set: Object, remove: Array<string>}} Keys to write and keys to delete
+ */
+export function diffStorage(before, after) {
+  const set = {};
+  for (const [key, value] of Object.entries(after)) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      set[key] = value;
+    }
+  }
+  const remove = Object.keys(before).filter(key => !(key in after));
+  return { set, remove };
+}
+
+/**
+ * Bring one storage area up to the latest schema version
+ * @param {string} areaName - 'sync' or 'local'
+ */
+async function migrateArea(areaName) {
+  const area = chrome.storage[areaName];
+  const migrations = MIGRATIONS[areaName];
+  const { [SCHEMA_VERSION_KEY]: storedVersion = 0, ...data } = await area.get(null);
+
+  if (storedVersion >= getLatestVersion(migrations)) {
+    // Reason: Also covers data written by a newer version of the extension, which is left alone
+    return;
+  }
+
+  const result = applyMigrations(data, storedVersion, migrations);
+  if (result.error) {
+    console.error(`[Migrations] ${areaName} storage left at version ${storedVersion}:`, result.error);
+    return;
+  }
+
+  const { set, remove } = diffStorage(data, result.data);
+  // Reason: The new data and its version are written together, so a half-migrated area never
+  // claims the new version; legacy keys are only removed after that succeeds
+  await area.set({ ...set, [SCHEMA_VERSION_KEY]: result.version });
+  if (remove.length > 0) {
+    await area.remove(remove);
+  }
+  console.log(`[Migrations] ${areaName} storage migrated from version ${storedVersion} to ${result.version}`);
+}
+
+// Reason: Startup and onInstalled both trigger a run, so chain them to avoid migrating twice
+let pendingRun = Promise.resolve();
+
+/**
+ * Migrate sync and local storage, one run at a time
+ * @returns {Promise<void>} Settles when this run is done; errors are logged, not thrown
+ */
+export function migrateStorage() {
+  pendingRun = pendingRun.then(async () => {
+    for (const areaName of Object.keys(MIGRATIONS)) {
+      try {
+        await migrateArea(areaName);
+      } catch (error) {
+        console.error(`[Migrations] Error migrating ${areaName} storage:`, error);
+      }
+    }
+  });
+  return pendingRun;
+}
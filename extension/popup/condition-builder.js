@@ -0,0 +1,251 @@
+// Condition builder in the add/edit rule modal: a group of conditions on tab fields, combined
+// with all/any, each of which can be negated; one level of nested groups is allowed
+
+import {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  CONDITION_MATCH,
+  isConditionGroup,
+} from '../conditions.js';
+import { fillSelect } from '../form-fields.js';
+
+// Reason: Deeper nesting is hard to read in a popup; imported rules may still nest deeper
+const MAX_BUILDER_DEPTH = 1;
+
+const conditionBuilder = document.getElementById('conditionBuilder');
+
+let rootGroup = createGroup();
+let onConditionsChange = () => {};
+
+/**
+ * An empty condition group
+ * @returns {Object}
+ */
+function createGroup() {
+  return { match: 'all', conditions: [] };
+}
+
+/**
+ * A new condition on the URL
+ * @returns {Object}
+ */
+function createCondition() {
+  return { field: 'url', operator: 'contains', value: '' };
+}
+
+/**
+ * Give a condition a valid operator and value for its field's type
+ * @param {Object} condition - Condition, modified in place
+ */
+function fitConditionToField(condition) {
+  const type = CONDITION_FIELDS[condition.field].type;
+  if (!(condition.operator in CONDITION_OPERATORS[type])) {
+    condition.operator = Object.keys(CONDITION_OPERATORS[type])[0];
+  }
+  if (type === 'flag') {
+    delete condition.value;
+  } else if (type === 'age' && typeof condition.value !== 'number') {
+    condition.value = 60;
+  } else if (type === 'text' && typeof condition.value !== 'string') {
+    condition.value = '';
+  }
+}
+
+/**
+ * Re-render the builder and report the change
+ */
+function handleStructureChange() {
+  render();
+  onConditionsChange();
+}
+
+/**
+ * Create the "NOT" toggle shared by conditions and groups
+ * @param {Object} node - Condition or group
+ * @returns {HTMLElement}
+ */
+function createNegateToggle(node) {
+  const label = document.createElement('label');
+  label.className = 'condition-negate';
+  label.title = 'Match when this is not true';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = Boolean(node.negate);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      node.negate = true;
+    } else {
+      delete node.negate;
+    }
+    onConditionsChange();
+  });
+  label.append(checkbox, 'NOT');
+  return label;
+}
+
+/**
+ * Create a small button that removes a node from its group
+ * @param {Object} group - Parent group
+ * @param {Object} node - Child to remove
+ * @param {string} title - Tooltip
+ * @returns {HTMLElement}
+ */
+function createRemoveButton(group, node, title) {
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn-link condition-remove';
+  removeBtn.textContent = '×';
+  removeBtn.title = title;
+  removeBtn.addEventListener('click', () => {
+    group.conditions = group.conditions.filter(child => child !== node);
+    handleStructureChange();
+  });
+  return removeBtn;
+}
+
+/**
+ * Render one condition row
+ * @param {Object} group - Parent group
+ * @param {Object} condition - Condition to edit
+ * @returns {HTMLElement}
+ */
+function createConditionRow(group, condition) {
+  const row = document.createElement('div');
+  row.className = 'condition-row';
+
+  const fieldSelect = document.createElement('select');
+  fillSelect(fieldSelect, Object.fromEntries(Object.entries(CONDITION_FIELDS).map(([key, field]) => [key, field.label])));
+  fieldSelect.value = condition.field;
+  fieldSelect.addEventListener('change', () => {
+    condition.field = fieldSelect.value;
+    fitConditionToField(condition);
+    handleStructureChange();
+  });
+
+  const type = CONDITION_FIELDS[condition.field].type;
+  const operatorSelect = document.createElement('select');
+  fillSelect(operatorSelect, CONDITION_OPERATORS[type]);
+  operatorSelect.value = condition.operator;
+  operatorSelect.addEventListener('change', () => {
+    condition.operator = operatorSelect.value;
+    onConditionsChange();
+  });
+
+  row.append(createNegateToggle(condition), fieldSelect, operatorSelect);
+
+  if (type !== 'flag') {
+    const valueInput = document.createElement('input');
+    valueInput.className = 'condition-value';
+    if (type === 'age') {
+      valueInput.type = 'number';
+      valueInput.min = '0';
+      valueInput.title = 'Minutes';
+    } else {
+      valueInput.type = 'text';
+      valueInput.placeholder = condition.operator === 'matches' ? 'Regex' : 'Text';
+    }
+    valueInput.value = condition.value;
+    // Reason: Update in place without re-rendering, so typing keeps focus
+    valueInput.addEventListener('input', () => {
+      condition.value = type === 'age' ? Number(valueInput.value) : valueInput.value;
+      onConditionsChange();
+    });
+    row.appendChild(valueInput);
+  }
+
+  row.appendChild(createRemoveButton(group, condition, 'Remove this condition'));
+  return row;
+}
+
+/**
+ * Render a group with its conditions and controls
+ * @param {Object} group - Group to edit
+ * @param {Object|null} parent - Parent group, null for the rule's own group
+ * @param {number} depth - 0 for the rule's own group
+ * @returns {HTMLElement}
+ */
+function createGroupElement(group, parent, depth) {
+  const element = document.createElement('div');
+  element.className = depth === 0 ? 'condition-group' : 'condition-group nested';
+
+  const header = document.createElement('div');
+  header.className = 'condition-group-header';
+  const matchSelect = document.createElement('select');
+  fillSelect(matchSelect, CONDITION_MATCH);
+  matchSelect.value = group.match;
+  matchSelect.addEventListener('change', () => {
+    group.match = matchSelect.value;
+    onConditionsChange();
+  });
+  header.append(createNegateToggle(group), matchSelect);
+  if (parent) {
+    header.appendChild(createRemoveButton(parent, group, 'Remove this group'));
+  }
+  element.appendChild(header);
+
+  group.conditions.forEach((child) => {
+    element.appendChild(isConditionGroup(child)
+      ? createGroupElement(child, group, depth + 1)
+      : createConditionRow(group, child));
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'condition-group-actions';
+  const addConditionBtn = document.createElement('button');
+  addConditionBtn.type = 'button';
+  addConditionBtn.className = 'btn-link';
+  addConditionBtn.textContent = '+ Condition';
+  addConditionBtn.addEventListener('click', () => {
+    group.conditions.push(createCondition());
+    handleStructureChange();
+  });
+  actions.appendChild(addConditionBtn);
+  if (depth < MAX_BUILDER_DEPTH) {
+    const addGroupBtn = document.createElement('button');
+    addGroupBtn.type = 'button';
+    addGroupBtn.className = 'btn-link';
+    addGroupBtn.textContent = '+ Group';
+    addGroupBtn.addEventListener('click', () => {
+      group.conditions.push({ match: 'any', conditions: [createCondition()] });
+      handleStructureChange();
+    });
+    actions.appendChild(addGroupBtn);
+  }
+  element.appendChild(actions);
+
+  return element;
+}
+
+/**
+ * Render the whole builder from the current group
+ */
+function render() {
+  conditionBuilder.innerHTML = '';
+  conditionBuilder.appendChild(createGroupElement(rootGroup, null, 0));
+}
+
+/**
+ * Load a rule's conditions into the builder
+ * @param {Object|undefined} conditions - The rule's condition group, if any
+ */
+export function setConditions(conditions) {
+  rootGroup = isConditionGroup(conditions) ? structuredClone(conditions) : createGroup();
+  render();
+}
+
+/**
+ * The conditions as edited, in the stored format
+ * @returns {Object|undefined} A condition group, or undefined when there are no conditions
+ */
+export function getConditions() {
+  return rootGroup.conditions.length > 0 ? structuredClone(rootGroup) : undefined;
+}
+
+/**
+ * Set up the builder
+ * @param {Function} onChange - Called whenever a condition changes, e.g. to re-run the tester
+ */
+export function initConditionBuilder(onChange) {
+  onConditionsChange = onChange;
+  render();
+}
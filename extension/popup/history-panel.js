@@ -0,0 +1,232 @@
+// Undo history section of the popup: the most recent event, a list of earlier ones, and a
+// picker for restoring individual tabs
+
+import { ACTION_PAST_TENSE, DEFAULT_ACTION } from '../utils.js';
+import { loadHistory, formatTimeAgo } from '../history.js';
+import { sendMessage } from '../messages.js';
+import { showError } from '../error-banner.js';
+
+const reopenSection = document.getElementById('reopenSection');
+const reopenBtn = document.getElementById('reopenBtn');
+const closedCountSpan = document.getElementById('closedCount');
+const historyList = document.getElementById('historyList');
+const restoreSearch = document.getElementById('restoreSearch');
+const restoreList = document.getElementById('restoreList');
+
+// Reason: Kept across re-renders so searching does not lose ticked tabs
+const selectedKeys = new Set();
+let currentHistory = [];
+
+/**
+ * Key identifying a tab record within the history
+ * @param {string} eventId - History event ID
+ * @param {number} tabId - Recorded tab ID
+ * @returns {string}
+ */
+function toKey(eventId, tabId) {
+  return `${eventId}:${tabId}`;
+}
+
+/**
+ * Describe what an event did, e.g. "3 tabs closed"
+ * @param {Object} event - History event
+ * @returns {string}
+ */
+function describeEvent(event) {
+  const count = event.tabs.length;
+  return `${count} tab${count > 1 ? 's' : ''} ${describeAction(event.action)}`;
+}
+
+/**
+ * Past tense of an event's action
+ * Reason: null marks a run of several rules with different actions, older events have no action
+ * @param {string|null|undefined} action - Event or tab action
+ * @returns {string}
+ */
+function describeAction(action) {
+  return action === null ? 'processed' : ACTION_PAST_TENSE[action || DEFAULT_ACTION];
+}
+
+/**
+ * Ask the background to undo an event, then re-render
+ * @param {string} [eventId] - Event to undo, defaults to the most recent one
+ */
+async function restoreEvent(eventId) {
+  try {
+    await sendMessage('restoreHistoryEvent', { eventId });
+  } catch (error) {
+    showError('Could not undo', error);
+  }
+  renderHistory();
+}
+
+/**
+ * Ask the background to restore or forget tabs, then re-render
+ * @param {string} action - 'restoreHistoryTabs' or 'forgetHistoryTabs'
+ * @param {Array<{eventId: string, tabId: number}>} selection - Tabs to act on
+ */
+async function sendSelection(action, selection) {
+  if (selection.length === 0) {
+    return;
+  }
+  try {
+    await sendMessage(action, { selection });
+    selection.forEach(({ eventId, tabId }) => selectedKeys.delete(toKey(eventId, tabId)));
+  } catch (error) {
+    showError(action === 'restoreHistoryTabs' ? 'Could not restore tabs' : 'Could not remove tabs from history', error);
+  }
+  renderHistory();
+}
+
+/**
+ * Get the ticked tabs that are still in the history
+ * @returns {Array<{eventId: string, tabId: number}>}
+ */
+function getSelection() {
+  return currentHistory.flatMap(event => event.tabs
+    .filter(tab => selectedKeys.has(toKey(event.id, tab.id)))
+    .map(tab => ({ eventId: event.id, tabId: tab.id }))
+  );
+}
+
+/**
+ * Get every tab in the history
+ * @returns {Array<{eventId: string, tabId: number}>}
+ */
+function getAllTabs() {
+  return currentHistory.flatMap(event => event.tabs.map(tab => ({ eventId: event.id, tabId: tab.id })));
+}
+
+/**
+ * Render one picker row: checkbox, favicon, title, URL and the rule that acted on the tab
+ * @param {Object} event - History event
+ * @param {Object} tab - Tab record
+ * @returns {HTMLElement}
+ */
+function createPickerRow(event, tab) {
+  const key = toKey(event.id, tab.id);
+  const row = document.createElement('li');
+  const label = document.createElement('label');
+  label.className = 'tab-row';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedKeys.has(key);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedKeys.add(key);
+    } else {
+      selectedKeys.delete(key);
+    }
+  });
+
+  const favicon = document.createElement('img');
+  favicon.className = 'tab-favicon';
+  favicon.alt = '';
+  // Reason: Pages without a favicon (or records from before favicons were kept) get an empty slot
+  if (tab.favIconUrl) {
+    favicon.src = tab.favIconUrl;
+  }
+
+  const details = document.createElement('div');
+  details.className = 'tab-details';
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  title.textContent = tab.title || tab.url;
+  const url = document.createElement('div');
+  url.className = 'tab-url';
+  url.textContent = tab.url;
+  const rule = document.createElement('div');
+  rule.className = 'tab-meta';
+  rule.textContent = `${describeAction(tab.action ?? event.action)} by ${event.ruleName || 'Rule'} · ${formatTimeAgo(event.timestamp)}`;
+  details.append(title, url, rule);
+
+  label.append(checkbox, favicon, details);
+  row.appendChild(label);
+  return row;
+}
+
+/**
+ * Render the picker rows that match the search box
+ */
+function renderPicker() {
+  const query = restoreSearch.value.trim().toLowerCase();
+  restoreList.innerHTML = '';
+
+  currentHistory.forEach((event) => {
+    event.tabs.forEach((tab) => {
+      const text = `${tab.title || ''} ${tab.url} ${event.ruleName || ''}`.toLowerCase();
+      if (!query || text.includes(query)) {
+        restoreList.appendChild(createPickerRow(event, tab));
+      }
+    });
+  });
+}
+
+/**
+ * Render one list row for an event
+ * @param {Object} event - History event
+ * @returns {HTMLElement}
+ */
+function createEventRow(event) {
+  const row = document.createElement('li');
+  row.className = 'history-item';
+
+  const text = document.createElement('span');
+  text.className = 'history-text';
+  text.textContent = `${event.ruleName || 'Rule'} · ${describeEvent(event)} · ${formatTimeAgo(event.timestamp)}`;
+  text.title = event.tabs.map(tab => tab.title || tab.url).join('\n');
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.type = 'button';
+  restoreBtn.className = 'btn-link';
+  restoreBtn.textContent = 'Undo';
+  restoreBtn.addEventListener('click', () => restoreEvent(event.id));
+
+  row.appendChild(text);
+  row.appendChild(restoreBtn);
+  return row;
+}
+
+/**
+ * Render the undo history from local storage
+ */
+export async function renderHistory() {
+  const history = await loadHistory();
+  currentHistory = history;
+  if (history.length === 0) {
+    reopenSection.style.display = 'none';
+    return;
+  }
+
+  const [latest] = history;
+  const action = latest.action === null ? null : latest.action || DEFAULT_ACTION;
+  reopenSection.style.display = 'block';
+  // Reason: Closing actions are undone by reopening, the others (or a mix) by putting tabs back
+  reopenBtn.textContent = ['close', 'bookmark'].includes(action) ? 'Reopen Last Closed' : 'Undo Last Action';
+  closedCountSpan.textContent = `(${describeEvent(latest)})`;
+
+  historyList.innerHTML = '';
+  history.forEach((event) => {
+    historyList.appendChild(createEventRow(event));
+  });
+
+  renderPicker();
+}
+
+/**
+ * Set up the reopen button and the restore picker
+ */
+export function initHistoryPanel() {
+  reopenBtn.addEventListener('click', () => restoreEvent());
+  restoreSearch.addEventListener('input', renderPicker);
+  document.getElementById('restoreSelectedBtn').addEventListener('click', () => {
+    sendSelection('restoreHistoryTabs', getSelection());
+  });
+  document.getElementById('restoreAllBtn').addEventListener('click', () => {
+    sendSelection('restoreHistoryTabs', getAllTabs());
+  });
+  document.getElementById('forgetSelectedBtn').addEventListener('click', () => {
+    sendSelection('forgetHistoryTabs', getSelection());
+  });
+}
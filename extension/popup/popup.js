@@ -1,24 +1,86 @@
 // Popup UI logic for close-duplicate-tabs extension
 
+import { initSettingsPanel } from './settings-panel.js';
+import { fillSelect, syncDependentField } from '../form-fields.js';
+import { initHistoryPanel, renderHistory } from './history-panel.js';
+import { initPreviewPanel, showPreview } from './preview-panel.js';
+import { initTransferPanel } from './transfer-panel.js';
+import { initRegexTester, refreshRegexTester, updateRegexTester } from './regex-tester.js';
+import { initConditionBuilder, setConditions, getConditions } from './condition-builder.js';
+import { validateConditions, describeConditions } from '../conditions.js';
+import { loadRules, saveRules as storeRules, NOT_SYNCING_REASONS } from '../rule-store.js';
+import { getRuleAction, hasRuleMatcher } from '../rule-engine.js';
+import { sendMessage } from '../messages.js';
+import { initErrorBanner, showError } from '../error-banner.js';
+import {
+  CUSTOM_RULE_MODES,
+  KEEP_STRATEGIES,
+  DEFAULT_KEEP_STRATEGY,
+  SCOPES,
+  DEFAULT_SCOPE,
+  PATTERN_SYNTAXES,
+  DEFAULT_PATTERN_SYNTAX,
+  describeScope,
+  getRulePatternError,
+  isRuleEnabled,
+  moveRule,
+  ACTIONS,
+  ACTIONS_WITH_TARGET,
+  DEFAULT_ACTION,
+} from '../utils.js';
+
+// Example pattern, include and exclude for each pattern syntax
+const PATTERN_PLACEHOLDERS = {
+  regex: ['e.g., https://github\\.com/.*/issues/.*', 'e.g., jira\\.example\\.com/projects/.*', 'e.g., /secure/RapidBoard'],
+  'url-pattern': ['e.g., https://github.com/*/issues/*', 'e.g., *://*.atlassian.net/browse/:key', 'e.g., */secure/RapidBoard*'],
+};
+
 const predefinedRulesContainer = document.getElementById('predefinedRulesContainer');
 const customRulesContainer = document.getElementById('customRulesContainer');
 const addRuleBtn = document.getElementById('addRuleBtn');
 const addRuleModal = document.getElementById('addRuleModal');
 const addRuleForm = document.getElementById('addRuleForm');
-const closeModalBtn = document.querySelector('.close');
-const reopenBtn = document.getElementById('reopenBtn');
-const reopenSection = document.getElementById('reopenSection');
-const closedCountSpan = document.getElementById('closedCount');
+const closeModalBtn = addRuleModal.querySelector('.close');
+const ruleScopeSelect = document.getElementById('ruleScope');
+const ruleScopeGroupTitleLabel = document.getElementById('ruleScopeGroupTitleLabel');
+const ruleActionSelect = document.getElementById('ruleAction');
+const ruleActionTargetLabel = document.getElementById('ruleActionTargetLabel');
+const ruleStorageWarning = document.getElementById('ruleStorageWarning');
+const ruleSyntaxSelect = document.getElementById('ruleSyntax');
+const ruleRegexInput = document.getElementById('ruleRegex');
+const ruleIncludeInput = document.getElementById('ruleInclude');
+const ruleExcludeInput = document.getElementById('ruleExclude');
+
+// Sync storage error from the last save in this popup, shown until the next save
+let lastSaveError = null;
 
 /**
- * Send message to background service worker
- * @param {Object} message - Message object
- * @returns {Promise}
+ * Show or hide the modal fields that depend on the scope and action selects
  */
-function sendToBackground(message) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage(message, resolve);
-  });
+function syncModalFields() {
+  syncDependentField(ruleScopeSelect, ruleScopeGroupTitleLabel, ['tab-group']);
+  syncDependentField(ruleActionSelect, ruleActionTargetLabel, ACTIONS_WITH_TARGET);
+  const placeholders = PATTERN_PLACEHOLDERS[ruleSyntaxSelect.value] || PATTERN_PLACEHOLDERS[DEFAULT_PATTERN_SYNTAX];
+  [ruleRegexInput.placeholder, ruleIncludeInput.placeholder, ruleExcludeInput.placeholder] = placeholders;
+}
+
+/**
+ * Save custom rules to sync storage and the local cache
+ * Rules that do not fit in sync storage are kept on this device, see rule-store.js
+ * @param {Array} rules - Custom rules, in run order
+ */
+async function saveRules(rules) {
+  const { error } = await storeRules(rules);
+  lastSaveError = error;
+}
+
+/**
+ * Change the stored custom rules and re-render them
+ * @param {Function} change - Receives the current rules and returns the new ones
+ */
+async function updateRules(change) {
+  await saveRules(change(await loadRules()));
+  await loadPopupData();
 }
 
 /**
@@ -27,14 +89,26 @@ function sendToBackground(message) {
 async function deleteRule(ruleId) {
   if (!confirm('Delete this rule?')) return;
 
-  const data = await chrome.storage.sync.get(['rules']);
-  const rules = (data.rules || []).filter((r) => r.id !== ruleId);
-  await chrome.storage.sync.set({ rules });
+  await updateRules(rules => rules.filter((r) => r.id !== ruleId));
+}
 
-  // Sync the rules to local storage immediately for consistency
-  await chrome.storage.local.set({ cachedRules: rules });
+/**
+ * Enable or disable a custom rule
+ * @param {string} ruleId - Rule ID
+ * @param {boolean} enabled - New state
+ */
+async function setRuleEnabled(ruleId, enabled) {
+  await updateRules(rules => rules.map((r) => (r.id === ruleId ? { ...r, enabled } : r)));
+}
 
-  loadPopupData();
+/**
+ * Move a custom rule to a new position and keep keyboard focus on it
+ * @param {string} ruleId - Rule ID
+ * @param {number} toIndex - New position
+ */
+async function reorderRule(ruleId, toIndex) {
+  await updateRules(rules => moveRule(rules, ruleId, toIndex));
+  customRulesContainer.querySelector(`[data-rule-id="${CSS.escape(ruleId)}"]`)?.focus();
 }
 
 /**
@@ -43,67 +117,71 @@ async function deleteRule(ruleId) {
 function editRule(rule) {
   document.querySelector('.modal-content h2').textContent = 'Edit Custom Rule';
   document.getElementById('ruleName').value = rule.name;
-  document.getElementById('ruleRegex').value = rule.regex;
+  ruleSyntaxSelect.value = rule.syntax || DEFAULT_PATTERN_SYNTAX;
+  ruleRegexInput.value = rule.regex;
+  ruleIncludeInput.value = (rule.include || []).join('\n');
+  ruleExcludeInput.value = (rule.exclude || []).join('\n');
+  setConditions(rule.conditions);
+  document.getElementById('ruleMode').value = rule.mode || CUSTOM_RULE_MODES.CLOSE_ALL;
+  document.getElementById('ruleKeep').value = rule.keep || DEFAULT_KEEP_STRATEGY;
+  ruleScopeSelect.value = rule.scope || DEFAULT_SCOPE;
+  document.getElementById('ruleScopeGroupTitle').value = rule.scopeGroupTitle || '';
+  ruleActionSelect.value = rule.action || DEFAULT_ACTION;
+  document.getElementById('ruleActionTarget').value = rule.actionTarget || '';
+  syncModalFields();
   addRuleModal.setAttribute('data-edit-id', rule.id);
   addRuleModal.style.display = 'flex';
+  refreshRegexTester();
 }
 
 /**
- * Test a custom rule - show which tabs would be closed
+ * Execute a custom rule by sending it to the background service worker
  */
-async function testRule(rule) {
+async function executeRule(rule) {
   try {
-    const response = await sendToBackground({
-      action: 'testCustomRule',
-      ruleRegex: rule.regex,
-    });
-
-    if (response.matchingTabIds && response.matchingTabIds.length > 0) {
-      alert(`Found ${response.matchingTabIds.length} matching tabs.\n\nTab IDs: ${response.matchingTabIds.join(', ')}`);
-    } else {
-      alert('No matching tabs found for this rule.');
-    }
+    console.log('Executing custom rule:', rule.name, 'Pattern:', rule.regex);
+    await sendMessage('executeCustomRule', { rule });
+    // Refresh popup data to show the new undo history entry
+    await loadPopupData();
   } catch (error) {
-    alert(`Error testing rule: ${error.message}`);
+    showError(`Could not run "${rule.name}"`, error);
   }
 }
 
 /**
- * Execute a custom rule by sending it to the background service worker
+ * Run the default rule and every enabled custom rule as one cleanup
  */
-async function executeRule(rule) {
+async function executeAllRules() {
   try {
-    console.log('Executing custom rule:', rule.name, 'Pattern:', rule.regex);
-    const response = await sendToBackground({
-      action: 'executeCustomRule',
-      ruleName: rule.name,
-      ruleRegex: rule.regex,
-    });
-    console.log('Custom rule response:', response);
-    // Refresh popup data to show updated closed count
+    await sendMessage('executeAllRules');
+    // Refresh popup data to show the new undo history entry
     await loadPopupData();
   } catch (error) {
-    console.error('Error executing custom rule:', error);
-    alert(`Error executing rule "${rule.name}": ${error.message}`);
+    showError('Could not run all rules', error);
   }
 }
 
 /**
  * Handle predefined rule click
+ * @param {string} ruleType - Match mode from the button's data-rule attribute
  */
-function handlePredefinedRuleClick(ruleType) {
-  if (ruleType === 'ignore-params') {
-    // The utility functions handle this
-    sendToBackground({ action: 'executeCloseDuplicates' });
+async function handlePredefinedRuleClick(ruleType) {
+  try {
+    await sendMessage('executeCloseDuplicates', { mode: ruleType });
+    // Refresh popup data to show the new undo history entry
+    await loadPopupData();
+  } catch (error) {
+    showError('Could not close duplicates', error);
   }
 }
 
 /**
- * Handle reopen button click
+ * Read one pattern per line, skipping blank lines
+ * @param {string} text - Textarea value
+ * @returns {Array<string>}
  */
-async function handleReopen() {
-  await sendToBackground({ action: 'restoreLastClosed' });
-  updateReopenButton();
+function parsePatternList(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
 }
 
 /**
@@ -113,48 +191,84 @@ async function handleAddRule(e) {
   e.preventDefault();
 
   const name = document.getElementById('ruleName').value.trim();
-  const regex = document.getElementById('ruleRegex').value.trim();
+  const syntax = ruleSyntaxSelect.value;
+  const regex = ruleRegexInput.value.trim();
+  const mode = document.getElementById('ruleMode').value;
+  const keep = document.getElementById('ruleKeep').value;
+  const scope = ruleScopeSelect.value;
+  const scopeGroupTitle = document.getElementById('ruleScopeGroupTitle').value.trim();
+  const action = ruleActionSelect.value;
+  const actionTarget = document.getElementById('ruleActionTarget').value.trim();
+  const include = parsePatternList(ruleIncludeInput.value);
+  const exclude = parsePatternList(ruleExcludeInput.value);
+  const conditions = getConditions();
+
+  if (!name) {
+    alert('Please enter a rule name');
+    return;
+  }
 
-  if (!name || !regex) {
-    alert('Please fill in all fields');
+  // Reason: Conditions can do all the matching, but dedupe mode needs a pattern for its keys
+  if (!hasRuleMatcher({ regex, include, conditions, mode })) {
+    alert(conditions ? 'Dedupe mode needs a pattern' : 'Please enter a pattern or add a condition');
     return;
   }
 
-  // Validate regex
-  try {
-    new RegExp(regex);
-  } catch {
-    alert('Invalid regex pattern');
+  const conditionErrors = validateConditions(conditions);
+  if (conditionErrors.length > 0) {
+    alert(conditionErrors.join('\n'));
+    return;
+  }
+
+  if (scope === 'tab-group' && !scopeGroupTitle) {
+    alert('Please enter the tab group title');
     return;
   }
 
-  const data = await chrome.storage.sync.get(['rules']);
-  let rules = data.rules || [];
+  // Validate the pattern and include/exclude patterns
+  const patternError = getRulePatternError({ regex, include, exclude, syntax });
+  if (patternError) {
+    alert(`${patternError.label} is invalid: ${patternError.message} (at position ${patternError.position + 1})`);
+    return;
+  }
+
+  let rules = await loadRules();
 
   const editId = addRuleModal.getAttribute('data-edit-id');
 
   if (editId) {
     // Edit mode: update existing rule
+    // Reason: Storage drops undefined values, so removing every condition removes the field
     rules = rules.map((r) =>
-      r.id === editId ? { ...r, name, regex } : r
+      r.id === editId ? { ...r, name, syntax, regex, include, exclude, conditions, mode, keep, scope, scopeGroupTitle, action, actionTarget } : r
     );
     addRuleModal.removeAttribute('data-edit-id');
   } else {
     // Add mode: create new rule
     const newRule = {
       id: `custom-${Date.now()}`,
+      enabled: true,
       name,
+      syntax,
       regex,
+      include,
+      exclude,
+      conditions,
+      mode,
+      keep,
+      scope,
+      scopeGroupTitle,
+      action,
+      actionTarget,
     };
     rules.push(newRule);
   }
 
-  await chrome.storage.sync.set({ rules });
-
-  // Sync the rules to local storage immediately for consistency
-  await chrome.storage.local.set({ cachedRules: rules });
+  await saveRules(rules);
 
   addRuleForm.reset();
+  setConditions(undefined);
+  syncModalFields();
   addRuleModal.style.display = 'none';
   // Reset modal title for next use
   document.querySelector('.modal-content h2').textContent = 'Add Custom Rule';
@@ -165,8 +279,18 @@ async function handleAddRule(e) {
  * Initialize modal
  */
 function initModal() {
+  fillSelect(ruleSyntaxSelect, PATTERN_SYNTAXES);
+  fillSelect(document.getElementById('ruleKeep'), KEEP_STRATEGIES);
+  fillSelect(ruleScopeSelect, SCOPES);
+  fillSelect(ruleActionSelect, ACTIONS);
+  syncModalFields();
+  ruleScopeSelect.addEventListener('change', syncModalFields);
+  ruleActionSelect.addEventListener('change', syncModalFields);
+  ruleSyntaxSelect.addEventListener('change', syncModalFields);
+
   addRuleBtn.addEventListener('click', () => {
     addRuleModal.style.display = 'flex';
+    refreshRegexTester();
   });
 
   closeModalBtn.addEventListener('click', () => {
@@ -180,6 +304,8 @@ function initModal() {
   });
 
   addRuleForm.addEventListener('submit', handleAddRule);
+  initConditionBuilder(updateRegexTester);
+  initRegexTester();
 }
 
 /**
@@ -188,24 +314,51 @@ function initModal() {
 async function loadPopupData() {
   // Reason: Load from local storage immediately for fast popup display
   // Then trigger background sync to keep cached rules up-to-date
-  const localData = await chrome.storage.local.get(['cachedRules', 'closedTabsCount']);
+  const localData = await chrome.storage.local.get(['cachedRules', 'unsyncedRules']);
 
   const rules = localData.cachedRules || [];
-  const count = localData.closedTabsCount || 0;
+  const notSyncing = localData.unsyncedRules || {};
 
   // Render UI with cached data immediately
-  renderRules(rules, count);
+  renderRules(rules, notSyncing);
+  renderRuleStorageWarning(notSyncing);
+  renderHistory();
 
   // Trigger background sync in the background (doesn't block UI)
-  sendToBackground({ action: 'syncRules' }).catch((error) => {
+  sendMessage('syncRules').catch((error) => {
     console.error('Error syncing rules in background:', error);
   });
 }
 
 /**
- * Render rules and reopen button to the UI
+ * Explain which rules are stored on this device only, and why
+ * @param {Object} notSyncing - Rule ID to NOT_SYNCING_REASONS key
  */
-function renderRules(rules, count) {
+function renderRuleStorageWarning(notSyncing) {
+  const count = Object.keys(notSyncing).length;
+  if (count === 0 && !lastSaveError) {
+    ruleStorageWarning.style.display = 'none';
+    return;
+  }
+
+  const reasons = [...new Set(Object.values(notSyncing))].map(reason => NOT_SYNCING_REASONS[reason]);
+  const lines = [];
+  if (lastSaveError) {
+    lines.push(`Could not save rules to sync storage: ${lastSaveError}`);
+  }
+  if (count > 0) {
+    lines.push(`${count} rule${count > 1 ? 's are' : ' is'} saved on this device only and will not sync (${reasons.join('; ')}).`);
+  }
+  ruleStorageWarning.textContent = lines.join(' ');
+  ruleStorageWarning.style.display = 'block';
+}
+
+/**
+ * Render custom rules to the UI
+ * @param {Array} rules - Custom rules, in run order
+ * @param {Object} [notSyncing] - Rule ID to NOT_SYNCING_REASONS key, for rules kept on this device
+ */
+function renderRules(rules, notSyncing = {}) {
 
   // Render custom rules
   customRulesContainer.innerHTML = '';
@@ -214,19 +367,68 @@ function renderRules(rules, count) {
   } else {
     const fragment = document.createDocumentFragment();
     rules.forEach((rule) => {
+      const enabled = isRuleEnabled(rule);
       const ruleBtn = document.createElement('button');
-      ruleBtn.className = 'rule-btn custom';
+      ruleBtn.className = enabled ? 'rule-btn custom' : 'rule-btn custom disabled';
       ruleBtn.textContent = rule.name;
       ruleBtn.type = 'button';
+      ruleBtn.draggable = true;
+      ruleBtn.dataset.ruleId = rule.id;
+      ruleBtn.title = enabled
+        ? 'Click to run. Drag or press Alt+Up/Down to reorder.'
+        : 'Disabled. Tick the box to enable. Drag or press Alt+Up/Down to reorder.';
+
+      // Enabled toggle
+      const enabledToggle = document.createElement('input');
+      enabledToggle.type = 'checkbox';
+      enabledToggle.className = 'rule-enabled-toggle';
+      enabledToggle.checked = enabled;
+      enabledToggle.title = enabled ? 'Disable this rule' : 'Enable this rule';
+      enabledToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+      });
+      enabledToggle.addEventListener('change', () => {
+        setRuleEnabled(rule.id, enabledToggle.checked);
+      });
+      ruleBtn.prepend(enabledToggle);
+
+      // Scope and action label, so it is clear which tabs the rule looks at and what it does
+      const scopeLabel = document.createElement('span');
+      scopeLabel.className = 'rule-scope';
+      scopeLabel.textContent = `${describeScope(rule.scope, rule.scopeGroupTitle)} · ${ACTIONS[getRuleAction(rule).action]}`;
+      ruleBtn.appendChild(scopeLabel);
+
+      if (rule.exclude?.length > 0) {
+        const excludeLabel = document.createElement('span');
+        excludeLabel.className = 'rule-scope';
+        excludeLabel.textContent = `Except ${rule.exclude.join(', ')}`;
+        ruleBtn.appendChild(excludeLabel);
+      }
+
+      const conditionsText = describeConditions(rule.conditions);
+      if (conditionsText) {
+        const conditionsLabel = document.createElement('span');
+        conditionsLabel.className = 'rule-scope';
+        conditionsLabel.textContent = `If ${conditionsText}`;
+        ruleBtn.appendChild(conditionsLabel);
+      }
+
+      if (notSyncing[rule.id]) {
+        const syncBadge = document.createElement('span');
+        syncBadge.className = 'rule-sync-badge';
+        syncBadge.textContent = 'Not syncing';
+        syncBadge.title = NOT_SYNCING_REASONS[notSyncing[rule.id]];
+        ruleBtn.appendChild(syncBadge);
+      }
 
       // Test button
       const testBtn = document.createElement('button');
       testBtn.className = 'rule-action-btn rule-test-btn';
-      testBtn.title = 'Test this rule';
+      testBtn.title = 'Preview this rule';
       testBtn.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        testRule(rule);
+        showPreview({ rule });
       });
 
       // Edit button
@@ -254,40 +456,108 @@ function renderRules(rules, count) {
       ruleBtn.appendChild(deleteBtn);
 
       ruleBtn.addEventListener('click', () => {
-        executeRule(rule);
+        // Reason: Disabled rules stay in the list but cannot run until enabled again
+        if (enabled) {
+          executeRule(rule);
+        }
       });
 
       fragment.appendChild(ruleBtn);
     });
     customRulesContainer.appendChild(fragment);
   }
+}
 
-  // Update reopen button
-  if (count > 0) {
-    reopenSection.style.display = 'block';
-    closedCountSpan.textContent = `(${count} tab${count > 1 ? 's' : ''} closed)`;
-  } else {
-    reopenSection.style.display = 'none';
-  }
+/**
+ * Set up drag-and-drop and Alt+Up/Down reordering of custom rules
+ * Reason: Listeners sit on the container, so they survive every re-render of the rules
+ */
+function initRuleReordering() {
+  const getRuleBtn = target => target.closest('.rule-btn.custom');
+  const getIndex = ruleBtn => [...customRulesContainer.querySelectorAll('.rule-btn.custom')].indexOf(ruleBtn);
+
+  customRulesContainer.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('text/plain', getRuleBtn(e.target).dataset.ruleId);
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  customRulesContainer.addEventListener('dragover', (e) => {
+    const ruleBtn = getRuleBtn(e.target);
+    if (ruleBtn) {
+      e.preventDefault();
+      ruleBtn.classList.add('drag-over');
+    }
+  });
+
+  customRulesContainer.addEventListener('dragleave', (e) => {
+    getRuleBtn(e.target)?.classList.remove('drag-over');
+  });
+
+  customRulesContainer.addEventListener('drop', (e) => {
+    const ruleBtn = getRuleBtn(e.target);
+    if (!ruleBtn) return;
+    e.preventDefault();
+    reorderRule(e.dataTransfer.getData('text/plain'), getIndex(ruleBtn));
+  });
+
+  customRulesContainer.addEventListener('keydown', (e) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    const ruleBtn = getRuleBtn(e.target);
+    if (!ruleBtn) return;
+    e.preventDefault();
+    reorderRule(ruleBtn.dataset.ruleId, getIndex(ruleBtn) + (e.key === 'ArrowUp' ? -1 : 1));
+  });
 }
 
 /**
  * Initialize all listeners and load data
  */
-function init() {
+async function init() {
+  // Reason: The popup writes rules and settings directly, and a migration that is still running
+  // would overwrite those writes with the data it read before them
+  await sendMessage('waitForMigration').catch((error) => {
+    console.error('Error waiting for the storage migration:', error);
+  });
+
   // Set up predefined rule buttons
-  const predefinedBtn = predefinedRulesContainer.querySelector('.rule-btn');
-  if (predefinedBtn) {
+  predefinedRulesContainer.querySelectorAll('.rule-btn').forEach((predefinedBtn) => {
     predefinedBtn.addEventListener('click', () => {
-      handlePredefinedRuleClick('ignore-params');
+      handlePredefinedRuleClick(predefinedBtn.dataset.rule);
     });
-  }
 
-  // Set up reopen button
-  reopenBtn.addEventListener('click', handleReopen);
+    // Reason: Buttons cannot be nested in static HTML, so the preview button is added here
+    const previewBtn = document.createElement('button');
+    previewBtn.type = 'button';
+    previewBtn.className = 'rule-action-btn rule-test-btn';
+    previewBtn.title = 'Preview this rule';
+    previewBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      showPreview({ mode: predefinedBtn.dataset.rule });
+    });
+    predefinedBtn.appendChild(previewBtn);
+  });
+
+  document.getElementById('runAllRulesBtn').addEventListener('click', executeAllRules);
+
+  // Reason: The popup is too small for hundreds of tabs, so the dashboard opens in a tab
+  document.getElementById('openDashboardBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+  });
+
+  initErrorBanner();
+
+  // Set up reopen button and undo history
+  initHistoryPanel();
 
-  // Initialize modal
+  initRuleReordering();
+
+  // Initialize modals
   initModal();
+  initPreviewPanel(loadPopupData);
+
+  initSettingsPanel();
+  initTransferPanel();
 
   // Load all data in parallel
   loadPopupData();
@@ -0,0 +1,231 @@
+// Dry-run preview of a rule: lists the groups it found, lets the user change what is kept or
+// closed, then applies exactly that plan
+
+import { ACTION_PAST_TENSE, SAFEGUARDS } from '../utils.js';
+import { getRuleAction } from '../rule-engine.js';
+import { sendMessage } from '../messages.js';
+import { showError } from '../error-banner.js';
+
+const previewModal = document.getElementById('previewModal');
+const previewTitle = document.getElementById('previewTitle');
+const previewSummary = document.getElementById('previewSummary');
+const previewGroups = document.getElementById('previewGroups');
+const applyPreviewBtn = document.getElementById('applyPreviewBtn');
+
+let currentPlan = null;
+let onPlanApplied = () => {};
+
+/**
+ * Number windows in the order they first appear, so rows can say "Window 2"
+ * @param {Array} groups - Plan groups
+ * @returns {Map<number, number>} Window ID to window number
+ */
+function numberWindows(groups) {
+  const numbers = new Map();
+  groups.forEach(group => group.tabs.forEach((tab) => {
+    if (!numbers.has(tab.windowId)) {
+      numbers.set(tab.windowId, numbers.size + 1);
+    }
+  }));
+  return numbers;
+}
+
+/**
+ * Whether a tab can be ticked for closing at all
+ * Reason: Active tabs are never closed, and spared tabs are protected by a safeguard
+ * @param {Object} tab - Plan tab
+ * @returns {boolean}
+ */
+function isClosable(tab) {
+  return !tab.active && !tab.spared;
+}
+
+/**
+ * Describe a plan tab's state, e.g. "Window 2 · Kept"
+ * @param {Object} tab - Plan tab
+ * @param {Map<number, number>} windowNumbers - Window ID to window number
+ * @returns {string}
+ */
+function describeTab(tab, windowNumbers) {
+  let state;
+  if (tab.spared) {
+    state = `Spared: ${SAFEGUARDS[tab.spared]}`;
+  } else if (tab.active) {
+    state = 'Active tab';
+  } else if (tab.close) {
+    state = `Will be ${ACTION_PAST_TENSE[getRuleAction(currentPlan.rule).action]}`;
+  } else {
+    state = tab.keep ? 'Kept' : 'Left open';
+  }
+  // Reason: Window numbers only help when the plan spans several windows
+  return windowNumbers.size > 1 ? `Window ${windowNumbers.get(tab.windowId)} · ${state}` : state;
+}
+
+/**
+ * Make a tab the one kept in its group, ticking every other closable tab
+ * @param {Object} group - Plan group
+ * @param {Object} keptTab - Tab to keep
+ */
+function keepOnly(group, keptTab) {
+  group.tabs.forEach((tab) => {
+    tab.keep = tab === keptTab;
+    tab.close = !tab.keep && isClosable(tab);
+  });
+  renderPlan();
+}
+
+/**
+ * Tick or untick a tab, never leaving a dedupe group with no open tab
+ * @param {Object} group - Plan group
+ * @param {Object} tab - Plan tab
+ * @param {HTMLInputElement} checkbox - The tab's checkbox
+ */
+function toggleTab(group, tab, checkbox) {
+  if (checkbox.checked && group.keepOne && group.tabs.every(other => other === tab || other.close)) {
+    checkbox.checked = false;
+    return;
+  }
+  tab.close = checkbox.checked;
+  renderPlan();
+}
+
+/**
+ * Render one tab row of a group
+ * @param {Object} group - Plan group
+ * @param {Object} tab - Plan tab
+ * @param {Map<number, number>} windowNumbers - Window ID to window number
+ * @returns {HTMLElement}
+ */
+function createTabRow(group, tab, windowNumbers) {
+  const row = document.createElement('li');
+  row.className = 'tab-row';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = tab.close;
+  checkbox.disabled = !isClosable(tab);
+  checkbox.title = 'Close this tab';
+  checkbox.addEventListener('change', () => toggleTab(group, tab, checkbox));
+
+  const favicon = document.createElement('img');
+  favicon.className = 'tab-favicon';
+  favicon.alt = '';
+  if (tab.favIconUrl) {
+    favicon.src = tab.favIconUrl;
+  }
+
+  const details = document.createElement('div');
+  details.className = 'tab-details';
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  title.textContent = tab.title || tab.url;
+  const url = document.createElement('div');
+  url.className = 'tab-url';
+  url.textContent = tab.url;
+  const state = document.createElement('div');
+  state.className = 'tab-meta';
+  state.textContent = describeTab(tab, windowNumbers);
+  details.append(title, url, state);
+
+  row.append(checkbox, favicon, details);
+
+  if (group.keepOne && !tab.keep) {
+    const keepBtn = document.createElement('button');
+    keepBtn.type = 'button';
+    keepBtn.className = 'btn-link';
+    keepBtn.textContent = 'Keep this';
+    keepBtn.addEventListener('click', () => keepOnly(group, tab));
+    row.appendChild(keepBtn);
+  }
+
+  return row;
+}
+
+/**
+ * Render the current plan and the apply button count
+ */
+function renderPlan() {
+  const { rule, groups } = currentPlan;
+  const windowNumbers = numberWindows(groups);
+  const closeCount = groups.reduce((count, group) => count + group.tabs.filter(tab => tab.close).length, 0);
+  const verb = ACTION_PAST_TENSE[getRuleAction(rule).action];
+
+  previewTitle.textContent = rule.name;
+  previewSummary.textContent = groups.length === 0
+    ? 'No duplicates found for this rule.'
+    : `${groups.length} group${groups.length > 1 ? 's' : ''}, ${closeCount} tab${closeCount === 1 ? '' : 's'} will be ${verb}.`;
+  applyPreviewBtn.disabled = closeCount === 0;
+  applyPreviewBtn.textContent = `Apply (${closeCount})`;
+
+  previewGroups.innerHTML = '';
+  groups.forEach((group) => {
+    const section = document.createElement('div');
+    section.className = 'preview-group';
+    const heading = document.createElement('div');
+    heading.className = 'preview-group-key';
+    heading.textContent = group.key;
+    const list = document.createElement('ul');
+    list.className = 'tab-list';
+    group.tabs.forEach(tab => list.appendChild(createTabRow(group, tab, windowNumbers)));
+    section.append(heading, list);
+    previewGroups.appendChild(section);
+  });
+}
+
+/**
+ * Hide the preview and forget the plan
+ */
+function closePreview() {
+  previewModal.style.display = 'none';
+  currentPlan = null;
+}
+
+/**
+ * Send the reviewed plan to the background
+ */
+async function applyCurrentPlan() {
+  const tabIds = currentPlan.groups.flatMap(group => group.tabs.filter(tab => tab.close).map(tab => tab.id));
+  const rule = currentPlan.rule;
+  closePreview();
+
+  try {
+    await sendMessage('applyPlan', { rule, tabIds });
+  } catch (error) {
+    showError(`Could not apply "${rule.name}"`, error);
+  }
+  onPlanApplied();
+}
+
+/**
+ * Ask the background for a rule's plan and show it
+ * @param {Object} request - { rule } for a custom rule, or { mode } for a predefined rule
+ */
+export async function showPreview(request) {
+  let plan;
+  try {
+    plan = await sendMessage('planRule', request);
+  } catch (error) {
+    showError('Could not preview the rule', error);
+    return;
+  }
+
+  currentPlan = plan;
+  renderPlan();
+  previewModal.style.display = 'flex';
+}
+
+/**
+ * Set up the preview modal
+ * @param {Function} onApplied - Called after a plan is applied, to refresh the popup
+ */
+export function initPreviewPanel(onApplied) {
+  onPlanApplied = onApplied;
+  applyPreviewBtn.addEventListener('click', applyCurrentPlan);
+  document.getElementById('cancelPreviewBtn').addEventListener('click', closePreview);
+  document.getElementById('closePreviewBtn').addEventListener('click', closePreview);
+  previewModal.addEventListener('click', (e) => {
+    if (e.target === previewModal) {
+      closePreview();
+    }
+  });
+}
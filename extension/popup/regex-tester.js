@@ -0,0 +1,210 @@
+// Live regex tester in the add/edit rule modal: runs the patterns and conditions as they are
+// edited against the open tabs and any pasted sample URLs, with the same matching code the
+// background uses, and lists the open tabs each exclude pattern removed
+
+import { CUSTOM_RULE_MODES } from '../utils.js';
+import { testRule } from '../rule-engine.js';
+import { loadSettings, getMatchOptions } from '../settings.js';
+import { getConditions } from './condition-builder.js';
+
+// Reason: A popup is small, so long result lists are cut off with a count of the rest
+const MAX_LISTED_TABS = 20;
+
+const ruleSyntaxSelect = document.getElementById('ruleSyntax');
+const ruleRegexInput = document.getElementById('ruleRegex');
+const ruleIncludeInput = document.getElementById('ruleInclude');
+const ruleExcludeInput = document.getElementById('ruleExclude');
+const ruleModeSelect = document.getElementById('ruleMode');
+const sampleUrlsInput = document.getElementById('ruleSampleUrls');
+const regexError = document.getElementById('regexError');
+const regexTesterResults = document.getElementById('regexTesterResults');
+
+// Open tabs and match options, read when the modal opens
+let openTabs = [];
+let matchOptions = {};
+
+/**
+ * Text with the range [start, end) wrapped in a <mark>
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {DocumentFragment}
+ */
+function highlightRange(text, start, end) {
+  const fragment = document.createDocumentFragment();
+  const mark = document.createElement('mark');
+  mark.textContent = text.slice(start, end);
+  fragment.append(text.slice(0, start), mark, text.slice(end));
+  return fragment;
+}
+
+/**
+ * Read one pattern per line, skipping blank lines
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {Array<string>}
+ */
+function readLines(textarea) {
+  return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Show the compile error, pointing at its position in the pattern that failed
+ * @param {{message: string, position: number, source?: string, label?: string}|null} error - From
+ *   getRulePatternError; position -1 for errors outside the patterns
+ */
+function renderError(error) {
+  regexError.innerHTML = '';
+  if (!error) {
+    regexError.style.display = 'none';
+    return;
+  }
+
+  const message = document.createElement('div');
+  regexError.appendChild(message);
+  if (error.position < 0) {
+    message.textContent = error.message;
+  } else {
+    message.textContent = `${error.label}: ${error.message} (at position ${error.position + 1})`;
+    const pattern = document.createElement('code');
+    // Reason: An error at the very end has no character to mark, so mark a space after it
+    pattern.append(highlightRange(`${error.source} `, error.position, error.position + 1));
+    regexError.appendChild(pattern);
+  }
+  regexError.style.display = 'block';
+}
+
+/**
+ * Render one tested URL
+ * @param {Object} result - Result from testRule
+ * @param {boolean} isSample - Whether the URL was pasted, so misses are shown too
+ * @returns {HTMLElement}
+ */
+function createResultRow(result, isSample) {
+  const row = document.createElement('li');
+  row.className = result.match ? 'tester-row matched' : 'tester-row';
+
+  const url = document.createElement('div');
+  url.className = 'tab-url';
+  if (result.match) {
+    url.append(highlightRange(result.tab.url, result.match.start, result.match.end));
+  } else {
+    url.textContent = result.tab.url;
+  }
+  row.appendChild(url);
+
+  let note = '';
+  if (result.ignored) {
+    note = 'Ignored: special page or on the never-close list';
+  } else if (result.excludedBy.length > 0) {
+    note = `Excluded by pattern ${result.excludedBy.map(index => index + 1).join(', ')}`;
+  } else if (!result.match) {
+    note = 'No match';
+  } else if (result.match.key !== null) {
+    note = `Key: ${result.match.key}`;
+  } else if (!isSample && result.tab.title) {
+    note = result.tab.title;
+  }
+  if (note) {
+    const meta = document.createElement('div');
+    meta.className = 'tab-meta';
+    meta.textContent = note;
+    row.appendChild(meta);
+  }
+
+  return row;
+}
+
+/**
+ * Render a titled list of results, cut off after MAX_LISTED_TABS
+ * @param {string} title
+ * @param {Array} results
+ * @param {boolean} isSample
+ */
+function appendResultList(title, results, isSample) {
+  const heading = document.createElement('div');
+  heading.className = 'tester-heading';
+  heading.textContent = title;
+  const list = document.createElement('ul');
+  list.className = 'tester-list';
+  results.slice(0, MAX_LISTED_TABS).forEach(result => list.appendChild(createResultRow(result, isSample)));
+  regexTesterResults.append(heading, list);
+
+  if (results.length > MAX_LISTED_TABS) {
+    const more = document.createElement('div');
+    more.className = 'tab-meta';
+    more.textContent = `and ${results.length - MAX_LISTED_TABS} more`;
+    regexTesterResults.appendChild(more);
+  }
+}
+
+/**
+ * Test the current patterns and conditions and render the results
+ */
+export function updateRegexTester() {
+  regexTesterResults.innerHTML = '';
+  const regex = ruleRegexInput.value;
+  const include = readLines(ruleIncludeInput);
+  const exclude = readLines(ruleExcludeInput);
+  const conditions = getConditions();
+  if (!regex && include.length === 0 && !conditions) {
+    renderError(null);
+    return;
+  }
+
+  const samples = sampleUrlsInput.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((url, i) => ({ id: `sample-${i}`, url, title: '' }));
+  const rule = { syntax: ruleSyntaxSelect.value, regex, include, exclude, conditions, mode: ruleModeSelect.value || CUSTOM_RULE_MODES.CLOSE_ALL };
+  let tested;
+  try {
+    tested = testRule([...openTabs, ...samples], rule, matchOptions);
+  } catch (error) {
+    // Reason: A condition regex that does not compile yet, while it is being typed
+    tested = { error: { message: error.message, position: -1 }, results: [] };
+  }
+  const { error, results } = tested;
+
+  renderError(error);
+  if (error) {
+    return;
+  }
+
+  const openResults = results.slice(0, openTabs.length);
+  const tabResults = openResults.filter(result => result.match);
+  appendResultList(`${tabResults.length} of ${openTabs.length} open tabs match`, tabResults, false);
+  exclude.forEach((pattern, index) => {
+    const removed = openResults.filter(result => result.excludedBy.includes(index));
+    appendResultList(`Exclude ${pattern} removed ${removed.length} open tabs`, removed, false);
+  });
+  if (samples.length > 0) {
+    const sampleResults = results.slice(openTabs.length);
+    const matched = sampleResults.filter(result => result.match && !result.ignored).length;
+    appendResultList(`${matched} of ${samples.length} sample URLs match`, sampleResults, true);
+  }
+}
+
+/**
+ * Read the open tabs and settings again and re-test, e.g. when the modal opens
+ */
+export async function refreshRegexTester() {
+  const [tabs, groups, settings] = await Promise.all([chrome.tabs.query({}), chrome.tabGroups.query({}), loadSettings()]);
+  // Reason: Same group titles the background adds for group title conditions
+  const groupTitles = new Map(groups.map(group => [group.id, group.title ?? '']));
+  openTabs = tabs.map(tab => ({ ...tab, groupTitle: groupTitles.get(tab.groupId) ?? '' }));
+  matchOptions = getMatchOptions(settings);
+  updateRegexTester();
+}
+
+/**
+ * Set up the tester's listeners
+ */
+export function initRegexTester() {
+  ruleSyntaxSelect.addEventListener('change', updateRegexTester);
+  ruleRegexInput.addEventListener('input', updateRegexTester);
+  ruleIncludeInput.addEventListener('input', updateRegexTester);
+  ruleExcludeInput.addEventListener('input', updateRegexTester);
+  ruleModeSelect.addEventListener('change', updateRegexTester);
+  sampleUrlsInput.addEventListener('input', updateRegexTester);
+}
@@ -0,0 +1,361 @@
+// Settings panel in the popup: renders toggles and persists changes
+
+import {
+  NORMALIZATION_STEPS,
+  DEFAULT_SITE_IDENTITY,
+  DEFAULT_TRACKING_PARAMS,
+  KEEP_STRATEGIES,
+  SAFEGUARDS,
+  isAllowlisted,
+  SCOPES,
+  describeScope,
+  ACTIONS,
+  ACTIONS_WITH_TARGET,
+} from '../utils.js';
+import { loadSettings, saveSettings } from '../settings.js';
+import { fillSelect, syncDependentField } from '../form-fields.js';
+
+const keepStrategySelect = document.getElementById('keepStrategySelect');
+const scopeSelect = document.getElementById('scopeSelect');
+const scopeGroupTitleLabel = document.getElementById('scopeGroupTitleLabel');
+const scopeGroupTitleInput = document.getElementById('scopeGroupTitleInput');
+const predefinedScopeHint = document.getElementById('predefinedScopeHint');
+const actionSelect = document.getElementById('actionSelect');
+const actionTargetLabel = document.getElementById('actionTargetLabel');
+const actionTargetInput = document.getElementById('actionTargetInput');
+const safeguardsContainer = document.getElementById('safeguardsContainer');
+const allowlistContainer = document.getElementById('allowlistContainer');
+const allowlistForm = document.getElementById('allowlistForm');
+const allowCurrentSiteSection = document.getElementById('allowCurrentSiteSection');
+const allowCurrentSiteBtn = document.getElementById('allowCurrentSiteBtn');
+const normalizationContainer = document.getElementById('normalizationContainer');
+const siteIdentityContainer = document.getElementById('siteIdentityContainer');
+const siteIdentityForm = document.getElementById('siteIdentityForm');
+const trackingParamsInput = document.getElementById('trackingParamsInput');
+
+/**
+ * Split a comma-separated input value into trimmed, non-empty entries
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Create a labelled checkbox that calls onChange with its new checked state
+ * @param {string} label - Text shown next to the checkbox
+ * @param {boolean} checked - Initial state
+ * @param {Function} onChange - Called with the new boolean value
+ * @returns {HTMLLabelElement}
+ */
+function createToggle(label, checked, onChange) {
+  const toggle = document.createElement('label');
+  toggle.className = 'setting-toggle';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+  toggle.appendChild(checkbox);
+  toggle.appendChild(document.createTextNode(label));
+  return toggle;
+}
+
+/**
+ * Render the keep strategy used by predefined rules and the shortcut
+ * @param {Object} settings - Complete settings object
+ */
+function renderKeepStrategy(settings) {
+  fillSelect(keepStrategySelect, KEEP_STRATEGIES);
+  keepStrategySelect.value = settings.keepStrategy;
+  keepStrategySelect.addEventListener('change', async () => {
+    settings.keepStrategy = keepStrategySelect.value;
+    await saveSettings(settings);
+  });
+}
+
+/**
+ * Render the scope used by predefined rules and the shortcut
+ * @param {Object} settings - Complete settings object
+ */
+function renderScope(settings) {
+  fillSelect(scopeSelect, SCOPES);
+  scopeSelect.value = settings.scope;
+  scopeGroupTitleInput.value = settings.scopeGroupTitle;
+
+  const update = async () => {
+    settings.scope = scopeSelect.value;
+    settings.scopeGroupTitle = scopeGroupTitleInput.value.trim();
+    syncDependentField(scopeSelect, scopeGroupTitleLabel, ['tab-group']);
+    predefinedScopeHint.textContent = `Runs in: ${describeScope(settings.scope, settings.scopeGroupTitle)}`;
+    await saveSettings(settings);
+  };
+
+  syncDependentField(scopeSelect, scopeGroupTitleLabel, ['tab-group']);
+  predefinedScopeHint.textContent = `Runs in: ${describeScope(settings.scope, settings.scopeGroupTitle)}`;
+  scopeSelect.addEventListener('change', update);
+  scopeGroupTitleInput.addEventListener('change', update);
+}
+
+/**
+ * Render the action used by predefined rules and the shortcut
+ * @param {Object} settings - Complete settings object
+ */
+function renderAction(settings) {
+  fillSelect(actionSelect, ACTIONS);
+  actionSelect.value = settings.action;
+  actionTargetInput.value = settings.actionTarget;
+  syncDependentField(actionSelect, actionTargetLabel, ACTIONS_WITH_TARGET);
+
+  const update = async () => {
+    settings.action = actionSelect.value;
+    settings.actionTarget = actionTargetInput.value.trim();
+    syncDependentField(actionSelect, actionTargetLabel, ACTIONS_WITH_TARGET);
+    await saveSettings(settings);
+  };
+
+  actionSelect.addEventListener('change', update);
+  actionTargetInput.addEventListener('change', update);
+}
+
+/**
+ * Render the safeguard toggles
+ * @param {Object} settings - Complete settings object
+ */
+function renderSafeguards(settings) {
+  safeguardsContainer.innerHTML = '';
+  for (const [safeguard, label] of Object.entries(SAFEGUARDS)) {
+    const toggle = createToggle(label, settings.safeguards[safeguard], async (checked) => {
+      settings.safeguards[safeguard] = checked;
+      await saveSettings(settings);
+    });
+    safeguardsContainer.appendChild(toggle);
+  }
+}
+
+/**
+ * Render the never-close allowlist with a remove button per entry
+ * @param {Object} settings - Complete settings object
+ */
+function renderAllowlist(settings) {
+  allowlistContainer.innerHTML = '';
+  if (settings.allowlist.length === 0) {
+    allowlistContainer.innerHTML = '<p class="hint">No sites yet</p>';
+  }
+
+  settings.allowlist.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    row.textContent = entry.type === 'regex' ? `/${entry.pattern}/` : entry.pattern;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'setting-remove-btn';
+    removeBtn.title = 'Remove this site';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.addEventListener('click', async () => {
+      settings.allowlist.splice(index, 1);
+      await saveSettings(settings);
+      renderAllowlist(settings);
+      renderAllowCurrentSite(settings);
+    });
+    row.appendChild(removeBtn);
+
+    allowlistContainer.appendChild(row);
+  });
+}
+
+/**
+ * Add an entry to the never-close allowlist and refresh the UI
+ * @param {Object} settings - Complete settings object
+ * @param {Object} entry - Allowlist entry { type, pattern }
+ */
+async function addAllowlistEntry(settings, entry) {
+  settings.allowlist.push(entry);
+  await saveSettings(settings);
+  renderAllowlist(settings);
+  renderAllowCurrentSite(settings);
+}
+
+/**
+ * Handle the allowlist form: validate and store a new entry
+ * @param {Object} settings - Complete settings object
+ * @param {Event} e - Submit event
+ */
+async function handleAddAllowlistEntry(settings, e) {
+  e.preventDefault();
+
+  const type = document.getElementById('allowlistType').value;
+  const pattern = document.getElementById('allowlistPattern').value.trim();
+
+  if (!pattern) {
+    alert('Please enter a pattern');
+    return;
+  }
+
+  if (type === 'regex') {
+    try {
+      new RegExp(pattern);
+    } catch {
+      alert('Invalid regex pattern');
+      return;
+    }
+  }
+
+  allowlistForm.reset();
+  await addAllowlistEntry(settings, { type, pattern });
+}
+
+/**
+ * Show the one-click "never close tabs from this site" button for the current tab
+ * Reason: Hidden for non-web pages and for sites that are already allowlisted
+ * @param {Object} settings - Complete settings object
+ */
+async function renderAllowCurrentSite(settings) {
+  const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let hostname = '';
+  try {
+    const urlObj = new URL(currentTab?.url);
+    hostname = ['http:', 'https:'].includes(urlObj.protocol) ? urlObj.hostname : '';
+  } catch {
+    hostname = '';
+  }
+
+  if (!hostname || isAllowlisted(currentTab.url, settings.allowlist)) {
+    allowCurrentSiteSection.style.display = 'none';
+    return;
+  }
+
+  allowCurrentSiteBtn.textContent = `Never close tabs from ${hostname}`;
+  allowCurrentSiteBtn.onclick = () => addAllowlistEntry(settings, { type: 'host', pattern: hostname });
+  allowCurrentSiteSection.style.display = 'block';
+}
+
+/**
+ * Render the URL normalization toggles
+ * @param {Object} settings - Complete settings object
+ */
+function renderNormalization(settings) {
+  normalizationContainer.innerHTML = '';
+  for (const [step, label] of Object.entries(NORMALIZATION_STEPS)) {
+    const toggle = createToggle(label, settings.normalization[step], async (checked) => {
+      settings.normalization[step] = checked;
+      await saveSettings(settings);
+    });
+    normalizationContainer.appendChild(toggle);
+  }
+}
+
+/**
+ * Describe a site identity rule for display, e.g. "v, list + #fragment"
+ * @param {Object} identity - Site identity rule { params, fragment }
+ * @returns {string}
+ */
+function describeSiteIdentity(identity) {
+  const parts = [];
+  if (identity.params.length > 0) {
+    parts.push(identity.params.join(', '));
+  }
+  if (identity.fragment) {
+    parts.push('#fragment');
+  }
+  return parts.length > 0 ? parts.join(' + ') : 'no significant params';
+}
+
+/**
+ * Render built-in and user site identity rules
+ * Reason: User entries replace built-in entries for the same host, so only show the effective one
+ * @param {Object} settings - Complete settings object
+ */
+function renderSiteIdentity(settings) {
+  siteIdentityContainer.innerHTML = '';
+  const table = { ...DEFAULT_SITE_IDENTITY, ...settings.siteIdentity };
+
+  for (const host of Object.keys(table).sort()) {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    row.textContent = `${host}: ${describeSiteIdentity(table[host])}`;
+
+    if (settings.siteIdentity[host]) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'setting-remove-btn';
+      removeBtn.title = DEFAULT_SITE_IDENTITY[host] ? 'Restore built-in entry' : 'Remove this site';
+      removeBtn.textContent = '\u00d7';
+      removeBtn.addEventListener('click', async () => {
+        delete settings.siteIdentity[host];
+        await saveSettings(settings);
+        renderSiteIdentity(settings);
+      });
+      row.appendChild(removeBtn);
+    } else {
+      const tag = document.createElement('span');
+      tag.className = 'setting-tag';
+      tag.textContent = 'built-in';
+      row.appendChild(tag);
+    }
+
+    siteIdentityContainer.appendChild(row);
+  }
+}
+
+/**
+ * Handle the add-site form: store a user site identity rule
+ * @param {Object} settings - Complete settings object
+ * @param {Event} e - Submit event
+ */
+async function handleAddSite(settings, e) {
+  e.preventDefault();
+
+  const host = document.getElementById('siteHost').value.trim().toLowerCase();
+  const params = splitList(document.getElementById('siteParams').value);
+  const fragment = document.getElementById('siteFragment').checked;
+
+  if (!host) {
+    alert('Please enter a host');
+    return;
+  }
+
+  settings.siteIdentity[host] = { params, fragment };
+  await saveSettings(settings);
+
+  siteIdentityForm.reset();
+  renderSiteIdentity(settings);
+}
+
+/**
+ * Render the tracking params input and persist edits when it changes
+ * @param {Object} settings - Complete settings object
+ */
+function renderTrackingParams(settings) {
+  document.getElementById('builtinTrackingParams').textContent = DEFAULT_TRACKING_PARAMS.join(', ');
+  trackingParamsInput.value = settings.trackingParams.join(', ');
+  trackingParamsInput.addEventListener('change', async () => {
+    settings.trackingParams = splitList(trackingParamsInput.value);
+    await saveSettings(settings);
+  });
+}
+
+/**
+ * Load settings and render the settings panel
+ */
+export async function initSettingsPanel() {
+  const settings = await loadSettings();
+  renderKeepStrategy(settings);
+  renderScope(settings);
+  renderAction(settings);
+  renderSafeguards(settings);
+  renderAllowlist(settings);
+  renderAllowCurrentSite(settings);
+  renderNormalization(settings);
+  renderSiteIdentity(settings);
+  renderTrackingParams(settings);
+
+  siteIdentityForm.addEventListener('submit', (e) => handleAddSite(settings, e));
+  allowlistForm.addEventListener('submit', (e) => handleAddAllowlistEntry(settings, e));
+}
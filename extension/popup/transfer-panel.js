@@ -0,0 +1,179 @@
+// Import & Export section of the settings panel
+
+import {
+  IMPORT_STRATEGIES,
+  buildExport,
+  parseImport,
+  planRulesImport,
+  mergeImportedSettings,
+  diffSettings,
+} from '../transfer.js';
+import { loadSettings, saveSettings } from '../settings.js';
+import { loadRules, saveRules } from '../rule-store.js';
+
+const importText = document.getElementById('importText');
+const importFile = document.getElementById('importFile');
+const importStrategyContainer = document.getElementById('importStrategyContainer');
+const importSummary = document.getElementById('importSummary');
+const importApplyBtn = document.getElementById('importApplyBtn');
+
+// Rules and settings checked by "Check import", written by "Apply import"
+let pendingImport = null;
+
+/**
+ * Read the stored rules and settings
+ * @returns {Promise<{rules: Array, settings: Object}>}
+ */
+async function loadRulesAndSettings() {
+  return { rules: await loadRules(), settings: await loadSettings() };
+}
+
+/**
+ * Download the export as a JSON file
+ */
+async function exportToFile() {
+  const { rules, settings } = await loadRulesAndSettings();
+  const blob = new Blob([buildExport(rules, settings)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `close-duplicate-tabs-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Copy the export to the clipboard
+ */
+async function exportToClipboard() {
+  const { rules, settings } = await loadRulesAndSettings();
+  await navigator.clipboard.writeText(buildExport(rules, settings));
+  importSummary.textContent = 'Export copied to the clipboard.';
+}
+
+/**
+ * Render a titled list of rule names into the summary
+ * @param {string} title - e.g. "Added"
+ * @param {Array<string>} names
+ */
+function appendNameList(title, names) {
+  if (names.length === 0) {
+    return;
+  }
+  const heading = document.createElement('div');
+  heading.textContent = `${title} (${names.length}):`;
+  const list = document.createElement('ul');
+  names.forEach((name) => {
+    const item = document.createElement('li');
+    item.textContent = name;
+    list.appendChild(item);
+  });
+  importSummary.append(heading, list);
+}
+
+/**
+ * Validate the pasted text and show what importing it would change
+ */
+async function checkImport() {
+  pendingImport = null;
+  importApplyBtn.style.display = 'none';
+  importSummary.innerHTML = '';
+
+  const parsed = parseImport(importText.value);
+  if (parsed.errors.length > 0) {
+    parsed.errors.forEach((message) => {
+      const line = document.createElement('div');
+      line.className = 'import-error';
+      line.textContent = message;
+      importSummary.appendChild(line);
+    });
+    return;
+  }
+
+  const strategy = importStrategyContainer.querySelector('input:checked').value;
+  const { rules, settings } = await loadRulesAndSettings();
+  const plan = planRulesImport(rules, parsed.rules, strategy);
+  const importedSettings = parsed.settings ? mergeImportedSettings(settings, parsed.settings) : null;
+  const changedSettings = importedSettings ? diffSettings(settings, importedSettings) : [];
+
+  appendNameList('Added', plan.added);
+  appendNameList('Updated', plan.updated);
+  appendNameList('Removed', plan.removed);
+  appendNameList('Unchanged', plan.unchanged);
+  appendNameList('Settings changed', changedSettings);
+
+  if (plan.added.length + plan.updated.length + plan.removed.length + changedSettings.length === 0) {
+    importSummary.append('Nothing to change.');
+    return;
+  }
+
+  pendingImport = {
+    rules: plan.rules,
+    settings: importedSettings,
+  };
+  importApplyBtn.style.display = 'block';
+}
+
+/**
+ * Write the checked import to storage
+ */
+async function applyImport() {
+  if (!pendingImport) {
+    return;
+  }
+
+  // Reason: Rules that do not fit in sync storage are kept locally and marked in the reloaded popup
+  await saveRules(pendingImport.rules);
+  if (pendingImport.settings) {
+    await saveSettings(pendingImport.settings);
+  }
+
+  // Reason: The settings panel holds the settings it loaded, so reload the popup to show the imported ones
+  window.location.reload();
+}
+
+/**
+ * Read a chosen file into the text box and check it
+ */
+async function handleFileChosen() {
+  const [file] = importFile.files;
+  if (!file) {
+    return;
+  }
+  importText.value = await file.text();
+  checkImport();
+}
+
+/**
+ * Render the merge/replace choice
+ */
+function renderImportStrategies() {
+  Object.entries(IMPORT_STRATEGIES).forEach(([value, label], i) => {
+    const option = document.createElement('label');
+    option.className = 'setting-toggle';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'importStrategy';
+    radio.value = value;
+    radio.checked = i === 0;
+    radio.addEventListener('change', () => {
+      if (importText.value.trim()) {
+        checkImport();
+      }
+    });
+    option.append(radio, label);
+    importStrategyContainer.appendChild(option);
+  });
+}
+
+/**
+ * Set up the import and export controls
+ */
+export function initTransferPanel() {
+  renderImportStrategies();
+  document.getElementById('exportFileBtn').addEventListener('click', exportToFile);
+  document.getElementById('exportCopyBtn').addEventListener('click', exportToClipboard);
+  document.getElementById('importPreviewBtn').addEventListener('click', checkImport);
+  importFile.addEventListener('change', handleFileChosen);
+  importApplyBtn.addEventListener('click', applyImport);
+}
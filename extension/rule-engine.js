@@ -0,0 +1,382 @@
+// Rule engine: runs predefined and custom rules through one interface (which tabs match, their
+// group key, the keep policy and the action) for the service worker, the popup and the dashboard
+// These functions are pure and don't depend on Chrome APIs
+
+import {
+  MATCH_MODES,
+  PREDEFINED_RULE_NAMES,
+  CUSTOM_RULE_MODES,
+  DEFAULT_KEEP_STRATEGY,
+  DEFAULT_ACTION,
+  getDuplicateKey,
+  filterSpecialUrls,
+  pickTabToKeep,
+  compilePattern,
+  getRulePatterns,
+  getRulePatternError,
+} from './utils.js';
+import { matchesConditions, describeConditions, usesConditionField, hasConditions } from './conditions.js';
+import { getPredefinedRuleOptions } from './settings.js';
+
+/**
+ * The two kinds of rule
+ * Predefined rules find duplicates by normalized URL; custom rules match URL patterns and conditions
+ */
+export const RULE_KINDS = {
+  PREDEFINED: 'predefined',
+  CUSTOM: 'custom',
+};
+
+/**
+ * Tell a predefined rule from a custom one
+ * Reason: Only custom rules have a regex field (possibly empty when conditions do the matching)
+ * @param {Object} rule - Predefined or custom rule
+ * @returns {string} One of RULE_KINDS
+ */
+export function getRuleKind(rule) {
+  return rule.regex === undefined ? RULE_KINDS.PREDEFINED : RULE_KINDS.CUSTOM;
+}
+
+/**
+ * Whether a custom rule has something to match tabs with: a pattern, or conditions outside dedupe mode
+ * Reason: Without either every URL matches and the rule would act on every tab in scope; dedupe
+ * mode also needs a pattern for its group keys
+ * @param {Object} rule - Custom rule { regex, include, conditions, mode }
+ * @returns {boolean}
+ */
+export function hasRuleMatcher(rule) {
+  if (getRulePatterns(rule).includes.length > 0) {
+    return true;
+  }
+  return hasConditions(rule.conditions) && rule.mode !== CUSTOM_RULE_MODES.DEDUPE;
+}
+
+/**
+ * Build a predefined rule from settings, with the same fields custom rules use
+ * @param {Object} settings - Merged settings
+ * @param {string} [mode] - One of MATCH_MODES, defaults to ignoring params
+ * @returns {Object} Rule { name, mode, keep, scope, scopeGroupTitle, action, actionTarget }
+ */
+export function getPredefinedRule(settings, mode = MATCH_MODES.IGNORE_PARAMS) {
+  return { ...getPredefinedRuleOptions(settings), name: PREDEFINED_RULE_NAMES[mode], mode };
+}
+
+/**
+ * How a rule decides which matching tabs survive
+ * Predefined rules and dedupe rules keep one tab per group key; close-all rules keep only the
+ * active tabs.
+ * @param {Object} rule - Predefined or custom rule
+ * @returns {{keepOne: boolean, strategy: string}} strategy is one of the KEEP_STRATEGIES keys
+ */
+export function getKeepPolicy(rule) {
+  return {
+    keepOne: getRuleKind(rule) === RULE_KINDS.PREDEFINED || rule.mode === CUSTOM_RULE_MODES.DEDUPE,
+    strategy: rule.keep || DEFAULT_KEEP_STRATEGY,
+  };
+}
+
+/**
+ * What a rule does with the tabs it closes
+ * @param {Object} rule - Predefined or custom rule
+ * @returns {{action: string, target: string|undefined}} action is one of the ACTIONS keys; target
+ *   is the tab group or bookmark folder title, undefined for the default
+ */
+export function getRuleAction(rule) {
+  return { action: rule.action || DEFAULT_ACTION, target: rule.actionTarget || undefined };
+}
+
+/**
+ * Extra tab data a rule needs before it can run
+ * Reason: Each costs extra Chrome calls, so the service worker only fetches them when asked
+ * @param {Object} rule - Predefined or custom rule
+ * @returns {{pageStates: boolean, creationTimes: boolean, groupTitles: boolean}} Whether the rule
+ *   needs page states (history length), tab creation times and tab group titles
+ */
+export function getRuleTabNeeds(rule) {
+  const { strategy } = getKeepPolicy(rule);
+  return {
+    pageStates: strategy === 'longest-history',
+    creationTimes: strategy === 'newest' || strategy === 'oldest',
+    groupTitles: usesConditionField(rule.conditions, 'groupTitle'),
+  };
+}
+
+/**
+ * Turn a focused tab ID, or a list of active tab IDs (one per window), into a Set
+ * @param {number|Array<number>|null} currentTabId
+ * @returns {Set<number>}
+ */
+function toActiveTabIdSet(currentTabId) {
+  return new Set([].concat(currentTabId ?? []));
+}
+
+/**
+ * Split one group of duplicates into the tabs to keep and the tabs to close
+ * Rule: If active tabs are in the group, keep them. Otherwise apply the keep strategy.
+ * @param {Array} group - Tabs that are duplicates of each other
+ * @param {Set<number>} activeTabIds - IDs of the active tab in each window
+ * @param {string} [keepStrategy] - One of the KEEP_STRATEGIES keys
+ * @returns {{keepTabIds: Array, closeTabIds: Array}}
+ */
+function splitGroup(group, activeTabIds, keepStrategy) {
+  // Sort by ID ascending (older tabs have lower IDs)
+  const sorted = [...group].sort((a, b) => a.id - b.id);
+
+  // Determine which tabs to keep in this group
+  // Reason: If active tabs are in this group, prioritize keeping them over the keep strategy.
+  // With several windows in scope, each window's active tab is kept.
+  const activeTabsInGroup = sorted.filter(tab => activeTabIds.has(tab.id));
+  const tabsToKeep = activeTabsInGroup.length > 0 ? activeTabsInGroup : [pickTabToKeep(sorted, keepStrategy)];
+
+  return {
+    keepTabIds: tabsToKeep.map(tab => tab.id),
+    // Close all others except the tabs to keep
+    closeTabIds: sorted.filter(tab => !tabsToKeep.includes(tab)).map(tab => tab.id),
+  };
+}
+
+/**
+ * Turn keyed groups of tabs into duplicate groups, skipping groups without duplicates
+ * @param {Object} grouped - Object with grouping keys as keys and arrays of tabs as values
+ * @param {Set<number>} activeTabIds - IDs of the active tab in each window
+ * @param {string} [keepStrategy] - One of the KEEP_STRATEGIES keys
+ * @returns {Array<{key: string, keepOne: boolean, keepTabIds: Array, closeTabIds: Array}>}
+ */
+function toDuplicateGroups(grouped, activeTabIds, keepStrategy) {
+  return Object.entries(grouped)
+    .filter(([, group]) => group.length > 1)
+    .map(([key, group]) => ({ key, keepOne: true, ...splitGroup(group, activeTabIds, keepStrategy) }));
+}
+
+/**
+ * Build a grouping key from a regex match
+ * Reason: Named groups are the most explicit, so they win over numbered groups;
+ * a pattern without groups falls back to the whole matched text
+ * @param {Array} match - Result of RegExp.prototype.exec
+ * @returns {string} Grouping key
+ */
+export function getCaptureKey(match) {
+  if (match.groups && Object.keys(match.groups).length > 0) {
+    return Object.entries(match.groups)
+      .map(([name, value]) => `${name}=${value ?? ''}`)
+      .join('&');
+  }
+  if (match.length > 1) {
+    return match.slice(1).map(value => value ?? '').join('|');
+  }
+  return match[0];
+}
+
+/**
+ * Compile a custom rule's URL patterns
+ * @param {Object} rule - Custom rule { regex, include, exclude, syntax }
+ * @returns {{includes: Array<RegExp>, excludes: Array<RegExp>}}
+ * @throws {SyntaxError} If a pattern does not compile
+ */
+function compileRulePatterns(rule) {
+  const { includes, excludes } = getRulePatterns(rule);
+  return {
+    includes: includes.map(source => compilePattern(source, rule.syntax)),
+    excludes: excludes.map(source => compilePattern(source, rule.syntax)),
+  };
+}
+
+/**
+ * Match a URL against compiled rule patterns
+ * A rule without include patterns matches every URL (its conditions do the matching).
+ * @param {string} url - Tab URL
+ * @param {{includes: Array<RegExp>, excludes: Array<RegExp>}} patterns - From compileRulePatterns
+ * @returns {{match: Array|null, excludedBy: Array<number>}} The first include pattern's match, and
+ *   the indexes of the exclude patterns that also match (only checked when an include matched)
+ */
+function matchRuleUrl(url, patterns) {
+  let match = null;
+  if (patterns.includes.length === 0) {
+    match = /^/.exec(url);
+  } else {
+    for (const pattern of patterns.includes) {
+      match = pattern.exec(url);
+      if (match) {
+        break;
+      }
+    }
+  }
+  if (!match) {
+    return { match: null, excludedBy: [] };
+  }
+
+  const excludedBy = patterns.excludes
+    .map((pattern, index) => (pattern.test(url) ? index : -1))
+    .filter(index => index !== -1);
+  return { match, excludedBy };
+}
+
+/**
+ * Match a custom rule's patterns and conditions against the tabs it may act on
+ * Reason: Shared by findRuleGroups and the rule editor's tester, so the tester cannot drift
+ * from what running the rule does
+ * @param {Array} tabs - Array of tab objects
+ * @param {Object} rule - Custom rule { regex, include, exclude, conditions }
+ * @param {Object} [options]
+ * @param {Array} [options.allowlist] - Never-close entries, see isAllowlisted
+ * @param {number} [options.now] - Current time in ms for age conditions, for tests
+ * @returns {Array<{tab: Object, match: Array}>} Matching tabs with their RegExp.prototype.exec result
+ * @throws {SyntaxError} If a pattern does not compile
+ */
+export function matchRuleTabs(tabs, rule, options = {}) {
+  const patterns = compileRulePatterns(rule);
+  const now = options.now ?? Date.now();
+  return filterSpecialUrls(tabs, options.allowlist)
+    .filter(tab => matchesConditions(tab, rule.conditions, now))
+    .map(tab => ({ tab, ...matchRuleUrl(tab.url, patterns) }))
+    .filter(({ match, excludedBy }) => match !== null && excludedBy.length === 0)
+    .map(({ tab, match }) => ({ tab, match }));
+}
+
+/**
+ * Find the tabs a rule matches and the group key of each
+ * Predefined rules match every regular tab, keyed by its normalized URL. Custom rules match
+ * their patterns and conditions; dedupe rules are keyed by the captured values, and close-all
+ * rules put every match under one key describing the rule.
+ * @param {Array} tabs - Array of tab objects
+ * @param {Object} rule - Predefined or custom rule
+ * @param {Object} [options] - Matching options, see getDuplicateKey and matchRuleTabs
+ * @returns {Array<{tab: Object, key: string}>}
+ * @throws {SyntaxError} If one of a custom rule's patterns does not compile
+ */
+export function matchRule(tabs, rule, options = {}) {
+  if (getRuleKind(rule) === RULE_KINDS.PREDEFINED) {
+    return filterSpecialUrls(tabs, options.allowlist)
+      .map(tab => ({ tab, key: getDuplicateKey(tab.url, { ...options, mode: rule.mode }) }));
+  }
+
+  const matches = matchRuleTabs(tabs, rule, options);
+  if (rule.mode === CUSTOM_RULE_MODES.DEDUPE) {
+    return matches.map(({ tab, match }) => ({ tab, key: getCaptureKey(match) }));
+  }
+  const key = getRulePatterns(rule).includes.join(' | ') || describeConditions(rule.conditions);
+  return matches.map(({ tab }) => ({ tab, key }));
+}
+
+/**
+ * Try a custom rule's patterns and conditions against tabs for the rule editor
+ * @param {Array} tabs - Tabs (or { id, url } samples) to test against
+ * @param {Object} rule - Custom rule { regex, include, exclude, mode, conditions }
+ * @param {Object} [options] - See matchRuleTabs
+ * @returns {{error: Object|null, results: Array<{tab: Object, ignored: boolean, excludedBy: Array<number>, match: {start: number, end: number, key: string|null}|null}>}}
+ *   error is from getRulePatternError. One result per tab, in order; ignored tabs are never
+ *   acted on (special or allowlisted URLs); excludedBy lists the exclude patterns that removed a
+ *   tab the rule would otherwise match; key is the dedupe grouping key
+ */
+export function testRule(tabs, rule, options = {}) {
+  const error = getRulePatternError(rule);
+  if (error) {
+    return { error, results: [] };
+  }
+
+  const patterns = compileRulePatterns(rule);
+  const now = options.now ?? Date.now();
+  const eligible = new Set(filterSpecialUrls(tabs, options.allowlist));
+  const results = tabs.map((tab) => {
+    const ignored = !eligible.has(tab);
+    if (ignored || !matchesConditions(tab, rule.conditions, now)) {
+      return { tab, ignored, excludedBy: [], match: null };
+    }
+    const { match, excludedBy } = matchRuleUrl(tab.url, patterns);
+    return {
+      tab,
+      ignored,
+      excludedBy,
+      match: match && excludedBy.length === 0
+        ? {
+          start: match.index,
+          end: match.index + match[0].length,
+          key: rule.mode === CUSTOM_RULE_MODES.DEDUPE ? getCaptureKey(match) : null,
+        }
+        : null,
+    };
+  });
+  return { error: null, results };
+}
+
+/**
+ * Find the groups of tabs a rule acts on, and which tabs in each are kept and closed
+ * Rules that keep one tab per key (see getKeepPolicy) group matches by key and keep the active
+ * tabs, or else the tab chosen by the keep strategy, in each group with more than one tab.
+ * Close-all rules form one group of every match, where only the active tabs are kept.
+ * @param {Array} tabs - Array of tab objects
+ * @param {Object} rule - Predefined or custom rule
+ * @param {number|Array<number>} currentTabId - ID of the currently focused tab, or the active tab of each window
+ * @param {Object} [options] - Matching options, see matchRule
+ * @returns {{matchingTabIds: Array, groups: Array<{key: string, keepOne: boolean, keepTabIds: Array, closeTabIds: Array}>}}
+ * @throws {SyntaxError} If one of a custom rule's patterns does not compile
+ */
+export function findRuleGroups(tabs, rule, currentTabId, options = {}) {
+  const matches = matchRule(tabs, rule, options);
+  const matchingTabIds = matches.map(({ tab }) => tab.id);
+  const activeTabIds = toActiveTabIdSet(currentTabId);
+  const policy = getKeepPolicy(rule);
+
+  if (policy.keepOne) {
+    const grouped = matches.reduce((groups, { tab, key }) => {
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push(tab);
+      return groups;
+    }, {});
+    return { matchingTabIds, groups: toDuplicateGroups(grouped, activeTabIds, policy.strategy) };
+  }
+
+  if (matches.length === 0) {
+    return { matchingTabIds, groups: [] };
+  }
+
+  // Reason: For close-all rules, only keep the active tab if it matches the pattern
+  const group = {
+    key: matches[0].key,
+    keepOne: false,
+    keepTabIds: matchingTabIds.filter(tabId => activeTabIds.has(tabId)),
+    closeTabIds: matchingTabIds.filter(tabId => !activeTabIds.has(tabId)),
+  };
+  return { matchingTabIds, groups: [group] };
+}
+
+/**
+ * Find which tabs a rule should close
+ * @param {Array} tabs - Array of tab objects
+ * @param {Object} rule - Predefined or custom rule
+ * @param {number|Array<number>} currentTabId - ID of the currently focused tab, or the active tab of each window
+ * @param {Object} [options] - See findRuleGroups
+ * @returns {{matchingTabIds: Array, tabsToClose: Array}}
+ * @throws {SyntaxError} If one of a custom rule's patterns does not compile
+ */
+export function findTabsToCloseForRule(tabs, rule, currentTabId, options = {}) {
+  const { matchingTabIds, groups } = findRuleGroups(tabs, rule, currentTabId, options);
+  return { matchingTabIds, tabsToClose: groups.flatMap(group => group.closeTabIds) };
+}
+
+/**
+ * Find the groups of duplicate tabs, and which tabs in each are kept and closed
+ * Shorthand for findRuleGroups with a predefined rule built from matching options.
+ * @param {Array} tabs - Array of tab objects
+ * @param {number|Array<number>} currentTabId - ID of the currently focused tab, or the active tab of each window
+ * @param {Object} [options] - Matching options, see getDuplicateKey; options.keep is a KEEP_STRATEGIES key
+ * @returns {Array<{key: string, keepOne: boolean, keepTabIds: Array, closeTabIds: Array}>}
+ *   One entry per duplicate key that has more than one tab
+ */
+export function findDuplicateGroups(tabs, currentTabId, options = {}) {
+  return findRuleGroups(tabs, { mode: options.mode, keep: options.keep }, currentTabId, options).groups;
+}
+
+/**
+ * Find which tabs should be closed based on duplicate detection
+ * Never closes the currently focused tab.
+ * @param {Array} tabs - Array of tab objects
+ * @param {number|Array<number>} currentTabId - ID of the currently focused tab, or the active tab of each window
+ * @param {Object} [options] - Matching options, see findDuplicateGroups
+ * @returns {Array} Array of tab IDs to close
+ */
+export function findTabsToClose(tabs, currentTabId, options = {}) {
+  return findDuplicateGroups(tabs, currentTabId, options).flatMap(group => group.closeTabIds);
+}
@@ -0,0 +1,205 @@
+// Storage of custom rules across chrome.storage.sync and chrome.storage.local
+// Each rule is its own sync item, so one large rule cannot push the whole list over the
+// per-item quota; rules that do not fit stay in local storage on this device only
+
+// Prefix of the sync keys holding one rule each, e.g. "rule:custom-1718000000000"
+export const RULE_KEY_PREFIX = 'rule:';
+
+// Sync key holding the IDs of all rules in run order
+export const RULE_ORDER_KEY = 'ruleOrder';
+
+/**
+ * chrome.storage.sync limits, as documented
+ * Reason: Kept here so the planner can be tested without Chrome; storage reads the live values
+ */
+export const SYNC_LIMITS = {
+  bytes: 102400,
+  bytesPerItem: 8192,
+  items: 512,
+};
+
+/**
+ * Why a rule is stored on this device only
+ * Keys are stored in `unsyncedRules`, values are the labels shown in the popup
+ */
+export const NOT_SYNCING_REASONS = {
+  'too-large': 'Too large to sync (over 8 KB)',
+  'quota': 'Sync storage is full',
+  'write-failed': 'Sync storage could not be written',
+};
+
+/**
+ * The sync key for a rule
+ * @param {string} ruleId - Rule ID
+ * @returns {string}
+ */
+export function getRuleKey(ruleId) {
+  return `${RULE_KEY_PREFIX}${ruleId}`;
+}
+
+/**
+ * Size of a storage item as sync storage counts it: the key plus the JSON of the value, in bytes
+ * @param {string} key - Item key
+ * @param {*} value - Item value
+ * @returns {number}
+ */
+export function getItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Decide which rules go to sync storage and which stay local
+ * Rules are placed in list order, so when space runs out the rules at the end of the list are
+ * the ones kept local
+ * @param {Array} rules - Custom rules, in run order
+ * @param {Object} [usage] - Space already taken in sync storage by other items
+ * @param {number} [usage.bytes] - Bytes used by other items
+ * @param {number} [usage.items] - Number of other items
+ * @param {Object} [limits] - Sync storage limits, see SYNC_LIMITS
+ * @returns {{syncItems: Object, localRules: Array, notSyncing: Object}} Sync items to write
+ *   (one per rule plus the order), rules to keep local, and rule ID to NOT_SYNCING_REASONS key
+ */
+export function planRuleStorage(rules, usage = { bytes: 0, items: 0 }, limits = SYNC_LIMITS) {
+  const order = rules.map(rule => rule.id);
+  let bytes = usage.bytes + getItemBytes(RULE_ORDER_KEY, order);
+  let items = usage.items + 1;
+
+  const syncItems = { [RULE_ORDER_KEY]: order };
+  const localRules = [];
+  const notSyncing = {};
+
+  for (const rule of rules) {
+    const key = getRuleKey(rule.id);
+    const size = getItemBytes(key, rule);
+    if (size > limits.bytesPerItem) {
+      notSyncing[rule.id] = 'too-large';
+    } else if (bytes + size > limits.bytes || items + 1 > limits.items) {
+      notSyncing[rule.id] = 'quota';
+    } else {
+      syncItems[key] = rule;
+      bytes += size;
+      items += 1;
+      continue;
+    }
+    localRules.push(rule);
+  }
+
+  return { syncItems, localRules, notSyncing };
+}
+
+/**
+ * Put the synced and local rules back together in their stored order
+ * Reason: Another device may rewrite the order without this device's local rules, so rules
+ * missing from the order go last instead of being lost
+ * @param {Object} syncData - Sync storage contents (the order and rule items)
+ * @param {Array} localRules - Rules stored on this device only
+ * @returns {Array} Custom rules, in run order
+ */
+export function assembleRules(syncData, localRules = []) {
+  const byId = new Map();
+  for (const [key, value] of Object.entries(syncData)) {
+    if (key.startsWith(RULE_KEY_PREFIX)) {
+      byId.set(value.id, value);
+    }
+  }
+  // Reason: The local copy is what this device saved last, so it wins over a synced one
+  localRules.forEach(rule => byId.set(rule.id, rule));
+
+  const order = Array.isArray(syncData[RULE_ORDER_KEY]) ? syncData[RULE_ORDER_KEY] : [];
+  const rules = order.filter(id => byId.has(id)).map(id => byId.get(id));
+  const ordered = new Set(order);
+  return [...rules, ...[...byId.values()].filter(rule => !ordered.has(rule.id))];
+}
+
+/**
+ * Whether the last save could not write to sync storage at all
+ * @param {Object} notSyncing - Rule ID to NOT_SYNCING_REASONS key
+ * @returns {boolean}
+ */
+export function hasFailedSyncWrite(notSyncing) {
+  return Object.values(notSyncing).includes('write-failed');
+}
+
+/**
+ * Load the custom rules from sync and local storage
+ * @returns {Promise<Array>} Custom rules, in run order
+ */
+export async function loadRules() {
+  const { localRules = [], unsyncedRules = {} } = await chrome.storage.local.get(['localRules', 'unsyncedRules']);
+  if (hasFailedSyncWrite(unsyncedRules)) {
+    // Reason: After a failed write sync storage may still hold deleted or older rules, and the
+    // local copy is the whole list
+    return localRules;
+  }
+  return assembleRules(await chrome.storage.sync.get(null), localRules);
+}
+
+/**
+ * Measure the sync storage used by items other than rules
+ * Reason: Settings are one item that can grow up to the per-item limit, so a full item is kept
+ * free for them instead of their current size
+ * @param {Object} syncData - Sync storage contents
+ * @param {Object} limits - Sync storage limits
+ * @returns {{bytes: number, items: number}}
+ */
+function measureOtherItems(syncData, limits) {
+  let bytes = limits.bytesPerItem;
+  let items = 1;
+  for (const [key, value] of Object.entries(syncData)) {
+    if (key !== 'settings' && key !== RULE_ORDER_KEY && !key.startsWith(RULE_KEY_PREFIX)) {
+      bytes += getItemBytes(key, value);
+      items += 1;
+    }
+  }
+  return { bytes, items };
+}
+
+/**
+ * Save the custom rules, syncing as many as fit and keeping the rest on this device
+ * Also refreshes the popup's local cache (`cachedRules`) and the list of rules not syncing
+ * @param {Array} rules - Custom rules, in run order
+ * @returns {Promise<{notSyncing: Object, error: string|null}>} Rule ID to NOT_SYNCING_REASONS key,
+ *   and the sync storage error if writing failed
+ */
+export async function saveRules(rules) {
+  const limits = {
+    bytes: chrome.storage.sync.QUOTA_BYTES ?? SYNC_LIMITS.bytes,
+    bytesPerItem: chrome.storage.sync.QUOTA_BYTES_PER_ITEM ?? SYNC_LIMITS.bytesPerItem,
+    items: chrome.storage.sync.MAX_ITEMS ?? SYNC_LIMITS.items,
+  };
+  const syncData = await chrome.storage.sync.get(null);
+  let { syncItems, localRules, notSyncing } = planRuleStorage(rules, measureOtherItems(syncData, limits), limits);
+  let error = null;
+
+  try {
+    await chrome.storage.sync.set(syncItems);
+    const staleKeys = Object.keys(syncData).filter(key => key.startsWith(RULE_KEY_PREFIX) && !(key in syncItems));
+    if (staleKeys.length > 0) {
+      await chrome.storage.sync.remove(staleKeys);
+    }
+  } catch (syncError) {
+    // Reason: e.g. the write-rate limit; keep every rule on this device so nothing is lost
+    console.error('[Rules] Error writing rules to sync storage:', syncError);
+    error = syncError.message;
+    localRules = rules;
+    notSyncing = Object.fromEntries(rules.map(rule => [rule.id, notSyncing[rule.id] ?? 'write-failed']));
+  }
+
+  await chrome.storage.local.set({ localRules, unsyncedRules: notSyncing, cachedRules: rules });
+  return { notSyncing, error };
+}
+
+/**
+ * Refresh the popup's local cache of rules from storage, retrying a failed sync write
+ * @returns {Promise<Array>} Custom rules, in run order
+ */
+export async function refreshRules() {
+  const rules = await loadRules();
+  const { unsyncedRules = {} } = await chrome.storage.local.get(['unsyncedRules']);
+  if (hasFailedSyncWrite(unsyncedRules)) {
+    await saveRules(rules);
+  } else {
+    await chrome.storage.local.set({ cachedRules: rules });
+  }
+  return rules;
+}
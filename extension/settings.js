@@ -0,0 +1,127 @@
+// Settings storage for close-duplicate-tabs extension
+// Settings live in chrome.storage.sync so they follow the user across devices
+
+import {
+  DEFAULT_SITE_IDENTITY,
+  DEFAULT_TRACKING_PARAMS,
+  DEFAULT_KEEP_STRATEGY,
+  DEFAULT_SCOPE,
+  DEFAULT_ACTION,
+  DEFAULT_ACTION_TARGET,
+} from './utils.js';
+
+/**
+ * Default settings, used for any key the user has not changed
+ */
+export const DEFAULT_SETTINGS = {
+  // Reason: Only the steps that practically never separate two different pages are on by default
+  normalization: {
+    foldScheme: true,
+    foldWww: true,
+    stripTrailingSlash: true,
+    lowercasePath: false,
+    stripDefaultPort: true,
+    decodePercentEncoding: true,
+    stripIndexHtml: false,
+  },
+  // User overrides for DEFAULT_SITE_IDENTITY, keyed by host
+  siteIdentity: {},
+  // Extra tracking param patterns, added to DEFAULT_TRACKING_PARAMS
+  trackingParams: [],
+  // Which tab the predefined rules and the shortcut keep, see KEEP_STRATEGIES
+  keepStrategy: DEFAULT_KEEP_STRATEGY,
+  // Which tabs the predefined rules and the shortcut look at, see SCOPES
+  scope: DEFAULT_SCOPE,
+  scopeGroupTitle: '',
+  // What the predefined rules and the shortcut do with duplicates, see ACTIONS
+  action: DEFAULT_ACTION,
+  actionTarget: DEFAULT_ACTION_TARGET,
+  // Tabs exempt from every rule, see SAFEGUARDS
+  safeguards: {
+    pinned: true,
+    audible: true,
+    grouped: false,
+    incognito: true,
+    unsavedInput: true,
+  },
+  // Never-close entries { type: 'host' | 'regex', pattern }, excluded from every rule
+  allowlist: [],
+};
+
+/**
+ * Fill in missing settings with their defaults
+ * Reason: Stored settings may predate newly added keys, so merge one level deep
+ * @param {Object} [stored] - Settings object read from storage
+ * @returns {Object} Complete settings object
+ */
+export function mergeSettings(stored = {}) {
+  const merged = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = stored[key];
+    if (value === undefined) {
+      merged[key] = structuredClone(defaultValue);
+    } else if (isPlainObject(defaultValue) && isPlainObject(value)) {
+      merged[key] = { ...defaultValue, ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Build the matching options passed to getBaseUrl and findTabsToClose
+ * @param {Object} settings - Complete settings object
+ * @returns {Object} Matching options
+ */
+export function getMatchOptions(settings) {
+  return {
+    normalization: settings.normalization,
+    siteIdentity: { ...DEFAULT_SITE_IDENTITY, ...settings.siteIdentity },
+    trackingParams: [...DEFAULT_TRACKING_PARAMS, ...settings.trackingParams],
+    keep: settings.keepStrategy,
+    allowlist: settings.allowlist,
+  };
+}
+
+/**
+ * Build the rule-level options (keep strategy, scope, action) shared by the predefined rules
+ * Reason: Same shape as the matching fields on custom rules, so both run through the same code
+ * @param {Object} settings - Complete settings object
+ * @returns {{keep: string, scope: string, scopeGroupTitle: string, action: string, actionTarget: string}}
+ */
+export function getPredefinedRuleOptions(settings) {
+  return {
+    keep: settings.keepStrategy,
+    scope: settings.scope,
+    scopeGroupTitle: settings.scopeGroupTitle,
+    action: settings.action,
+    actionTarget: settings.actionTarget,
+  };
+}
+
+/**
+ * Load settings from sync storage, filling in defaults
+ * @returns {Promise<Object>} Complete settings object
+ */
+export async function loadSettings() {
+  const data = await chrome.storage.sync.get(['settings']);
+  return mergeSettings(data.settings);
+}
+
+/**
+ * Save settings to sync storage
+ * @param {Object} settings - Complete settings object
+ */
+export async function saveSettings(settings) {
+  await chrome.storage.sync.set({ settings });
+}
@@ -0,0 +1,42 @@
+// Tab creation times, recorded by the service worker for the newest and oldest keep strategies
+// Chrome does not report when a tab was created, so each tab's time is kept in session storage
+// (cleared with the browser session, like tab IDs) under its own key
+
+// Prefix of the session storage key holding one tab's creation time
+const KEY_PREFIX = 'tabCreatedAt:';
+
+/**
+ * Record when a tab was created
+ * Reason: One key per tab, so tabs created together never overwrite each other's times
+ * @param {number} tabId
+ * @param {number} [now] - Timestamp in ms, for tests
+ */
+export async function recordTabCreated(tabId, now = Date.now()) {
+  await chrome.storage.session.set({ [`${KEY_PREFIX}${tabId}`]: now });
+}
+
+/**
+ * Forget a closed tab's creation time
+ * @param {number} tabId
+ */
+export async function forgetTabCreated(tabId) {
+  await chrome.storage.session.remove(`${KEY_PREFIX}${tabId}`);
+}
+
+/**
+ * Attach each tab's recorded creation time as createdAt
+ * Tabs opened before the extension started have no recorded time and are left without createdAt.
+ * @param {Array} tabs - Array of tab objects, modified in place
+ */
+export async function addCreationTimes(tabs) {
+  if (tabs.length === 0) {
+    return;
+  }
+  const times = await chrome.storage.session.get(tabs.map(tab => `${KEY_PREFIX}${tab.id}`));
+  tabs.forEach((tab) => {
+    const createdAt = times[`${KEY_PREFIX}${tab.id}`];
+    if (createdAt !== undefined) {
+      tab.createdAt = createdAt;
+    }
+  });
+}
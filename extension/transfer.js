@@ -0,0 +1,341 @@
+// Import and export of rules and settings as versioned JSON
+// These functions are pure and don't depend on Chrome APIs
+
+import {
+  CUSTOM_RULE_MODES,
+  KEEP_STRATEGIES,
+  SCOPES,
+  ACTIONS,
+  PATTERN_SYNTAXES,
+  NORMALIZATION_STEPS,
+  SAFEGUARDS,
+  getRulePatternError,
+  getRegexError,
+} from './utils.js';
+import { validateConditions, isConditionGroup } from './conditions.js';
+import { hasRuleMatcher } from './rule-engine.js';
+import { DEFAULT_SETTINGS, isPlainObject } from './settings.js';
+
+// Identifies files made by this extension
+export const EXPORT_FORMAT = 'close-duplicate-tabs';
+
+// Bump when the file layout changes; older versions must still import
+export const EXPORT_VERSION = 1;
+
+/**
+ * How an import combines with the stored rules
+ * Keys are used by the popup's radio buttons, values are the labels shown
+ */
+export const IMPORT_STRATEGIES = {
+  merge: 'Merge with my rules',
+  replace: 'Replace my rules',
+};
+
+// Optional rule fields and the values they are allowed to take
+const RULE_FIELD_VALUES = {
+  mode: Object.values(CUSTOM_RULE_MODES),
+  keep: Object.keys(KEEP_STRATEGIES),
+  scope: Object.keys(SCOPES),
+  action: Object.keys(ACTIONS),
+  syntax: Object.keys(PATTERN_SYNTAXES),
+};
+
+// Settings with a fixed set of allowed values
+const SETTING_VALUES = {
+  keepStrategy: Object.keys(KEEP_STRATEGIES),
+  scope: Object.keys(SCOPES),
+  action: Object.keys(ACTIONS),
+};
+
+// Settings that are maps of flags, and the flags they may hold
+const SETTING_FLAGS = {
+  normalization: Object.keys(NORMALIZATION_STEPS),
+  safeguards: Object.keys(SAFEGUARDS),
+};
+
+/**
+ * Build the export file contents
+ * @param {Array} rules - Custom rules
+ * @param {Object} settings - Complete settings object
+ * @param {Date} [now] - Export time, for tests
+ * @returns {string} Pretty-printed JSON
+ */
+export function buildExport(rules, settings, now = new Date()) {
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    rules,
+    settings,
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Check one imported rule
+ * @param {*} rule - Rule from the file
+ * @param {number} position - 1-based position in the file, for messages
+ * @returns {Array<string>} Problems found, empty if the rule is valid
+ */
+function validateRule(rule, position) {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    return [`Rule ${position} is not an object`];
+  }
+
+  const label = typeof rule.name === 'string' && rule.name.trim() ? `Rule "${rule.name}"` : `Rule ${position}`;
+  const errors = [];
+
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push(`${label} has no name`);
+  }
+  // Reason: The ID names the rule's sync storage item, so it has to be text
+  if (rule.id !== undefined && (typeof rule.id !== 'string' || !rule.id)) {
+    errors.push(`${label} has an ID that is not text`);
+  }
+  const patternListsValid = ['include', 'exclude'].every((field) => {
+    if (rule[field] === undefined || (Array.isArray(rule[field]) && rule[field].every(item => typeof item === 'string'))) {
+      return true;
+    }
+    errors.push(`${label} has ${field} patterns that are not a list of text`);
+    return false;
+  });
+  if (typeof rule.regex !== 'string') {
+    errors.push(`${label} has no regex`);
+  } else if (patternListsValid && !hasRuleMatcher(rule)) {
+    errors.push(rule.mode === CUSTOM_RULE_MODES.DEDUPE ? `${label} has no regex` : `${label} has no regex or condition`);
+  } else if (patternListsValid) {
+    const patternError = getRulePatternError(rule);
+    if (patternError) {
+      // Reason: "Regex" and "Include pattern 2" read lower case mid-sentence, "URL pattern" keeps its capitals
+      const pattern = patternError.label.replace(/^[A-Z][a-z]/, start => start.toLowerCase());
+      errors.push(`${label} has an invalid ${pattern}: ${patternError.message}`);
+    }
+  }
+  if (rule.conditions !== undefined && !isConditionGroup(rule.conditions)) {
+    errors.push(`${label} has conditions that are not a group`);
+  } else {
+    validateConditions(rule.conditions).forEach(message => errors.push(`${label}: ${message}`));
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push(`${label} has an enabled flag that is not true or false`);
+  }
+  for (const [field, allowed] of Object.entries(RULE_FIELD_VALUES)) {
+    if (rule[field] !== undefined && !allowed.includes(rule[field])) {
+      errors.push(`${label} has an unknown ${field} "${rule[field]}"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check one imported setting
+ * @param {string} key - One of the DEFAULT_SETTINGS keys
+ * @param {*} value - Value from the file
+ * @returns {Array<string>} Problems found, empty if the value is valid
+ */
+function validateSetting(key, value) {
+  const label = `Setting "${key}"`;
+
+  if (SETTING_VALUES[key]) {
+    return SETTING_VALUES[key].includes(value) ? [] : [`${label} has an unknown value "${value}"`];
+  }
+  if (SETTING_FLAGS[key]) {
+    if (!isPlainObject(value)) {
+      return [`${label} is not an object`];
+    }
+    return SETTING_FLAGS[key]
+      .filter(flag => value[flag] !== undefined && typeof value[flag] !== 'boolean')
+      .map(flag => `${label} has a ${flag} flag that is not true or false`);
+  }
+  if (key === 'trackingParams') {
+    return Array.isArray(value) && value.every(item => typeof item === 'string') ? [] : [`${label} is not a list of text`];
+  }
+  if (key === 'siteIdentity') {
+    if (!isPlainObject(value)) {
+      return [`${label} is not an object`];
+    }
+    return Object.entries(value)
+      .filter(([, identity]) => !isPlainObject(identity)
+        || !Array.isArray(identity.params) || !identity.params.every(param => typeof param === 'string')
+        || typeof identity.fragment !== 'boolean')
+      .map(([host]) => `${label} for "${host}" needs a list of params and a fragment flag`);
+  }
+  if (key === 'allowlist') {
+    if (!Array.isArray(value)) {
+      return [`${label} is not a list`];
+    }
+    return value.flatMap((entry, i) => {
+      if (!isPlainObject(entry) || !['host', 'regex'].includes(entry.type) || typeof entry.pattern !== 'string' || !entry.pattern) {
+        return [`${label} entry ${i + 1} needs a type of host or regex and a pattern`];
+      }
+      const regexError = entry.type === 'regex' ? getRegexError(entry.pattern) : null;
+      return regexError ? [`${label} entry ${i + 1} has an invalid regex: ${regexError.message}`] : [];
+    });
+  }
+  // Reason: The remaining settings (scopeGroupTitle, actionTarget) are free text
+  return typeof value === 'string' ? [] : [`${label} is not text`];
+}
+
+/**
+ * Check imported settings and keep only the keys this extension knows
+ * Reason: Settings are merged into storage as they are, so a value of the wrong type would break
+ * every later run; unknown keys (e.g. from a newer version) are dropped rather than stored
+ * @param {Object} settings - Settings object from the file
+ * @returns {{errors: Array<string>, settings: Object}}
+ */
+function validateSettings(settings) {
+  const known = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (settings[key] === undefined) {
+      continue;
+    }
+    known[key] = SETTING_FLAGS[key] && isPlainObject(settings[key])
+      ? Object.fromEntries(Object.entries(settings[key]).filter(([flag]) => SETTING_FLAGS[key].includes(flag)))
+      : settings[key];
+  }
+  const errors = Object.entries(known).flatMap(([key, value]) => validateSetting(key, value));
+  return { errors, settings: known };
+}
+
+/**
+ * Find values that appear more than once
+ * @param {Array<string>} values
+ * @returns {Array<string>} Each repeated value once
+ */
+function findRepeated(values) {
+  const seen = new Set();
+  const repeated = new Set();
+  for (const value of values) {
+    if (seen.has(value)) {
+      repeated.add(value);
+    }
+    seen.add(value);
+  }
+  return [...repeated];
+}
+
+/**
+ * Parse and validate the text of an export file
+ * @param {string} text - File or clipboard contents
+ * @returns {{errors: Array<string>, rules: Array, settings: Object|null}} When errors is not
+ *   empty, nothing should be imported
+ */
+export function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { errors: ['The text is not valid JSON'], rules: [], settings: null };
+  }
+
+  if (typeof data !== 'object' || data === null || data.format !== EXPORT_FORMAT) {
+    return { errors: ['This is not a Close Duplicate Tabs export'], rules: [], settings: null };
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    return { errors: [`Export version ${data.version} is newer than this extension supports`], rules: [], settings: null };
+  }
+
+  const rules = Array.isArray(data.rules) ? data.rules : [];
+  const errors = rules.flatMap((rule, i) => validateRule(rule, i + 1));
+
+  const ids = rules.map(rule => rule?.id).filter(id => id !== undefined);
+  findRepeated(ids).forEach(id => errors.push(`Rule ID "${id}" appears more than once`));
+  const names = rules.map(rule => rule?.name).filter(name => typeof name === 'string').map(name => name.trim().toLowerCase());
+  findRepeated(names).forEach(name => errors.push(`Rule name "${name}" appears more than once`));
+
+  let settings = null;
+  if (isPlainObject(data.settings)) {
+    const checked = validateSettings(data.settings);
+    errors.push(...checked.errors);
+    settings = checked.settings;
+  }
+
+  return { errors, rules, settings };
+}
+
+/**
+ * Whether two rules differ in any stored field other than the ID
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function rulesDiffer(a, b) {
+  const { id: idA, ...restA } = a;
+  const { id: idB, ...restB } = b;
+  const keys = new Set([...Object.keys(restA), ...Object.keys(restB)]);
+  return [...keys].some(key => JSON.stringify(restA[key]) !== JSON.stringify(restB[key]));
+}
+
+/**
+ * Combine imported rules with the stored ones and describe the changes
+ * In "merge" mode an imported rule updates the stored rule with the same ID, or else the same
+ * name (ignoring case), keeping the stored ID; other imported rules are added. In "replace"
+ * mode the imported rules become the whole list.
+ * @param {Array} existingRules - Stored rules
+ * @param {Array} importedRules - Validated rules from parseImport
+ * @param {string} strategy - One of the IMPORT_STRATEGIES keys
+ * @param {Function} [createId] - Makes an ID for imported rules without one
+ * @returns {{rules: Array, added: Array<string>, updated: Array<string>, removed: Array<string>, unchanged: Array<string>}}
+ *   The new rule list and the names of the rules in each category
+ */
+export function planRulesImport(existingRules, importedRules, strategy, createId = i => `custom-${Date.now()}-${i}`) {
+  const diff = { added: [], updated: [], removed: [], unchanged: [] };
+  const byId = new Map(existingRules.map(rule => [rule.id, rule]));
+  const byName = new Map(existingRules.map(rule => [rule.name.trim().toLowerCase(), rule]));
+  const matched = new Set();
+
+  const incoming = importedRules.map((imported, i) => {
+    const existing = byId.get(imported.id)
+      ?? (strategy === 'merge' ? byName.get(imported.name.trim().toLowerCase()) : undefined);
+    const rule = { ...imported, id: existing?.id ?? imported.id ?? createId(i) };
+
+    if (!existing) {
+      diff.added.push(rule.name);
+    } else {
+      matched.add(existing.id);
+      (rulesDiffer(existing, rule) ? diff.updated : diff.unchanged).push(rule.name);
+    }
+    return rule;
+  });
+
+  if (strategy === 'replace') {
+    existingRules.filter(rule => !matched.has(rule.id)).forEach(rule => diff.removed.push(rule.name));
+    return { rules: incoming, ...diff };
+  }
+
+  const incomingById = new Map(incoming.map(rule => [rule.id, rule]));
+  const merged = existingRules.map(rule => incomingById.get(rule.id) ?? rule);
+  const added = incoming.filter(rule => !matched.has(rule.id));
+  return { rules: [...merged, ...added], ...diff };
+}
+
+/**
+ * Apply imported settings on top of the current ones
+ * Reason: A file may hold only some flags of a flag map (e.g. one safeguard), and the user's
+ * other flags are kept rather than reset to their defaults
+ * @param {Object} currentSettings - Complete settings object
+ * @param {Object} importedSettings - Settings from parseImport
+ * @returns {Object} Complete settings object to store
+ */
+export function mergeImportedSettings(currentSettings, importedSettings) {
+  const merged = { ...currentSettings, ...importedSettings };
+  for (const key of Object.keys(SETTING_FLAGS)) {
+    if (importedSettings[key] !== undefined) {
+      merged[key] = { ...currentSettings[key], ...importedSettings[key] };
+    }
+  }
+  return merged;
+}
+
+/**
+ * List the settings an import would change
+ * @param {Object} currentSettings - Complete settings object
+ * @param {Object} importedSettings - Settings from parseImport
+ * @returns {Array<string>} Top-level setting keys whose value differs
+ */
+export function diffSettings(currentSettings, importedSettings) {
+  return Object.keys(importedSettings).filter(key =>
+    key in currentSettings && JSON.stringify(currentSettings[key]) !== JSON.stringify(importedSettings[key])
+  );
+}
@@ -1,16 +1,363 @@
 // Utility functions for duplicate tab detection and management
 // These functions are pure and don't depend on Chrome APIs
 
+/**
+ * URL normalization steps that can be toggled individually in settings
+ * Keys are stored in settings, values are the labels shown in the popup
+ */
+export const NORMALIZATION_STEPS = {
+  foldScheme: 'Treat http and https as the same',
+  foldWww: 'Ignore a leading "www."',
+  stripTrailingSlash: 'Ignore trailing slashes',
+  lowercasePath: 'Ignore letter case in the path',
+  stripDefaultPort: 'Ignore default ports (:80, :443)',
+  decodePercentEncoding: 'Treat percent-encoded and plain characters the same',
+  stripIndexHtml: 'Ignore index.html / index.htm',
+};
+
+/**
+ * Shipped per-site identity rules, keyed by host
+ * Lists the query keys (and whether the fragment) that make a URL a distinct page on that
+ * host, so they are kept in the duplicate key. User overrides in settings replace entries.
+ */
+export const DEFAULT_SITE_IDENTITY = {
+  'youtube.com': { params: ['v', 'list'], fragment: false },
+  'google.com': { params: ['q', 'tbm'], fragment: false },
+  'bing.com': { params: ['q'], fragment: false },
+  'duckduckgo.com': { params: ['q'], fragment: false },
+  'news.ycombinator.com': { params: ['id'], fragment: false },
+  'mail.google.com': { params: [], fragment: true },
+};
+
+/**
+ * Shipped list of tracking/noise query params removed by the "Strip Tracking Params" rule
+ * Entries are glob patterns on the key name: "*" matches any run of characters, "?" one character
+ */
+export const DEFAULT_TRACKING_PARAMS = [
+  'utm_*',
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_eid',
+  'mc_cid',
+  '_ga',
+  'ref',
+];
+
+/**
+ * Duplicate matching modes used by the predefined rules
+ */
+export const MATCH_MODES = {
+  IGNORE_PARAMS: 'ignore-params',
+  STRIP_TRACKING: 'strip-tracking',
+};
+
+/**
+ * Display names of the predefined rules, keyed by match mode
+ */
+export const PREDEFINED_RULE_NAMES = {
+  [MATCH_MODES.IGNORE_PARAMS]: 'Close Duplicates (Ignore Params)',
+  [MATCH_MODES.STRIP_TRACKING]: 'Close Duplicates (Strip Tracking Params)',
+};
+
+/**
+ * What a custom rule does with the tabs its regex matches
+ */
+export const CUSTOM_RULE_MODES = {
+  CLOSE_ALL: 'close-all',
+  DEDUPE: 'dedupe',
+};
+
+/**
+ * Strategies for choosing which tab survives in a group of duplicates
+ * Keys are stored on rules and in settings, values are the labels shown in the popup
+ */
+export const KEEP_STRATEGIES = {
+  newest: 'Newest created',
+  oldest: 'Oldest created',
+  'last-accessed': 'Most recently used',
+  leftmost: 'Leftmost position',
+  rightmost: 'Rightmost position',
+  'prefer-loaded': 'Prefer loaded (not discarded)',
+  'prefer-pinned': 'Prefer pinned',
+  'longest-history': 'Longest navigation history',
+};
+
+export const DEFAULT_KEEP_STRATEGY = 'newest';
+
+/**
+ * How recently a tab was created, for comparing tabs
+ * Reason: createdAt is only known for tabs opened while the extension was running. Tabs without
+ * it are older than all of those, and among themselves tab IDs follow creation order; IDs are
+ * small next to millisecond timestamps, so they sort below every recorded time.
+ * @param {Object} tab - Tab object with an optional createdAt timestamp in ms
+ * @returns {number} Higher is newer
+ */
+function getCreationScore(tab) {
+  return tab.createdAt ?? tab.id;
+}
+
+/**
+ * Score functions for each keep strategy; the highest score is kept
+ */
+const KEEP_STRATEGY_SCORES = {
+  newest: getCreationScore,
+  oldest: tab => -getCreationScore(tab),
+  'last-accessed': tab => tab.lastAccessed ?? 0,
+  leftmost: tab => -(tab.index ?? 0),
+  rightmost: tab => tab.index ?? 0,
+  'prefer-loaded': tab => (tab.discarded ? 0 : 1),
+  'prefer-pinned': tab => (tab.pinned ? 1 : 0),
+  'longest-history': tab => tab.historyLength ?? 0,
+};
+
+/**
+ * Safeguards that exempt tabs from being closed by any rule
+ * Keys are stored in settings, values are the labels shown in the popup
+ */
+export const SAFEGUARDS = {
+  pinned: 'Pinned tabs',
+  audible: 'Tabs playing audio',
+  grouped: 'Tabs in a tab group',
+  incognito: 'Incognito tabs',
+  unsavedInput: 'Tabs with unsaved form input',
+};
+
+const SAFEGUARD_CHECKS = {
+  pinned: tab => tab.pinned === true,
+  audible: tab => tab.audible === true,
+  // Reason: chrome.tabGroups.TAB_GROUP_ID_NONE is -1
+  grouped: tab => typeof tab.groupId === 'number' && tab.groupId !== -1,
+  incognito: tab => tab.incognito === true,
+  unsavedInput: tab => tab.hasUnsavedInput === true,
+};
+
+/**
+ * Which tabs a rule looks at
+ * Keys are stored on rules and in settings, values are the labels shown in the popup
+ */
+export const SCOPES = {
+  'current-window': 'Current window',
+  'all-windows': 'All windows',
+  'tab-group': 'Tab group',
+};
+
+export const DEFAULT_SCOPE = 'current-window';
+
+/**
+ * What a rule does with the duplicates it finds
+ * Keys are stored on rules and in settings, values are the labels shown in the popup
+ */
+export const ACTIONS = {
+  close: 'Close',
+  discard: 'Discard (free memory)',
+  group: 'Collect into a tab group',
+  move: 'Move to a "Duplicates" window',
+  bookmark: 'Bookmark into a folder, then close',
+};
+
+/**
+ * Past-tense verbs for each action, used in "(3 tabs discarded)" style messages
+ */
+export const ACTION_PAST_TENSE = {
+  close: 'closed',
+  discard: 'discarded',
+  group: 'grouped',
+  move: 'moved',
+  bookmark: 'bookmarked',
+};
+
+export const DEFAULT_ACTION = 'close';
+
+// Actions that need a tab group title or bookmark folder title
+export const ACTIONS_WITH_TARGET = ['group', 'bookmark'];
+
+// Default tab group title / bookmark folder title for the group and bookmark actions
+export const DEFAULT_ACTION_TARGET = 'Duplicates';
+
+/**
+ * How a custom rule's URL patterns are written
+ * Keys are stored on rules, values are the labels shown in the popup
+ */
+export const PATTERN_SYNTAXES = {
+  regex: 'Regex',
+  'url-pattern': 'URL pattern (* and :name)',
+};
+
+export const DEFAULT_PATTERN_SYNTAX = 'regex';
+
+const DEFAULT_PORTS = ['80', '443'];
+const UNRESERVED_CHAR = /[A-Za-z0-9\-._~]/;
+
+/**
+ * Canonicalize percent-escapes in a path
+ * Reason: RFC 3986 says escaped unreserved characters are equivalent to the plain
+ * character, and hex digits are case-insensitive, so %7e, %7E and ~ are the same path
+ * @param {string} path - URL path
+ * @returns {string} Path with unreserved characters decoded and other escapes uppercased
+ */
+function canonicalizePercentEncoding(path) {
+  return path.replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return UNRESERVED_CHAR.test(char) ? char : `%${hex.toUpperCase()}`;
+  });
+}
+
+/**
+ * Build the origin + path part of a URL with the enabled normalization steps applied
+ * Note: The URL parser already lowercases the host and drops the scheme's own default port
+ * @param {URL} urlObj - Parsed URL
+ * @param {Object} steps - Map of NORMALIZATION_STEPS keys to booleans
+ * @returns {string} Normalized URL without params and fragments
+ */
+function normalizeOriginAndPath(urlObj, steps) {
+  let protocol = urlObj.protocol;
+  let hostname = urlObj.hostname;
+  let port = urlObj.port;
+  let pathname = urlObj.pathname;
+
+  if (steps.foldScheme && protocol === 'http:') {
+    protocol = 'https:';
+  }
+  if (steps.foldWww) {
+    hostname = hostname.replace(/^www\./, '');
+  }
+  if (steps.stripDefaultPort && DEFAULT_PORTS.includes(port)) {
+    // Reason: Catches mismatches like http://host:443 once the scheme has been folded
+    port = '';
+  }
+  if (steps.decodePercentEncoding) {
+    pathname = canonicalizePercentEncoding(pathname);
+  }
+  if (steps.lowercasePath) {
+    // Reason: Keep escape sequences uppercase so they stay in canonical form
+    pathname = pathname.toLowerCase().replace(/%[0-9a-f]{2}/g, escape => escape.toUpperCase());
+  }
+  if (steps.stripIndexHtml) {
+    pathname = pathname.replace(/\/index\.html?$/i, '/');
+  }
+  if (steps.stripTrailingSlash) {
+    // Reason: The root path "/" is kept so every URL still has a path
+    pathname = pathname.replace(/\/+$/, '') || '/';
+  }
+
+  const host = port ? `${hostname}:${port}` : hostname;
+  return `${protocol}//${host}${pathname}`;
+}
+
+/**
+ * Find the identity rule for a host, preferring the most specific matching entry
+ * Reason: Walk up the domain so "www.youtube.com" and "m.youtube.com" use the "youtube.com" rule
+ * @param {string} hostname - Host to look up
+ * @param {Object} table - Map of host to { params, fragment }
+ * @returns {Object|null} Matching identity rule or null
+ */
+export function findSiteIdentity(hostname, table) {
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const rule = table[labels.slice(i).join('.')];
+    if (rule) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the part of the duplicate key that comes from significant params and fragment
+ * @param {URL} urlObj - Parsed URL
+ * @param {Object} identity - Site identity rule { params, fragment }
+ * @returns {string} Sorted "?key=value" string plus "#fragment" when significant
+ */
+function getSignificantSuffix(urlObj, identity) {
+  const pairs = [];
+  // Reason: Sort keys so the order of params in the URL does not matter
+  for (const key of [...(identity.params || [])].sort()) {
+    for (const value of urlObj.searchParams.getAll(key)) {
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    }
+  }
+
+  const query = pairs.length > 0 ? `?${pairs.join('&')}` : '';
+  const fragment = identity.fragment ? urlObj.hash : '';
+  return `${query}${fragment}`;
+}
+
 /**
  * Extract base URL by removing query parameters and fragments
+ * Params and fragments that a site identity rule marks as significant are kept.
  * @param {string} url - The full URL
- * @returns {string} Base URL without params and fragments
+ * @param {Object} [options]
+ * @param {Object} [options.normalization] - Map of NORMALIZATION_STEPS keys to booleans
+ * @param {Object} [options.siteIdentity] - Map of host to { params, fragment }
+ * @returns {string} Base URL without insignificant params and fragments
  */
-export function getBaseUrl(url) {
+export function getBaseUrl(url, options = {}) {
   try {
     const urlObj = new URL(url);
     // Reason: Remove everything after ? and # to get the base URL
-    return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+    const baseUrl = normalizeOriginAndPath(urlObj, options.normalization || {});
+    const identity = findSiteIdentity(urlObj.hostname, options.siteIdentity || {});
+    return identity ? `${baseUrl}${getSignificantSuffix(urlObj, identity)}` : baseUrl;
+  } catch {
+    // Invalid URLs should not crash the function
+    return url;
+  }
+}
+
+/**
+ * Compile a glob pattern on a param key name into a case-insensitive RegExp
+ * @param {string} pattern - Glob pattern, e.g. "utm_*"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a query param key matches any tracking param pattern
+ * @param {string} key - Query param key
+ * @param {Array<string>} patterns - Glob patterns on key names
+ * @returns {boolean}
+ */
+export function isTrackingParam(key, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(key));
+}
+
+/**
+ * Build a URL with tracking params removed and the remaining params sorted
+ * Reason: Sorting makes "?a=1&b=2" and "?b=2&a=1" compare equal
+ * @param {string} url - The full URL
+ * @param {Object} [options]
+ * @param {Object} [options.normalization] - Map of NORMALIZATION_STEPS keys to booleans
+ * @param {Array<string>} [options.trackingParams] - Glob patterns of params to remove
+ * @returns {string} URL without tracking params
+ */
+export function getTrackingFreeUrl(url, options = {}) {
+  try {
+    const urlObj = new URL(url);
+    const baseUrl = normalizeOriginAndPath(urlObj, options.normalization || {});
+    const patterns = options.trackingParams || [];
+
+    const params = [...urlObj.searchParams]
+      .filter(([key]) => !isTrackingParam(key, patterns))
+      .sort(([keyA, valueA], [keyB, valueB]) =>
+        keyA === keyB ? valueA.localeCompare(valueB) : keyA.localeCompare(keyB)
+      );
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    return `${baseUrl}${query}${urlObj.hash}`;
   } catch {
     // Invalid URLs should not crash the function
     return url;
@@ -18,13 +365,27 @@ export function getBaseUrl(url) {
 }
 
 /**
- * Group tabs by their base URL
+ * Get the key two tabs must share to count as duplicates
+ * @param {string} url - The full URL
+ * @param {Object} [options] - Matching options; options.mode is one of MATCH_MODES
+ * @returns {string} Duplicate key
+ */
+export function getDuplicateKey(url, options = {}) {
+  if (options.mode === MATCH_MODES.STRIP_TRACKING) {
+    return getTrackingFreeUrl(url, options);
+  }
+  return getBaseUrl(url, options);
+}
+
+/**
+ * Group tabs by their base URL (or by the key of the selected match mode)
  * @param {Array} tabs - Array of tab objects with id, url properties
+ * @param {Object} [options] - Matching options, see getDuplicateKey
  * @returns {Object} Object with base URLs as keys and arrays of tabs as values
  */
-export function groupTabsByBaseUrl(tabs) {
+export function groupTabsByBaseUrl(tabs, options = {}) {
   return tabs.reduce((groups, tab) => {
-    const baseUrl = getBaseUrl(tab.url);
+    const baseUrl = getDuplicateKey(tab.url, options);
     if (!groups[baseUrl]) {
       groups[baseUrl] = [];
     }
@@ -34,52 +395,454 @@ export function groupTabsByBaseUrl(tabs) {
 }
 
 /**
- * Filter out special URLs that shouldn't be closed
+ * Check whether a host matches an allowlist host pattern
+ * A plain host also matches its subdomains; "*" wildcards match any run of characters.
+ * @param {string} hostname - Host to check
+ * @param {string} pattern - Host pattern, e.g. "example.com" or "dash-*.corp.net"
+ * @returns {boolean}
+ */
+export function matchesHostPattern(hostname, pattern) {
+  const normalizedPattern = pattern.trim().toLowerCase();
+  if (normalizedPattern.includes('*')) {
+    return globToRegExp(normalizedPattern).test(hostname);
+  }
+  return hostname === normalizedPattern || hostname.endsWith(`.${normalizedPattern}`);
+}
+
+/**
+ * Check whether a URL is on the never-close allowlist
+ * @param {string} url - The full URL
+ * @param {Array<{type: string, pattern: string}>} allowlist - Entries of type "host" or "regex"
+ * @returns {boolean}
+ */
+export function isAllowlisted(url, allowlist) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    // Reason: Invalid URLs can still be matched by regex entries
+  }
+
+  return allowlist.some(entry => {
+    if (entry.type === 'regex') {
+      try {
+        return new RegExp(entry.pattern).test(url);
+      } catch {
+        // Reason: A broken allowlist regex should not stop every rule from running
+        return false;
+      }
+    }
+    return hostname !== '' && matchesHostPattern(hostname, entry.pattern);
+  });
+}
+
+/**
+ * Filter out special URLs and allowlisted URLs that shouldn't be closed
  * @param {Array} tabs - Array of tab objects
+ * @param {Array} [allowlist] - Never-close entries, see isAllowlisted
  * @returns {Array} Filtered array of regular tabs
  */
-export function filterSpecialUrls(tabs) {
+export function filterSpecialUrls(tabs, allowlist = []) {
   const specialPrefixes = ['chrome://', 'about:', 'chrome-extension://', 'edge://'];
   return tabs.filter(tab => {
-    return !specialPrefixes.some(prefix => tab.url.startsWith(prefix));
+    if (specialPrefixes.some(prefix => tab.url.startsWith(prefix))) {
+      return false;
+    }
+    return !isAllowlisted(tab.url, allowlist);
   });
 }
 
 /**
- * Find which tabs should be closed based on duplicate detection
- * Rule: If active tab is in the duplicate group, keep it. Otherwise keep the newest.
- * Never closes the currently focused tab.
- * @param {Array} tabs - Array of tab objects
- * @param {number} currentTabId - ID of the currently focused tab
- * @returns {Array} Array of tab IDs to close
+ * Choose the tab to keep in a group according to a keep strategy
+ * Reason: Ties (e.g. several loaded tabs under "prefer-loaded") fall back to the newest tab
+ * @param {Array} group - Tabs that are duplicates of each other
+ * @param {string} [keepStrategy] - One of the KEEP_STRATEGIES keys
+ * @returns {Object} The tab to keep
+ */
+export function pickTabToKeep(group, keepStrategy = DEFAULT_KEEP_STRATEGY) {
+  const score = KEEP_STRATEGY_SCORES[keepStrategy] || KEEP_STRATEGY_SCORES[DEFAULT_KEEP_STRATEGY];
+  return group.reduce((best, tab) => {
+    const diff = score(tab) - score(best);
+    return diff > 0 || (diff === 0 && getCreationScore(tab) > getCreationScore(best)) ? tab : best;
+  });
+}
+
+/**
+ * Get the first enabled safeguard that protects a tab
+ * @param {Object} tab - Tab object
+ * @param {Object} safeguards - Map of SAFEGUARDS keys to booleans
+ * @returns {string|null} SAFEGUARDS key, or null if the tab is not protected
  */
-export function findTabsToClose(tabs, currentTabId) {
-  const filteredTabs = filterSpecialUrls(tabs);
-  const grouped = groupTabsByBaseUrl(filteredTabs);
+export function getSafeguardReason(tab, safeguards) {
+  const reason = Object.keys(SAFEGUARDS).find(key => safeguards[key] && SAFEGUARD_CHECKS[key](tab));
+  return reason || null;
+}
 
+/**
+ * Remove protected tabs from a list of tabs to close
+ * @param {Array} tabs - Array of tab objects (must include every ID in tabIdsToClose)
+ * @param {Array} tabIdsToClose - Tab IDs a rule wants to close
+ * @param {Object} safeguards - Map of SAFEGUARDS keys to booleans
+ * @returns {{tabsToClose: Array, spared: Array<{tabId: number, title: string, url: string, reason: string}>}}
+ */
+export function applySafeguards(tabs, tabIdsToClose, safeguards) {
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
   const tabsToClose = [];
+  const spared = [];
 
-  Object.values(grouped).forEach(group => {
-    if (group.length <= 1) {
-      // Reason: No duplicates in this group, skip
-      return;
+  for (const tabId of tabIdsToClose) {
+    const tab = tabsById.get(tabId);
+    const reason = tab ? getSafeguardReason(tab, safeguards) : null;
+    if (reason) {
+      spared.push({ tabId, title: tab.title, url: tab.url, reason });
+    } else {
+      tabsToClose.push(tabId);
     }
+  }
 
-    // Sort by ID ascending (older tabs have lower IDs)
-    group.sort((a, b) => a.id - b.id);
+  return { tabsToClose, spared };
+}
 
-    // Determine which tab to keep in this group
-    // Reason: If active tab is in this group, prioritize keeping it over the newest
-    const isActiveTabInGroup = group.some(tab => tab.id === currentTabId);
-    const tabToKeep = isActiveTabInGroup ? currentTabId : group[group.length - 1].id;
+/**
+ * Escape a character that has a meaning in regex source
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeRegexChar(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Translate a URL pattern into regex source
+ * `*` matches any text (within the scheme and host, text without "/"), `:name` matches one host
+ * label or path segment and captures it as a named group, and `\` makes the next character
+ * literal. A pattern without a scheme matches any scheme, and one without a path matches every
+ * page on its host. The pattern covers the whole URL, except that any query and fragment may follow.
+ * @param {string} source - URL pattern, e.g. "*://*.atlassian.net/browse/:key"
+ * @returns {{regex: string, error: {message: string, position: number}|null}} Position is a
+ *   0-based index into source
+ */
+export function translateUrlPattern(source) {
+  const schemeEnd = source.indexOf('://');
+  // Reason: Without a scheme, "github.com/*" would otherwise never match, since URLs start with one
+  const prefix = schemeEnd === -1 ? '[^/]*://' : '';
+  const hostStart = schemeEnd === -1 ? 0 : schemeEnd + 3;
+  const pathStart = source.indexOf('/', hostStart);
+  const names = new Set();
+  let regex = '';
 
-    // Close all others except the tab to keep
-    group.forEach(tab => {
-      if (tab.id !== tabToKeep) {
-        tabsToClose.push(tab.id);
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const inPath = pathStart !== -1 && i >= pathStart;
+    if (char === '\\') {
+      if (i === source.length - 1) {
+        return { regex: '', error: { message: 'Nothing to escape', position: i } };
       }
-    });
-  });
+      i++;
+      regex += escapeRegexChar(source[i]);
+    } else if (char === '*') {
+      regex += inPath ? '.*' : '[^/]*';
+    } else if (char === ':' && /[A-Za-z_]/.test(source[i + 1] ?? '')) {
+      const name = /^[A-Za-z_]\w*/.exec(source.slice(i + 1))[0];
+      if (names.has(name)) {
+        return { regex: '', error: { message: `Duplicate segment name "${name}"`, position: i } };
+      }
+      names.add(name);
+      regex += inPath ? `(?<${name}>[^/?#]+)` : `(?<${name}>[^./:]+)`;
+      i += name.length;
+    } else {
+      regex += escapeRegexChar(char);
+    }
+  }
+
+  const rest = pathStart === -1 ? '(?:[/?#].*)?' : '(?:[?#].*)?';
+  return { regex: `^${prefix}${regex}${rest}$`, error: null };
+}
+
+/**
+ * Check a pattern written in a rule's syntax and locate its error
+ * @param {string} source - Pattern
+ * @param {string} [syntax] - One of the PATTERN_SYNTAXES keys
+ * @returns {{message: string, position: number}|null} See getRegexError
+ */
+export function getPatternError(source, syntax = DEFAULT_PATTERN_SYNTAX) {
+  return syntax === 'url-pattern' ? translateUrlPattern(source).error : getRegexError(source);
+}
 
-  return tabsToClose;
+/**
+ * Compile a pattern written in a rule's syntax
+ * @param {string} source - Pattern
+ * @param {string} [syntax] - One of the PATTERN_SYNTAXES keys
+ * @returns {RegExp}
+ * @throws {SyntaxError} If the pattern does not compile
+ */
+export function compilePattern(source, syntax = DEFAULT_PATTERN_SYNTAX) {
+  if (syntax !== 'url-pattern') {
+    return new RegExp(source);
+  }
+  const { regex, error } = translateUrlPattern(source);
+  if (error) {
+    throw new SyntaxError(`Invalid URL pattern: ${source}: ${error.message}`);
+  }
+  return new RegExp(regex);
+}
+
+/**
+ * The URL patterns of a custom rule: its regex and extra include patterns, and its exclude patterns
+ * @param {Object} rule - Custom rule { regex, include, exclude }
+ * @returns {{includes: Array<string>, excludes: Array<string>}} Non-empty patterns only
+ */
+export function getRulePatterns(rule) {
+  return {
+    includes: [rule.regex, ...(rule.include || [])].filter(Boolean),
+    excludes: (rule.exclude || []).filter(Boolean),
+  };
+}
+
+/**
+ * The reason part of a RegExp SyntaxError, e.g. "Unterminated group"
+ * @param {Error} error - Error thrown by new RegExp
+ * @returns {string}
+ */
+function getRegexErrorReason(error) {
+  // Reason: V8 messages look like "Invalid regular expression: /(a/: Unterminated group"
+  return error.message.slice(error.message.lastIndexOf(': ') + 2);
+}
+
+/**
+ * Check a regex and locate its error
+ * Errors that adding more text can fix (an unclosed group or class) are placed at the opener
+ * that is never closed, i.e. where the longest valid prefix ends. Other errors are placed at the
+ * last character of the shortest prefix that fails with the same reason.
+ * @param {string} source - Regex pattern
+ * @returns {{message: string, position: number}|null} Null if the pattern compiles; position is
+ *   a 0-based index into source
+ */
+export function getRegexError(source) {
+  let reason;
+  try {
+    new RegExp(source);
+    return null;
+  } catch (error) {
+    reason = getRegexErrorReason(error);
+  }
+
+  const prefixError = (end) => {
+    try {
+      new RegExp(source.slice(0, end));
+      return null;
+    } catch (error) {
+      return getRegexErrorReason(error);
+    }
+  };
+
+  let position = 0;
+  if (reason.startsWith('Unterminated')) {
+    for (let end = source.length - 1; end > 0; end--) {
+      if (prefixError(end) === null) {
+        position = end;
+        break;
+      }
+    }
+  } else {
+    for (let end = 1; end <= source.length; end++) {
+      if (prefixError(end) === reason) {
+        position = end - 1;
+        break;
+      }
+    }
+  }
+
+  return { message: reason, position };
+}
+
+/**
+ * Find the first URL pattern of a custom rule that does not compile
+ * @param {Object} rule - Custom rule { regex, include, exclude, syntax }
+ * @returns {{message: string, position: number, source: string, label: string}|null} See
+ *   getRegexError; label names the pattern, e.g. "Exclude pattern 2"
+ */
+export function getRulePatternError(rule) {
+  const labelled = [
+    [rule.syntax === 'url-pattern' ? 'URL pattern' : 'Regex', rule.regex],
+    ...(rule.include || []).map((source, i) => [`Include pattern ${i + 1}`, source]),
+    ...(rule.exclude || []).map((source, i) => [`Exclude pattern ${i + 1}`, source]),
+  ];
+  for (const [label, source] of labelled) {
+    const error = getPatternError(source || '', rule.syntax);
+    if (error) {
+      return { ...error, source, label };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe each group's tabs for the dry-run preview
+ * Tabs the rule would close but a safeguard protects are marked as spared and not closed.
+ * @param {Array} tabs - Array of tab objects (must include every ID in the groups)
+ * @param {Array} groups - Groups from findDuplicateGroups or findRuleGroups
+ * @param {Object} safeguards - Map of SAFEGUARDS keys to booleans
+ * @returns {Array<{key: string, keepOne: boolean, tabs: Array}>} Groups whose tabs are
+ *   { id, title, url, favIconUrl, windowId, active, keep, close, spared }, spared being a SAFEGUARDS key or null
+ */
+export function buildPlanGroups(tabs, groups, safeguards) {
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+
+  const describe = (tabId, keep) => {
+    const tab = tabsById.get(tabId);
+    const spared = keep ? null : getSafeguardReason(tab, safeguards);
+    return {
+      id: tab.id,
+      title: tab.title,
+      url: tab.url,
+      favIconUrl: tab.favIconUrl,
+      windowId: tab.windowId,
+      active: tab.active === true,
+      keep,
+      close: !keep && !spared,
+      spared,
+    };
+  };
+
+  return groups.map(group => ({
+    key: group.key,
+    keepOne: group.keepOne,
+    tabs: [
+      ...group.keepTabIds.map(tabId => describe(tabId, true)),
+      ...group.closeTabIds.map(tabId => describe(tabId, false)),
+    ],
+  }));
+}
+
+/**
+ * Whether a custom rule is enabled
+ * Reason: Rules saved before the enabled flag existed have no such field and count as enabled
+ * @param {Object} rule - Custom rule
+ * @returns {boolean}
+ */
+export function isRuleEnabled(rule) {
+  return rule.enabled !== false;
+}
+
+/**
+ * Move a rule to a new position; the order of the list is the order rules run in
+ * @param {Array} rules - Custom rules
+ * @param {string} ruleId - ID of the rule to move
+ * @param {number} toIndex - Position to move it to, clamped to the list
+ * @returns {Array} Reordered copy of the rules
+ */
+export function moveRule(rules, ruleId, toIndex) {
+  const fromIndex = rules.findIndex(rule => rule.id === ruleId);
+  if (fromIndex === -1) {
+    return rules;
+  }
+  const reordered = [...rules];
+  const [rule] = reordered.splice(fromIndex, 1);
+  reordered.splice(Math.max(0, Math.min(toIndex, reordered.length)), 0, rule);
+  return reordered;
+}
+
+/**
+ * Describe a rule's scope for display, e.g. "All windows" or "Tab group: Research"
+ * @param {string} [scope] - One of the SCOPES keys
+ * @param {string} [groupTitle] - Tab group title for the "tab-group" scope
+ * @returns {string}
+ */
+export function describeScope(scope = DEFAULT_SCOPE, groupTitle = '') {
+  if (scope === 'tab-group') {
+    return `${SCOPES[scope]}: ${groupTitle || '(untitled)'}`;
+  }
+  return SCOPES[scope] || SCOPES[DEFAULT_SCOPE];
+}
+
+/**
+ * Pick the tabs in a scope out of a snapshot of every window's tabs
+ * Reason: Lets several rules with different scopes be planned on one snapshot
+ * @param {Array} tabs - Tabs of every window
+ * @param {string} [scope] - One of the SCOPES keys
+ * @param {string} [groupTitle] - Tab group title for the "tab-group" scope
+ * @param {Object} context
+ * @param {number|null} context.windowId - The current window
+ * @param {Array<{id: number, title: string}>} context.groups - Open tab groups
+ * @returns {Array} Tabs in the scope
+ */
+export function filterTabsInScope(tabs, scope = DEFAULT_SCOPE, groupTitle = '', { windowId, groups }) {
+  if (scope === 'all-windows') {
+    return tabs;
+  }
+  if (scope === 'tab-group') {
+    // Reason: Group IDs change across restarts, so groups are looked up by title
+    const groupIds = new Set(groups.filter(group => (group.title ?? '') === groupTitle).map(group => group.id));
+    return tabs.filter(tab => groupIds.has(tab.groupId));
+  }
+  return tabs.filter(tab => tab.windowId === windowId);
+}
+
+/**
+ * Pick the closed tab records to reopen, in the order they should be recreated
+ * Reason: A URL is only skipped for the copies opened again since the action; copies the action
+ * itself left open (e.g. the kept duplicate) do not count, or undoing a dedupe would reopen nothing.
+ * Recreating in window and index order keeps each recorded index valid as earlier tabs are inserted
+ * @param {Array} records - Closed tab records { url, windowId, index, keptCopies, ... }, where
+ *   keptCopies is how many tabs with the URL were still open right after the action
+ * @param {Array<string>} openUrls - URLs of the tabs open now
+ * @returns {Array} Records to reopen
+ */
+export function selectTabsToRestore(records, openUrls) {
+  const kept = new Map();
+  records.forEach(record => kept.set(record.url, Math.max(kept.get(record.url) ?? 0, record.keptCopies ?? 0)));
+  // Reason: Starts at minus the kept copies, so only the copies beyond them skip a record
+  const reopened = new Map();
+  openUrls.forEach(url => reopened.set(url, (reopened.get(url) ?? -(kept.get(url) ?? 0)) + 1));
+
+  return records
+    .filter((record) => {
+      const count = reopened.get(record.url) ?? 0;
+      if (count <= 0) {
+        return true;
+      }
+      reopened.set(record.url, count - 1);
+      return false;
+    })
+    .sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+}
+
+/**
+ * Ways to sort duplicate groups on the dashboard
+ * Keys are stored in the dashboard's sort select, values are the labels shown
+ */
+export const GROUP_SORTS = {
+  size: 'Group size',
+  domain: 'Domain',
+};
+
+/**
+ * Get a URL's host, or an empty string if it does not parse
+ * @param {string} url
+ * @returns {string}
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Sort plan groups for display
+ * Reason: Ties fall back to the group key so the order stays stable as tabs change
+ * @param {Array} groups - Groups from buildPlanGroups
+ * @param {string} order - One of the GROUP_SORTS keys: "size" puts the largest group first,
+ *   "domain" sorts by the host of the group's first tab
+ * @returns {Array} Sorted copy of the groups
+ */
+export function sortPlanGroups(groups, order) {
+  return [...groups].sort((a, b) => {
+    const byOrder = order === 'domain'
+      ? getHostname(a.tabs[0].url).localeCompare(getHostname(b.tabs[0].url))
+      : b.tabs.length - a.tabs.length;
+    return byOrder || a.key.localeCompare(b.key);
+  });
 }
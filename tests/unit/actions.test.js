@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { performAction, undoAction } from '../../extension/actions.js';
+
+/**
+ * Stub the chrome APIs actions.js uses, backed by a list of open tabs
+ * @param {Array} tabs - Open tabs { id, url, windowId, index, pinned, groupId }
+ * @param {Object} [bookmarkTree] - Root node for chrome.bookmarks.getTree
+ * @returns {Object} The stubbed chrome object
+ */
+function stubChrome(tabs, bookmarkTree = { children: [{ id: '1', children: [] }, { id: '2', folderType: 'other', children: [] }] }) {
+  let nextId = 100;
+  const findTab = (tabId) => {
+    const tab = tabs.find(candidate => candidate.id === tabId);
+    if (!tab) {
+      throw new Error(`No tab with id: ${tabId}`);
+    }
+    return tab;
+  };
+  const findNode = (node, id) => (node.id === id ? node : (node.children ?? []).map(child => findNode(child, id)).find(Boolean));
+
+  const chrome = {
+    tabs: {
+      get: vi.fn(async tabId => ({ groupId: -1, ...findTab(tabId) })),
+      query: vi.fn(async () => tabs),
+      remove: vi.fn(async (tabIds) => {
+        [].concat(tabIds).forEach(tabId => tabs.splice(tabs.indexOf(findTab(tabId)), 1));
+      }),
+      discard: vi.fn(async tabId => findTab(tabId)),
+      reload: vi.fn(async tabId => findTab(tabId)),
+      group: vi.fn(async ({ tabIds, groupId }) => {
+        [].concat(tabIds).forEach((tabId) => {
+          if (findTab(tabId).pinned) {
+            throw new Error('Cannot group pinned tabs');
+          }
+        });
+        return groupId ?? 7;
+      }),
+      ungroup: vi.fn(async () => {}),
+      move: vi.fn(async () => {}),
+      update: vi.fn(async () => {}),
+      create: vi.fn(async ({ url, windowId, index }) => {
+        const tab = { id: nextId++, url, windowId, index };
+        tabs.push(tab);
+        return tab;
+      }),
+    },
+    tabGroups: {
+      get: vi.fn(async groupId => ({ id: groupId, title: 'Work', color: 'blue', windowId: 1 })),
+      query: vi.fn(async () => []),
+      update: vi.fn(async () => {}),
+    },
+    windows: {
+      get: vi.fn(async windowId => ({ id: windowId })),
+      getLastFocused: vi.fn(async () => ({ id: 4 })),
+    },
+    bookmarks: {
+      getTree: vi.fn(async () => [bookmarkTree]),
+      getChildren: vi.fn(async id => findNode(bookmarkTree, id).children),
+      create: vi.fn(async ({ parentId, title, url }) => {
+        const node = { id: `b${nextId++}`, parentId, title, url };
+        findNode(bookmarkTree, parentId)?.children?.push(node);
+        return node;
+      }),
+      remove: vi.fn(async () => {}),
+    },
+  };
+  vi.stubGlobal('chrome', chrome);
+  return chrome;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('performAction', () => {
+  it('closes tabs and records them with their action and the copies left open', async () => {
+    const tabs = [
+      { id: 1, url: 'https://a.com', windowId: 1, index: 0 },
+      { id: 2, url: 'https://a.com', windowId: 1, index: 1 },
+      { id: 3, url: 'https://b.com', windowId: 1, index: 2 },
+    ];
+    const chrome = stubChrome(tabs);
+    const records = await performAction([2, 3], 'close');
+    expect(chrome.tabs.remove).toHaveBeenCalledWith([2, 3]);
+    expect(records).toMatchObject([
+      { id: 2, url: 'https://a.com', index: 1, action: 'close', keptCopies: 1 },
+      { id: 3, url: 'https://b.com', index: 2, action: 'close', keptCopies: 0 },
+    ]);
+  });
+
+  it('skips tabs that no longer exist', async () => {
+    const chrome = stubChrome([{ id: 1, url: 'https://a.com', windowId: 1, index: 0 }]);
+    const records = await performAction([1, 9], 'close');
+    expect(records.map(record => record.id)).toEqual([1]);
+    expect(chrome.tabs.remove).toHaveBeenCalledWith([1]);
+  });
+
+  it('discards each tab, going on when one cannot be discarded and recording only the discarded ones', async () => {
+    const chrome = stubChrome([{ id: 1, url: 'https://a.com' }, { id: 2, url: 'https://b.com' }]);
+    chrome.tabs.discard.mockRejectedValueOnce(new Error('Cannot discard'));
+    const records = await performAction([1, 2], 'discard');
+    expect(chrome.tabs.discard).toHaveBeenCalledTimes(2);
+    expect(records.map(record => record.id)).toEqual([2]);
+  });
+
+  it('groups tabs into a new collapsed group, leaving pinned tabs out of the group and the records', async () => {
+    const chrome = stubChrome([
+      { id: 1, url: 'https://a.com', windowId: 1, index: 0, pinned: true },
+      { id: 2, url: 'https://b.com', windowId: 1, index: 1 },
+    ]);
+    const records = await performAction([1, 2], 'group', 'Later');
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [2], createProperties: { windowId: 1 } });
+    expect(chrome.tabGroups.update).toHaveBeenCalledWith(7, { title: 'Later', collapsed: true });
+    expect(records.map(record => record.id)).toEqual([2]);
+  });
+
+  it('reuses a group with the title in the same window', async () => {
+    const chrome = stubChrome([{ id: 2, url: 'https://b.com', windowId: 1, index: 1 }]);
+    chrome.tabGroups.query.mockResolvedValue([{ id: 4, title: 'Later' }]);
+    await performAction([2], 'group', 'Later');
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [2], groupId: 4 });
+    expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+  });
+
+  it('bookmarks tabs into a folder under Other bookmarks, ignoring same-named folders elsewhere', async () => {
+    const tree = {
+      children: [
+        { id: '1', children: [{ id: 'bar-folder', title: 'Duplicates', children: [] }] },
+        { id: '2', folderType: 'other', children: [{ id: 'mine', title: 'Duplicates', children: [] }] },
+      ],
+    };
+    const chrome = stubChrome([{ id: 1, url: 'https://a.com', title: 'A', windowId: 1, index: 0 }], tree);
+    const records = await performAction([1], 'bookmark', 'Duplicates');
+    expect(chrome.bookmarks.create).toHaveBeenCalledWith({ parentId: 'mine', title: 'A', url: 'https://a.com' });
+    expect(records[0].bookmarkId).toBeDefined();
+    expect(chrome.tabs.remove).toHaveBeenCalledWith([1]);
+  });
+
+  it('creates the bookmark folder under Other bookmarks when it is missing', async () => {
+    const chrome = stubChrome([{ id: 1, url: 'https://a.com', title: 'A', windowId: 1, index: 0 }]);
+    await performAction([1], 'bookmark', 'Duplicates');
+    expect(chrome.bookmarks.create).toHaveBeenNthCalledWith(1, { parentId: '2', title: 'Duplicates' });
+  });
+});
+
+describe('undoAction', () => {
+  it('reopens closed tabs in their window and position', async () => {
+    const chrome = stubChrome([{ id: 1, url: 'https://a.com', windowId: 1, index: 0 }]);
+    const records = [{ id: 2, url: 'https://a.com', windowId: 1, index: 1, groupId: -1, keptCopies: 1 }];
+    expect(await undoAction('close', records)).toEqual(records);
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://a.com', windowId: 1, index: 1, active: false });
+  });
+
+  it('reopens records without a window or position at the end of the focused window', async () => {
+    const chrome = stubChrome([]);
+    const records = [{ id: 5, url: 'https://example.com', title: 'Example' }];
+    expect(await undoAction('close', records)).toEqual(records);
+    expect(chrome.windows.getLastFocused).toHaveBeenCalled();
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com', windowId: 4, index: undefined, active: false });
+    expect(chrome.tabs.move).toHaveBeenCalledWith(100, { windowId: 4, index: -1 });
+  });
+
+  it('reopens nothing when the URL was opened again since, and keeps the bookmarks', async () => {
+    const chrome = stubChrome([{ id: 5, url: 'https://a.com', windowId: 1, index: 0 }]);
+    const records = [{ id: 2, url: 'https://a.com', windowId: 1, index: 1, keptCopies: 0, bookmarkId: 'b1' }];
+    expect(await undoAction('bookmark', records)).toEqual([]);
+    expect(chrome.tabs.create).not.toHaveBeenCalled();
+    expect(chrome.bookmarks.remove).not.toHaveBeenCalled();
+  });
+
+  it('removes the bookmarks once the tabs are reopened', async () => {
+    const chrome = stubChrome([]);
+    const records = [{ id: 2, url: 'https://a.com', windowId: 1, index: 0, bookmarkId: 'b1' }];
+    expect(await undoAction('bookmark', records)).toEqual(records);
+    expect(chrome.bookmarks.remove).toHaveBeenCalledWith('b1');
+  });
+
+  it('reloads discarded tabs and returns the ones still open', async () => {
+    const chrome = stubChrome([{ id: 1, url: 'https://a.com' }]);
+    expect(await undoAction('discard', [{ id: 1 }, { id: 2 }])).toEqual([{ id: 1 }]);
+    expect(chrome.tabs.reload).toHaveBeenCalledTimes(2);
+  });
+
+  it('puts grouped tabs back in their group and position, in index order', async () => {
+    const chrome = stubChrome([{ id: 1 }, { id: 2 }]);
+    const records = [
+      { id: 2, windowId: 1, index: 5, groupId: 3 },
+      { id: 1, windowId: 1, index: 2, groupId: -1 },
+    ];
+    expect(await undoAction('group', records)).toHaveLength(2);
+    expect(chrome.tabs.ungroup).toHaveBeenCalledWith(1);
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: 2, groupId: 3 });
+    expect(chrome.tabs.move.mock.calls).toEqual([[1, { windowId: 1, index: 2 }], [2, { windowId: 1, index: 5 }]]);
+  });
+
+  it('regroups tabs into one new group with the old title and color when their group is gone', async () => {
+    const chrome = stubChrome([{ id: 1 }, { id: 2 }]);
+    chrome.tabGroups.get.mockRejectedValue(new Error('No group with id: 3'));
+    const records = [
+      { id: 1, windowId: 1, index: 0, groupId: 3, groupTitle: 'Work', groupColor: 'red' },
+      { id: 2, windowId: 1, index: 1, groupId: 3, groupTitle: 'Work', groupColor: 'red' },
+    ];
+    expect(await undoAction('move', records)).toEqual(records);
+    expect(chrome.tabs.group.mock.calls).toEqual([
+      [{ tabIds: 1, createProperties: { windowId: 1 } }],
+      [{ tabIds: 2, groupId: 7 }],
+    ]);
+    expect(chrome.tabGroups.update).toHaveBeenCalledWith(7, { title: 'Work', color: 'red' });
+  });
+
+  it('returns only the tabs it could reopen, keeping the bookmarks of the others', async () => {
+    const chrome = stubChrome([]);
+    chrome.tabs.create.mockRejectedValueOnce(new Error('No window with id: 1'));
+    const records = [
+      { id: 2, url: 'https://a.com', windowId: 1, index: 0, bookmarkId: 'b1' },
+      { id: 3, url: 'https://b.com', windowId: 1, index: 1, bookmarkId: 'b2' },
+    ];
+    expect(await undoAction('bookmark', records)).toEqual([records[1]]);
+    expect(chrome.bookmarks.remove.mock.calls).toEqual([['b2']]);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  matchesConditions,
+  validateConditions,
+  usesConditionField,
+  describeConditions,
+} from '../../extension/conditions.js';
+
+const now = 10 * 3600000;
+const tab = {
+  url: 'https://docs.example.com/guide/intro?x=1',
+  title: 'Draft: Intro Guide',
+  pinned: true,
+  audible: false,
+  groupTitle: 'Research',
+  lastAccessed: now - 90 * 60000,
+};
+
+const all = (...conditions) => ({ match: 'all', conditions });
+const any = (...conditions) => ({ match: 'any', conditions });
+
+describe('matchesConditions', () => {
+  it('treats missing or empty conditions as a match', () => {
+    expect(matchesConditions(tab, undefined, now)).toBe(true);
+    expect(matchesConditions(tab, any(), now)).toBe(true);
+  });
+
+  it('compares text fields ignoring case', () => {
+    expect(matchesConditions(tab, { field: 'title', operator: 'contains', value: 'draft' }, now)).toBe(true);
+    expect(matchesConditions(tab, { field: 'title', operator: 'starts-with', value: 'intro' }, now)).toBe(false);
+    expect(matchesConditions(tab, { field: 'groupTitle', operator: 'equals', value: 'research' }, now)).toBe(true);
+  });
+
+  it('reads the host and path from the URL', () => {
+    expect(matchesConditions(tab, { field: 'host', operator: 'ends-with', value: 'example.com' }, now)).toBe(true);
+    expect(matchesConditions(tab, { field: 'path', operator: 'equals', value: '/guide/intro' }, now)).toBe(true);
+  });
+
+  it('tests regexes with their own case', () => {
+    expect(matchesConditions(tab, { field: 'url', operator: 'matches', value: '/guide/\\w+' }, now)).toBe(true);
+    expect(matchesConditions(tab, { field: 'title', operator: 'matches', value: '^draft' }, now)).toBe(false);
+  });
+
+  it('checks tab state flags', () => {
+    expect(matchesConditions(tab, { field: 'pinned', operator: 'is' }, now)).toBe(true);
+    expect(matchesConditions(tab, { field: 'discarded', operator: 'is' }, now)).toBe(false);
+  });
+
+  it('compares the last-accessed age in minutes', () => {
+    expect(matchesConditions(tab, { field: 'age', operator: 'older-than', value: 60 }, now)).toBe(true);
+    expect(matchesConditions(tab, { field: 'age', operator: 'newer-than', value: 60 }, now)).toBe(false);
+    expect(matchesConditions({ url: tab.url }, { field: 'age', operator: 'older-than', value: 0 }, now)).toBe(false);
+  });
+
+  it('combines conditions with AND, OR and NOT', () => {
+    const notDraft = { field: 'title', operator: 'contains', value: 'Draft', negate: true };
+    const docs = { field: 'host', operator: 'starts-with', value: 'docs.' };
+    expect(matchesConditions(tab, all(docs, notDraft), now)).toBe(false);
+    expect(matchesConditions(tab, any(docs, notDraft), now)).toBe(true);
+    expect(matchesConditions(tab, { ...all(docs, any(notDraft, { field: 'pinned', operator: 'is' })), negate: true }, now)).toBe(false);
+  });
+});
+
+describe('validateConditions', () => {
+  it('accepts valid nested conditions', () => {
+    expect(validateConditions(all({ field: 'title', operator: 'contains', value: 'a' }, any({ field: 'age', operator: 'older-than', value: 5 })))).toEqual([]);
+  });
+
+  it('reports unknown fields, operators, bad regexes and ages', () => {
+    expect(validateConditions(all(
+      { field: 'colour', operator: 'is' },
+      { field: 'pinned', operator: 'contains', value: 'x' },
+      { field: 'url', operator: 'matches', value: '(' },
+      { field: 'age', operator: 'older-than', value: 'soon' },
+    ))).toEqual([
+      'A condition has an unknown field "colour"',
+      'The Pinned condition has an unknown operator "contains"',
+      expect.stringMatching(/^The URL condition has an invalid regex/),
+      'The Last accessed condition needs a number of minutes',
+    ]);
+  });
+
+  it('reports an unknown group match', () => {
+    const condition = { field: 'title', operator: 'contains', value: 'a' };
+    expect(validateConditions({ match: 'some', conditions: [condition] })).toEqual(['A condition group has an unknown match "some"']);
+  });
+
+  it('reports empty groups, nested ones included, and empty text', () => {
+    expect(validateConditions(all())).toEqual(['A condition group is empty']);
+    expect(validateConditions(all({ field: 'title', operator: 'contains', value: 'a' }, any()))).toEqual(['A condition group is empty']);
+    expect(validateConditions(all({ field: 'url', operator: 'contains', value: '' }))).toEqual(['The URL condition has no text']);
+  });
+});
+
+describe('usesConditionField', () => {
+  it('finds a field in nested groups', () => {
+    const conditions = all({ field: 'url', operator: 'contains', value: 'a' }, any({ field: 'groupTitle', operator: 'equals', value: 'b' }));
+    expect(usesConditionField(conditions, 'groupTitle')).toBe(true);
+    expect(usesConditionField(conditions, 'title')).toBe(false);
+    expect(usesConditionField(undefined, 'title')).toBe(false);
+  });
+});
+
+describe('describeConditions', () => {
+  it('describes conditions in one line', () => {
+    const conditions = all(
+      { field: 'url', operator: 'contains', value: 'docs' },
+      { field: 'title', operator: 'contains', value: 'Draft', negate: true },
+      any({ field: 'pinned', operator: 'is' }, { field: 'age', operator: 'older-than', value: 30 }),
+    );
+    expect(describeConditions(conditions)).toBe(
+      'URL contains "docs" AND NOT Title contains "Draft" AND (Pinned is set OR Last accessed more than 30 minutes ago)'
+    );
+    expect(describeConditions(all())).toBe('');
+  });
+});
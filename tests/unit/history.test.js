@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_HISTORY_EVENTS,
+  createHistoryEvent,
+  pushHistoryEvent,
+  removeHistoryEvent,
+  takeTabsFromHistory,
+  returnToHistory,
+  groupTabsByAction,
+  getSharedAction,
+  formatTimeAgo,
+} from '../../extension/history.js';
+
+const makeEvent = (id) => ({ id, timestamp: 0, ruleName: 'Rule', windowId: 1, action: 'close', tabs: [] });
+
+describe('createHistoryEvent', () => {
+  it('records the rule, window, action, tabs and time', () => {
+    const tabs = [{ id: 1, url: 'https://example.com' }];
+    const event = createHistoryEvent({ ruleName: 'Docs', windowId: 7, action: 'group', tabs }, 1000);
+    expect(event).toMatchObject({ timestamp: 1000, ruleName: 'Docs', windowId: 7, action: 'group', tabs });
+  });
+
+  it('gives events created in the same millisecond different IDs', () => {
+    const first = createHistoryEvent({ tabs: [] }, 1000);
+    const second = createHistoryEvent({ tabs: [] }, 1000);
+    expect(first.id).not.toBe(second.id);
+  });
+});
+
+describe('pushHistoryEvent', () => {
+  it('puts the new event first', () => {
+    const history = pushHistoryEvent([makeEvent('a')], makeEvent('b'));
+    expect(history.map(event => event.id)).toEqual(['b', 'a']);
+  });
+
+  it('drops the oldest events beyond the limit', () => {
+    const history = pushHistoryEvent([makeEvent('b'), makeEvent('a')], makeEvent('c'), 2);
+    expect(history.map(event => event.id)).toEqual(['c', 'b']);
+  });
+
+  it('keeps at most MAX_HISTORY_EVENTS by default', () => {
+    let history = [];
+    for (let i = 0; i < MAX_HISTORY_EVENTS + 5; i++) {
+      history = pushHistoryEvent(history, makeEvent(`event-${i}`));
+    }
+    expect(history).toHaveLength(MAX_HISTORY_EVENTS);
+    expect(history[0].id).toBe(`event-${MAX_HISTORY_EVENTS + 4}`);
+  });
+});
+
+describe('removeHistoryEvent', () => {
+  it('removes only the event with the given ID', () => {
+    const history = removeHistoryEvent([makeEvent('a'), makeEvent('b'), makeEvent('c')], 'b');
+    expect(history.map(event => event.id)).toEqual(['a', 'c']);
+  });
+
+  it('returns the history unchanged for an unknown ID', () => {
+    const history = [makeEvent('a')];
+    expect(removeHistoryEvent(history, 'missing')).toEqual(history);
+  });
+});
+
+describe('takeTabsFromHistory', () => {
+  const history = [
+    { ...makeEvent('a'), action: 'close', tabs: [{ id: 1 }, { id: 2 }] },
+    { ...makeEvent('b'), action: 'group', tabs: [{ id: 3 }] },
+  ];
+
+  it('takes the selected tabs, grouped by the event they came from', () => {
+    const { taken } = takeTabsFromHistory(history, [{ eventId: 'a', tabId: 2 }, { eventId: 'b', tabId: 3 }]);
+    expect(taken).toEqual([
+      { ...history[0], tabs: [{ id: 2 }] },
+      { ...history[1], tabs: [{ id: 3 }] },
+    ]);
+  });
+
+  it('keeps unselected tabs and drops events left empty', () => {
+    const result = takeTabsFromHistory(history, [{ eventId: 'a', tabId: 2 }, { eventId: 'b', tabId: 3 }]);
+    expect(result.history).toHaveLength(1);
+    expect(result.history[0]).toMatchObject({ id: 'a', tabs: [{ id: 1 }] });
+  });
+
+  it('only matches tab IDs within the selected event', () => {
+    const { taken, history: remaining } = takeTabsFromHistory(history, [{ eventId: 'b', tabId: 1 }]);
+    expect(taken).toEqual([]);
+    expect(remaining).toEqual(history);
+  });
+
+  it('does not modify the stored events', () => {
+    takeTabsFromHistory(history, [{ eventId: 'a', tabId: 1 }]);
+    expect(history[0].tabs).toHaveLength(2);
+  });
+});
+
+describe('returnToHistory', () => {
+  const atTime = (id, timestamp, tabs = []) => ({ ...makeEvent(id), timestamp, tabs });
+
+  it('puts a removed event back in its place by timestamp', () => {
+    const history = returnToHistory([atTime('c', 300), atTime('a', 100)], atTime('b', 200));
+    expect(history.map(event => event.id)).toEqual(['c', 'b', 'a']);
+  });
+
+  it('adds the tabs to the event when it is still in the history', () => {
+    const history = returnToHistory([atTime('a', 100, [{ id: 1 }])], atTime('a', 100, [{ id: 2 }]));
+    expect(history).toEqual([atTime('a', 100, [{ id: 1 }, { id: 2 }])]);
+  });
+
+  it('drops the oldest events beyond the limit', () => {
+    const history = returnToHistory([atTime('b', 200)], atTime('a', 100), 1);
+    expect(history.map(event => event.id)).toEqual(['b']);
+  });
+});
+
+describe('groupTabsByAction', () => {
+  it('splits tabs by their own action, in first-seen order', () => {
+    const tabs = [{ id: 1, action: 'close' }, { id: 2, action: 'group' }, { id: 3, action: 'close' }];
+    expect(groupTabsByAction(tabs, null)).toEqual([
+      { action: 'close', tabs: [tabs[0], tabs[2]] },
+      { action: 'group', tabs: [tabs[1]] },
+    ]);
+  });
+
+  it('uses the event action for tabs recorded without one', () => {
+    const tabs = [{ id: 1 }, { id: 2 }];
+    expect(groupTabsByAction(tabs, 'move')).toEqual([{ action: 'move', tabs }]);
+  });
+});
+
+describe('getSharedAction', () => {
+  it('returns the action when all tabs share it', () => {
+    expect(getSharedAction([{ action: 'close' }, { action: 'close' }])).toBe('close');
+  });
+
+  it('returns null when the tabs had different actions', () => {
+    expect(getSharedAction([{ action: 'close' }, { action: 'bookmark' }])).toBeNull();
+  });
+});
+
+describe('formatTimeAgo', () => {
+  it('formats minutes, hours and days', () => {
+    const now = 10 * 24 * 3600000;
+    expect(formatTimeAgo(now - 30000, now)).toBe('just now');
+    expect(formatTimeAgo(now - 5 * 60000, now)).toBe('5 min ago');
+    expect(formatTimeAgo(now - 3 * 3600000, now)).toBe('3 h ago');
+    expect(formatTimeAgo(now - 2 * 24 * 3600000, now)).toBe('2 d ago');
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  MESSAGES,
+  checkShape,
+  validateRequest,
+  handleMessage,
+  createMessageRouter,
+  sendMessage,
+} from '../../extension/messages.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('checkShape', () => {
+  it('accepts values of the declared type and optional missing values', () => {
+    expect(checkShape('a', { type: 'string' }, 'x')).toEqual([]);
+    expect(checkShape(undefined, { type: 'string', optional: true }, 'x')).toEqual([]);
+  });
+
+  it('reports missing values, wrong types and unknown values', () => {
+    expect(checkShape(undefined, { type: 'string' }, 'x')).toEqual(['x is missing']);
+    expect(checkShape(null, { type: 'object' }, 'x')).toEqual(['x should be an object, not null']);
+    expect(checkShape('a', { type: 'array' }, 'x')).toEqual(['x should be an array, not string']);
+    expect(checkShape('z', { type: 'string', values: ['a'] }, 'x')).toEqual(['x has an unknown value "z"']);
+  });
+
+  it('checks object fields and array items with their paths', () => {
+    const shape = MESSAGES.restoreHistoryTabs.args.selection;
+    expect(checkShape([{ eventId: 'e', tabId: 1 }], shape, 'selection')).toEqual([]);
+    expect(checkShape([{ eventId: 'e', tabId: '1' }], shape, 'selection')).toEqual([
+      'selection[0].tabId should be a number, not string',
+    ]);
+  });
+});
+
+describe('validateRequest', () => {
+  it('accepts every declared request with valid arguments', () => {
+    expect(validateRequest({ action: 'executeCloseDuplicates', mode: 'strip-tracking' })).toEqual([]);
+    expect(validateRequest({ action: 'planRule', rule: { name: 'a', regex: 'a' } })).toEqual([]);
+    expect(validateRequest({ action: 'applyPlan', rule: { name: 'a', mode: 'strip-tracking' }, tabIds: [1, 2] })).toEqual([]);
+    expect(validateRequest({ action: 'syncRules' })).toEqual([]);
+  });
+
+  it('rejects messages without an action and unknown actions', () => {
+    expect(validateRequest(null)).toEqual(['The message has no action']);
+    expect(validateRequest({ action: 'closeEverything' })).toEqual(['Unknown message "closeEverything"']);
+  });
+
+  it('rejects unknown, missing and invalid arguments', () => {
+    expect(validateRequest({ action: 'executeAllRules', force: true })).toEqual([
+      'executeAllRules has an unknown argument "force"',
+    ]);
+    expect(validateRequest({ action: 'applyPlan', rule: { name: 'a', regex: 'a' } })).toEqual(['applyPlan.tabIds is missing']);
+    expect(validateRequest({ action: 'executeCloseDuplicates', mode: 'exact' })).toEqual([
+      'executeCloseDuplicates.mode has an unknown value "exact"',
+    ]);
+  });
+});
+
+describe('rule arguments', () => {
+  const customRule = {
+    id: 'custom-1',
+    enabled: true,
+    name: 'PRs',
+    syntax: 'regex',
+    regex: 'github\\.com/pull',
+    include: [],
+    exclude: ['draft'],
+    conditions: { match: 'all', conditions: [{ field: 'title', operator: 'contains', value: 'x' }] },
+    mode: 'dedupe',
+    keep: 'oldest',
+    scope: 'all-windows',
+    action: 'group',
+    actionTarget: 'PRs',
+  };
+
+  it('accepts complete custom and predefined rules', () => {
+    expect(validateRequest({ action: 'executeCustomRule', rule: customRule })).toEqual([]);
+    expect(validateRequest({ action: 'applyPlan', rule: { name: 'Tracking', mode: 'strip-tracking', scope: 'all-windows' }, tabIds: [] })).toEqual([]);
+  });
+
+  it('rejects a custom rule without a regex instead of running it as the predefined rule', () => {
+    expect(validateRequest({ action: 'executeCustomRule', rule: { name: 'broken' } })).toEqual([
+      'executeCustomRule.rule.regex is missing',
+    ]);
+    expect(validateRequest({ action: 'planRule', rule: { name: 'broken' } })).toEqual(['planRule.rule.regex is missing']);
+    expect(validateRequest({ action: 'applyPlan', rule: { name: 'broken' }, tabIds: [1] })).toEqual([
+      'applyPlan.rule.mode is missing',
+    ]);
+  });
+
+  it('checks the kind of rule the engine will treat it as', () => {
+    expect(validateRequest({ action: 'applyPlan', rule: { name: 'a', regex: 'a', mode: 'strip-tracking' }, tabIds: [] })).toEqual([
+      'applyPlan.rule.mode has an unknown value "strip-tracking"',
+    ]);
+    expect(validateRequest({ action: 'applyPlan', rule: { name: 'a', mode: 'dedupe' }, tabIds: [] })).toEqual([
+      'applyPlan.rule.mode has an unknown value "dedupe"',
+    ]);
+  });
+
+  it('rejects wrong field types, unknown values and invalid conditions', () => {
+    const rule = {
+      ...customRule,
+      name: 5,
+      include: 'a',
+      exclude: [1],
+      action: 'delete',
+      conditions: { match: 'all', conditions: [{ field: 'colour', operator: 'is', value: 'red' }] },
+    };
+    expect(validateRequest({ action: 'executeCustomRule', rule })).toEqual([
+      'executeCustomRule.rule.name should be a string, not number',
+      'executeCustomRule.rule.action has an unknown value "delete"',
+      'executeCustomRule.rule.include should be an array, not string',
+      'executeCustomRule.rule.exclude[0] should be a string, not number',
+      'executeCustomRule.rule.conditions: A condition has an unknown field "colour"',
+    ]);
+    expect(validateRequest({ action: 'executeCustomRule', rule: { ...customRule, conditions: { field: 'title' } } })).toEqual([
+      'executeCustomRule.rule.conditions: Not a condition group',
+    ]);
+  });
+
+  it('rejects a custom rule with nothing to match tabs with', () => {
+    const rule = { name: 'All', regex: '', mode: 'close-all' };
+    const error = 'executeCustomRule.rule: Needs a pattern, or a condition outside dedupe mode';
+    expect(validateRequest({ action: 'executeCustomRule', rule })).toEqual([error]);
+    expect(validateRequest({ action: 'executeCustomRule', rule: { ...rule, conditions: { match: 'all', conditions: [] } } })).toEqual([
+      'executeCustomRule.rule.conditions: A condition group is empty',
+    ]);
+    const emptyText = { match: 'all', conditions: [{ field: 'url', operator: 'contains', value: '' }] };
+    expect(validateRequest({ action: 'executeCustomRule', rule: { ...rule, conditions: emptyText } })).toEqual([
+      'executeCustomRule.rule.conditions: The URL condition has no text',
+    ]);
+  });
+
+  it('answers a malformed rule without running the handler', async () => {
+    const executeCustomRule = vi.fn();
+    const response = await handleMessage({ action: 'executeCustomRule', rule: { name: 'broken' } }, { executeCustomRule });
+    expect(executeCustomRule).not.toHaveBeenCalled();
+    expect(response).toEqual({ ok: false, error: 'executeCustomRule.rule.regex is missing' });
+  });
+});
+
+describe('handleMessage', () => {
+  it('passes the arguments and sender to the handler and wraps its data', async () => {
+    const plan = { rule: { name: 'a', mode: 'ignore-params' }, groups: [] };
+    const planRule = vi.fn().mockResolvedValue(plan);
+    const response = await handleMessage({ action: 'planRule', mode: 'ignore-params' }, { planRule }, { sender: { id: 'popup' } });
+    expect(planRule).toHaveBeenCalledWith({ mode: 'ignore-params' }, { id: 'popup' });
+    expect(response).toEqual({ ok: true, data: plan });
+  });
+
+  it('leaves out data for requests that declare none', async () => {
+    const response = await handleMessage({ action: 'syncRules' }, { syncRules: async () => 'ignored' });
+    expect(response).toEqual({ ok: true });
+  });
+
+  it('answers invalid requests without running a handler', async () => {
+    const applyPlan = vi.fn();
+    const response = await handleMessage({ action: 'applyPlan', rule: 'a', tabIds: [] }, { applyPlan });
+    expect(applyPlan).not.toHaveBeenCalled();
+    expect(response).toEqual({ ok: false, error: 'applyPlan.rule should be an object, not string' });
+  });
+
+  it('turns handler errors, including synchronous throws, into error responses', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const handlers = {
+      executeAllRules: async () => { throw new Error('Tabs cannot be edited right now'); },
+      syncRules: () => { throw new Error('Storage is full'); },
+    };
+    expect(await handleMessage({ action: 'executeAllRules' }, handlers)).toEqual({
+      ok: false,
+      error: 'Tabs cannot be edited right now',
+    });
+    expect(await handleMessage({ action: 'syncRules' }, handlers)).toEqual({ ok: false, error: 'Storage is full' });
+  });
+
+  it('reports a missing handler and response data of the wrong shape', async () => {
+    expect(await handleMessage({ action: 'syncRules' }, {})).toEqual({ ok: false, error: 'No handler for "syncRules"' });
+    const response = await handleMessage({ action: 'planRule' }, { planRule: async () => ({ rule: { name: 'a', mode: 'strip-tracking' } }) });
+    expect(response).toEqual({ ok: false, error: 'planRule response.groups is missing' });
+  });
+
+  it('gives up on handlers that take too long', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const response = await handleMessage({ action: 'syncRules' }, { syncRules: () => new Promise(() => {}) }, { timeoutMs: 10 });
+    expect(response).toEqual({ ok: false, error: '"syncRules" did not finish within 0.01 s' });
+  });
+});
+
+describe('createMessageRouter', () => {
+  it('keeps the channel open and sends the response when the handler settles', async () => {
+    const listener = createMessageRouter({ syncRules: async () => {} });
+    const response = await new Promise((resolve) => {
+      expect(listener({ action: 'syncRules' }, {}, resolve)).toBe(true);
+    });
+    expect(response).toEqual({ ok: true });
+  });
+});
+
+describe('sendMessage', () => {
+  const stubRuntime = (sendMessageImpl) => {
+    const runtime = { sendMessage: vi.fn(sendMessageImpl) };
+    vi.stubGlobal('chrome', { runtime });
+    return runtime;
+  };
+
+  it('sends the action with its arguments and returns the data', async () => {
+    const plan = { rule: { name: 'a', mode: 'ignore-params' }, groups: [] };
+    const runtime = stubRuntime(async () => ({ ok: true, data: plan }));
+    expect(await sendMessage('planRule', { mode: 'ignore-params' })).toEqual(plan);
+    expect(runtime.sendMessage).toHaveBeenCalledWith({ action: 'planRule', mode: 'ignore-params' });
+  });
+
+  it('rejects with the service worker\'s error, or when there is no answer', async () => {
+    stubRuntime(async () => ({ ok: false, error: 'Invalid regex' }));
+    await expect(sendMessage('executeCustomRule', { rule: { name: 'a', regex: '(' } })).rejects.toThrow('Invalid regex');
+    stubRuntime(async () => undefined);
+    await expect(sendMessage('syncRules')).rejects.toThrow('No answer to "syncRules"');
+  });
+
+  it('rejects invalid requests without sending them', async () => {
+    const runtime = stubRuntime(async () => ({ ok: true }));
+    await expect(sendMessage('applyPlan', { rule: { name: 'a', regex: 'a' } })).rejects.toThrow('applyPlan.tabIds is missing');
+    expect(runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects when the service worker does not answer in time', async () => {
+    stubRuntime(() => new Promise(() => {}));
+    await expect(sendMessage('executeAllRules', {}, { timeoutMs: 10 })).rejects.toThrow('No answer to "executeAllRules" within 0.01 s');
+  });
+});
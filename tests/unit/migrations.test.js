@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIGRATIONS,
+  getLatestVersion,
+  applyMigrations,
+  diffStorage,
+} from '../../extension/migrations.js';
+import { MAX_HISTORY_EVENTS } from '../../extension/history.js';
+import { RULE_ORDER_KEY, getRuleKey } from '../../extension/rule-store.js';
+
+const context = { now: 1000 };
+
+describe('applyMigrations', () => {
+  const migrations = [
+    { version: 2, description: 'Double', migrate: data => ({ ...data, n: data.n * 2 }) },
+    { version: 1, description: 'Add one', migrate: data => ({ ...data, n: data.n + 1 }) },
+  ];
+
+  it('runs the newer migrations in version order', () => {
+    expect(applyMigrations({ n: 1 }, 0, migrations, context)).toEqual({ data: { n: 4 }, version: 2, error: null });
+  });
+
+  it('skips migrations the data already has', () => {
+    expect(applyMigrations({ n: 1 }, 1, migrations, context).data).toEqual({ n: 2 });
+  });
+
+  it('leaves current data alone', () => {
+    const data = { n: 1 };
+    expect(applyMigrations(data, 2, migrations, context)).toEqual({ data, version: 2, error: null });
+  });
+
+  it('returns the original data and version when a migration fails', () => {
+    const failing = [
+      migrations[1],
+      { version: 2, description: 'Broken', migrate: () => { throw new Error('boom'); } },
+    ];
+    const data = { n: 1 };
+    const result = applyMigrations(data, 0, failing, context);
+    expect(result.data).toBe(data);
+    expect(result.version).toBe(0);
+    expect(result.error.message).toBe('Migration to version 2 (Broken) failed: boom');
+  });
+
+  it('does not modify the data it was given', () => {
+    const data = { list: [1] };
+    applyMigrations(data, 0, [{ version: 1, description: 'Push', migrate: (d) => { d.list.push(2); return d; } }], context);
+    expect(data.list).toEqual([1]);
+  });
+});
+
+describe('diffStorage', () => {
+  it('lists changed keys to set and dropped keys to remove', () => {
+    const before = { a: 1, b: [1], c: 'old' };
+    const after = { a: 1, b: [1, 2], d: true };
+    expect(diffStorage(before, after)).toEqual({ set: { b: [1, 2], d: true }, remove: ['c'] });
+  });
+});
+
+describe('sync migrations', () => {
+  it('gives rules an ID and an explicit enabled flag', () => {
+    const data = { rules: [{ name: 'A', regex: 'a' }, { id: 'custom-2', name: 'B', regex: 'b', enabled: false }] };
+    const { data: migrated } = applyMigrations(data, 0, MIGRATIONS.sync.slice(0, 1), context);
+    expect(migrated.rules).toEqual([
+      { id: 'custom-1000-0', name: 'A', regex: 'a', enabled: true },
+      { id: 'custom-2', name: 'B', regex: 'b', enabled: false },
+    ]);
+  });
+
+  it('moves the rules array into one item per rule and an order', () => {
+    const data = { rules: [{ id: 'custom-1', name: 'A', regex: 'a' }, { id: 'custom-2', name: 'B', regex: 'b' }] };
+    const { data: migrated, version } = applyMigrations(data, 0, MIGRATIONS.sync, context);
+    expect(version).toBe(getLatestVersion(MIGRATIONS.sync));
+    expect(migrated).toEqual({
+      [RULE_ORDER_KEY]: ['custom-1', 'custom-2'],
+      [getRuleKey('custom-1')]: { id: 'custom-1', name: 'A', regex: 'a', enabled: true },
+      [getRuleKey('custom-2')]: { id: 'custom-2', name: 'B', regex: 'b', enabled: true },
+    });
+  });
+
+  it('leaves storage without rules as it is', () => {
+    const data = { settings: { keepStrategy: 'oldest' } };
+    expect(applyMigrations(data, 0, MIGRATIONS.sync, context).data).toEqual(data);
+  });
+});
+
+describe('local migrations', () => {
+  const legacyTabs = [{ id: 5, url: 'https://example.com', title: 'Example' }];
+
+  it('turns the legacy undo slot into a history event and removes the old keys', () => {
+    const data = { lastClosedTabs: legacyTabs, closedTabsCount: 1, lastAction: 'bookmark', cachedRules: [] };
+    const { data: migrated } = applyMigrations(data, 0, MIGRATIONS.local, context);
+    expect(Object.keys(migrated).sort()).toEqual(['cachedRules', 'closeHistory']);
+    expect(migrated.closeHistory).toHaveLength(1);
+    expect(migrated.closeHistory[0]).toMatchObject({
+      timestamp: 1000,
+      ruleName: 'Earlier version',
+      windowId: null,
+      action: 'bookmark',
+      tabs: legacyTabs,
+    });
+  });
+
+  it('keeps legacy records without a window or position, for undo to reopen in the focused window', () => {
+    const { data: migrated } = applyMigrations({ lastClosedTabs: legacyTabs }, 0, MIGRATIONS.local, context);
+    const [event] = migrated.closeHistory;
+    expect(event.windowId).toBeNull();
+    expect(event.tabs.every(tab => tab.windowId === undefined && tab.index === undefined)).toBe(true);
+  });
+
+  it('treats a legacy slot without an action as closed tabs', () => {
+    const { data: migrated } = applyMigrations({ lastClosedTabs: legacyTabs }, 0, MIGRATIONS.local, context);
+    expect(migrated.closeHistory[0].action).toBe('close');
+  });
+
+  it('adds the legacy event after existing, newer events and keeps the limit', () => {
+    const existing = Array.from({ length: MAX_HISTORY_EVENTS }, (_, i) => ({ id: `e${i}`, tabs: [] }));
+    const { data: migrated } = applyMigrations({ closeHistory: existing.slice(1), lastClosedTabs: legacyTabs }, 0, MIGRATIONS.local, context);
+    expect(migrated.closeHistory).toHaveLength(MAX_HISTORY_EVENTS);
+    expect(migrated.closeHistory.at(-1).ruleName).toBe('Earlier version');
+
+    const full = applyMigrations({ closeHistory: existing, lastClosedTabs: legacyTabs }, 0, MIGRATIONS.local, context);
+    expect(full.data.closeHistory).toEqual(existing);
+  });
+
+  it('drops an empty legacy slot', () => {
+    const { data: migrated } = applyMigrations({ lastClosedTabs: [], closedTabsCount: 0 }, 0, MIGRATIONS.local, context);
+    expect(migrated).toEqual({});
+  });
+});
@@ -0,0 +1,537 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RULE_KINDS,
+  getRuleKind,
+  getPredefinedRule,
+  getKeepPolicy,
+  getRuleAction,
+  getRuleTabNeeds,
+  hasRuleMatcher,
+  matchRule,
+  findTabsToClose,
+  findTabsToCloseForRule,
+  findDuplicateGroups,
+  findRuleGroups,
+  matchRuleTabs,
+  testRule,
+  getCaptureKey,
+} from '../../extension/rule-engine.js';
+import { MATCH_MODES, CUSTOM_RULE_MODES } from '../../extension/utils.js';
+import { DEFAULT_SETTINGS } from '../../extension/settings.js';
+
+describe('rule interface', () => {
+  const predefined = getPredefinedRule(DEFAULT_SETTINGS, MATCH_MODES.STRIP_TRACKING);
+  const custom = { name: 'PRs', regex: 'pull/(\\d+)', mode: CUSTOM_RULE_MODES.DEDUPE, keep: 'longest-history', action: 'group', actionTarget: 'PRs' };
+
+  it('builds predefined rules from settings, with the fields custom rules use', () => {
+    expect(predefined).toMatchObject({
+      name: 'Close Duplicates (Strip Tracking Params)',
+      mode: MATCH_MODES.STRIP_TRACKING,
+      keep: DEFAULT_SETTINGS.keepStrategy,
+      scope: DEFAULT_SETTINGS.scope,
+      action: DEFAULT_SETTINGS.action,
+    });
+    expect(getRuleKind(predefined)).toBe(RULE_KINDS.PREDEFINED);
+    expect(getRuleKind(custom)).toBe(RULE_KINDS.CUSTOM);
+    expect(getRuleKind({ regex: '', conditions: { match: 'all', conditions: [] } })).toBe(RULE_KINDS.CUSTOM);
+  });
+
+  it('needs a pattern, or conditions outside dedupe mode, to match anything', () => {
+    const conditions = { match: 'all', conditions: [{ field: 'title', operator: 'contains', value: 'a' }] };
+    expect(hasRuleMatcher({ regex: '', include: ['docs'] })).toBe(true);
+    expect(hasRuleMatcher({ regex: '', conditions })).toBe(true);
+    expect(hasRuleMatcher({ regex: '', conditions, mode: CUSTOM_RULE_MODES.DEDUPE })).toBe(false);
+    expect(hasRuleMatcher({ regex: '', conditions: { match: 'all', conditions: [] } })).toBe(false);
+    expect(hasRuleMatcher({ regex: '' })).toBe(false);
+  });
+
+  it('keeps one tab per key except in close-all rules', () => {
+    expect(getKeepPolicy(predefined)).toEqual({ keepOne: true, strategy: DEFAULT_SETTINGS.keepStrategy });
+    expect(getKeepPolicy(custom)).toEqual({ keepOne: true, strategy: 'longest-history' });
+    expect(getKeepPolicy({ regex: 'a' })).toEqual({ keepOne: false, strategy: 'newest' });
+  });
+
+  it('fills in the default action and the data a rule needs', () => {
+    expect(getRuleAction({ regex: 'a' })).toEqual({ action: 'close', target: undefined });
+    expect(getRuleAction(custom)).toEqual({ action: 'group', target: 'PRs' });
+    expect(getRuleTabNeeds(custom)).toEqual({ pageStates: true, creationTimes: false, groupTitles: false });
+    const conditions = { match: 'all', conditions: [{ field: 'groupTitle', operator: 'equals', value: 'Work' }] };
+    expect(getRuleTabNeeds({ regex: '', conditions })).toEqual({ pageStates: false, creationTimes: true, groupTitles: true });
+  });
+
+  it('keys predefined matches by normalized URL and custom matches by capture', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/a/b/pull/7?utm_source=x' },
+      { id: 2, url: 'chrome://settings' },
+    ];
+    expect(matchRule(tabs, predefined, { trackingParams: ['utm_*'] })).toEqual([
+      { tab: tabs[0], key: 'https://github.com/a/b/pull/7' },
+    ]);
+    expect(matchRule(tabs, custom)).toEqual([{ tab: tabs[0], key: '7' }]);
+    expect(matchRule(tabs, { regex: 'github' })).toEqual([{ tab: tabs[0], key: 'github' }]);
+  });
+
+  it('groups predefined rules the same way as findDuplicateGroups', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com?a=1' },
+      { id: 2, url: 'https://example.com?a=2' },
+    ];
+    const rule = getPredefinedRule({ ...DEFAULT_SETTINGS, keepStrategy: 'oldest' });
+    expect(findRuleGroups(tabs, rule, 999).groups).toEqual(findDuplicateGroups(tabs, 999, { keep: 'oldest' }));
+  });
+});
+
+describe('Custom Rule Matching', () => {
+  const closeAll = regex => ({ regex, mode: CUSTOM_RULE_MODES.CLOSE_ALL });
+  const matchedIds = (tabs, regex) => matchRuleTabs(tabs, closeAll(regex)).map(({ tab }) => tab.id);
+
+  it('matches tabs using regex pattern', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/user/repo' },
+      { id: 2, url: 'https://github.com/other/repo' },
+      { id: 3, url: 'https://stackoverflow.com/questions/123' },
+    ];
+    expect(matchedIds(tabs, 'github\\.com')).toEqual([1, 2]);
+  });
+
+  it('throws for an invalid regex, so the caller can skip the rule', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com' },
+    ];
+    expect(() => matchRuleTabs(tabs, closeAll('[invalid(regex'))).toThrow(SyntaxError);
+  });
+
+  it('closes non-active matching tabs, keeping the active one', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/user/repo1' },
+      { id: 2, url: 'https://github.com/user/repo2' },
+      { id: 3, url: 'https://github.com/user/repo3' },
+    ];
+    const { tabsToClose } = findTabsToCloseForRule(tabs, closeAll('github\\.com'), 2); // Tab 2 is active
+    expect(tabsToClose).toEqual([1, 3]);
+  });
+
+  it('closes all matching tabs when active tab does not match', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/user/repo1' },
+      { id: 2, url: 'https://github.com/user/repo2' },
+      { id: 3, url: 'https://example.com' },
+    ];
+    // Tab 3 is active but doesn't match, and the active tab is never closed
+    const { tabsToClose } = findTabsToCloseForRule(tabs, closeAll('github\\.com'), 3);
+    expect(tabsToClose).toEqual([1, 2]);
+  });
+
+  it('closes single matching tab if it is not the active tab', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/user/repo' },
+      { id: 2, url: 'https://example.com' },
+    ];
+    const { tabsToClose } = findTabsToCloseForRule(tabs, closeAll('github\\.com'), 999); // Tab 999 is active (not in list)
+    expect(tabsToClose).toEqual([1]);
+  });
+
+  it('preserves single matching tab if it is the active tab', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/user/repo' },
+      { id: 2, url: 'https://example.com' },
+    ];
+    const { tabsToClose } = findTabsToCloseForRule(tabs, closeAll('github\\.com'), 1); // Tab 1 is active
+    expect(tabsToClose).toEqual([]);
+  });
+
+  it('handles complex regex patterns', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/search?q=test' },
+      { id: 2, url: 'https://example.com/search?q=another' },
+      { id: 3, url: 'https://example.com/page' },
+    ];
+    expect(matchedIds(tabs, '/search\\?')).toEqual([1, 2]); // Match any search URL
+  });
+});
+
+describe('findTabsToClose', () => {
+  it('identifies duplicate tabs to close, keeping newest when no active tab in group', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/page?id=1' },
+      { id: 2, url: 'https://example.com/page?id=2' },
+      { id: 3, url: 'https://example.com/page?id=3' },
+    ];
+    const toClose = findTabsToClose(tabs, 999); // Active tab is not in this group
+    // Should close tabs 1 and 2, keep the newest (tab 3)
+    expect(toClose).toContain(1);
+    expect(toClose).toContain(2);
+    expect(toClose).not.toContain(3);
+  });
+
+  it('keeps active tab even if it is not the newest', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/page' },
+      { id: 2, url: 'https://example.com/page' },
+      { id: 3, url: 'https://example.com/page' },
+    ];
+    const toClose = findTabsToClose(tabs, 2); // Tab 2 is active but not newest
+    // Should keep tab 2 (active) and close tabs 1 and 3
+    expect(toClose).toContain(1);
+    expect(toClose).toContain(3);
+    expect(toClose).not.toContain(2);
+  });
+
+  it('returns empty array when no duplicates exist', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com' },
+      { id: 2, url: 'https://github.com' },
+      { id: 3, url: 'https://stackoverflow.com' },
+    ];
+    expect(findTabsToClose(tabs, 999).length).toBe(0);
+  });
+
+  it('ignores special URLs and only processes regular URLs', () => {
+    const tabs = [
+      { id: 1, url: 'chrome://settings' },
+      { id: 2, url: 'https://example.com' },
+      { id: 3, url: 'https://example.com?id=1' },
+      { id: 4, url: 'about:blank' },
+    ];
+    const toClose = findTabsToClose(tabs, 999);
+    // Should not include special URL tabs, should close tab 2
+    expect(toClose).not.toContain(1);
+    expect(toClose).toContain(2);
+    expect(toClose).not.toContain(4);
+  });
+
+  it('handles single tab with no duplicates', () => {
+    const tabs = [{ id: 1, url: 'https://example.com' }];
+    expect(findTabsToClose(tabs, 999).length).toBe(0);
+  });
+
+  it('handles multiple groups of duplicates, keeping newest in each group', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/page1' },
+      { id: 2, url: 'https://example.com/page1?id=1' },
+      { id: 3, url: 'https://example.com/page2' },
+      { id: 4, url: 'https://example.com/page2?id=1' },
+    ];
+    const toClose = findTabsToClose(tabs, 999); // Active tab is not in any group
+    // Should close tab 1 (keep 2 - newest in group 1) and tab 3 (keep 4 - newest in group 2)
+    expect(toClose).toContain(1);
+    expect(toClose).not.toContain(2);
+    expect(toClose).toContain(3);
+    expect(toClose).not.toContain(4);
+  });
+
+  it('prioritizes active tab in one group while keeping newest in other groups', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/page1' },
+      { id: 2, url: 'https://example.com/page1?id=1' },
+      { id: 3, url: 'https://example.com/page2' },
+      { id: 4, url: 'https://example.com/page2?id=1' },
+    ];
+    const toClose = findTabsToClose(tabs, 1); // Tab 1 is active (but not newest in its group)
+    // Should keep tab 1 (active in group 1) and close tab 2
+    // Should keep tab 4 (newest in group 2) and close tab 3
+    expect(toClose).not.toContain(1);
+    expect(toClose).toContain(2);
+    expect(toClose).toContain(3);
+    expect(toClose).not.toContain(4);
+  });
+
+  it('uses normalization steps to detect duplicates', () => {
+    const tabs = [
+      { id: 1, url: 'http://www.example.com/page/' },
+      { id: 2, url: 'https://example.com/page' },
+    ];
+    const normalization = { foldScheme: true, foldWww: true, stripTrailingSlash: true };
+    expect(findTabsToClose(tabs, 999)).toEqual([]);
+    expect(findTabsToClose(tabs, 999, { normalization })).toEqual([1]);
+  });
+
+  it('keeps tabs with different non-tracking params in strip-tracking mode', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/page?id=1&utm_source=a' },
+      { id: 2, url: 'https://example.com/page?id=1' },
+      { id: 3, url: 'https://example.com/page?id=2' },
+    ];
+    const options = { mode: MATCH_MODES.STRIP_TRACKING, trackingParams: ['utm_*'] };
+    expect(findTabsToClose(tabs, 999, options)).toEqual([1]);
+  });
+});
+
+describe('getCaptureKey', () => {
+  it('builds the key from named groups', () => {
+    const match = /github\.com\/(?<repo>[^/]+\/[^/]+)\/pull\/(?<n>\d+)/.exec('https://github.com/a/b/pull/12/files');
+    expect(getCaptureKey(match)).toBe('repo=a/b&n=12');
+  });
+
+  it('builds the key from numbered groups when there are no named groups', () => {
+    const match = /example\.com\/(\w+)\/(\d+)/.exec('https://example.com/item/42?x=1');
+    expect(getCaptureKey(match)).toBe('item|42');
+  });
+
+  it('falls back to the whole match when the pattern has no groups', () => {
+    const match = /example\.com\/\w+/.exec('https://example.com/item/42');
+    expect(getCaptureKey(match)).toBe('example.com/item');
+  });
+});
+
+describe('findTabsToCloseForRule', () => {
+  const tabs = [
+    { id: 1, url: 'https://github.com/a/b/pull/1' },
+    { id: 2, url: 'https://github.com/a/b/pull/1/files' },
+    { id: 3, url: 'https://github.com/a/b/pull/2' },
+    { id: 4, url: 'https://example.com' },
+  ];
+  const regex = 'github\\.com/(?<repo>[^/]+/[^/]+)/pull/(?<n>\\d+)';
+
+  it('closes every matching tab except the active one in close-all mode', () => {
+    const result = findTabsToCloseForRule(tabs, { regex, mode: CUSTOM_RULE_MODES.CLOSE_ALL }, 3);
+    expect(result.matchingTabIds).toEqual([1, 2, 3]);
+    expect(result.tabsToClose).toEqual([1, 2]);
+  });
+
+  it('treats rules without a mode as close-all', () => {
+    const result = findTabsToCloseForRule(tabs, { regex }, 999);
+    expect(result.tabsToClose).toEqual([1, 2, 3]);
+  });
+
+  it('dedupes tabs sharing a captured key, keeping the newest', () => {
+    const result = findTabsToCloseForRule(tabs, { regex, mode: CUSTOM_RULE_MODES.DEDUPE }, 999);
+    expect(result.tabsToClose).toEqual([1]);
+  });
+
+  it('keeps the active tab of a captured group in dedupe mode', () => {
+    const result = findTabsToCloseForRule(tabs, { regex, mode: CUSTOM_RULE_MODES.DEDUPE }, 1);
+    expect(result.tabsToClose).toEqual([2]);
+  });
+
+  it('throws for a regex that does not compile', () => {
+    expect(() => findTabsToCloseForRule(tabs, { regex: '[invalid(' }, 999)).toThrow(SyntaxError);
+  });
+});
+
+describe('keep strategies in findTabsToClose and findTabsToCloseForRule', () => {
+  const tabs = [
+    { id: 1, url: 'https://example.com/page', lastAccessed: 500 },
+    { id: 2, url: 'https://example.com/page', lastAccessed: 100 },
+  ];
+
+  it('honors options.keep in findTabsToClose', () => {
+    expect(findTabsToClose(tabs, 999, { keep: 'last-accessed' })).toEqual([2]);
+  });
+
+  it('still keeps the active tab regardless of strategy', () => {
+    expect(findTabsToClose(tabs, 2, { keep: 'last-accessed' })).toEqual([1]);
+  });
+
+  it('honors rule.keep for dedupe rules', () => {
+    const rule = { regex: 'example\\.com', mode: CUSTOM_RULE_MODES.DEDUPE, keep: 'oldest' };
+    expect(findTabsToCloseForRule(tabs, rule, 999).tabsToClose).toEqual([2]);
+  });
+});
+
+describe('allowlist in findTabsToClose and findTabsToCloseForRule', () => {
+  const tabs = [
+    { id: 1, url: 'https://grafana.corp.net/d/abc?var=1' },
+    { id: 2, url: 'https://grafana.corp.net/d/abc?var=2' },
+  ];
+  const allowlist = [{ type: 'host', pattern: 'grafana.corp.net' }];
+
+  it('never closes allowlisted duplicates', () => {
+    expect(findTabsToClose(tabs, 999)).toEqual([1]);
+    expect(findTabsToClose(tabs, 999, { allowlist })).toEqual([]);
+  });
+
+  it('excludes allowlisted tabs from custom rules', () => {
+    const result = findTabsToCloseForRule(tabs, { regex: 'grafana' }, 999, { allowlist });
+    expect(result.matchingTabIds).toEqual([]);
+  });
+});
+
+describe('active tabs across windows', () => {
+  const tabs = [
+    { id: 1, windowId: 10, url: 'https://example.com/page' },
+    { id: 2, windowId: 20, url: 'https://example.com/page' },
+    { id: 3, windowId: 20, url: 'https://example.com/page' },
+  ];
+
+  it('keeps the active tab of every window in a duplicate group', () => {
+    expect(findTabsToClose(tabs, [1, 2])).toEqual([3]);
+  });
+
+  it('keeps every active tab in close-all rules', () => {
+    const result = findTabsToCloseForRule(tabs, { regex: 'example' }, [1, 3]);
+    expect(result.tabsToClose).toEqual([2]);
+  });
+
+  it('accepts an empty active tab list', () => {
+    expect(findTabsToClose(tabs, [])).toEqual([1, 2]);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  it('lists each duplicate group with the kept and closed tab IDs', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com?a=1' },
+      { id: 2, url: 'https://example.com?a=2' },
+      { id: 3, url: 'https://github.com' },
+    ];
+    expect(findDuplicateGroups(tabs, 999)).toEqual([
+      { key: 'https://example.com/', keepOne: true, keepTabIds: [2], closeTabIds: [1] },
+    ]);
+  });
+
+  it('keeps every active tab in a group', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com' },
+      { id: 2, url: 'https://example.com' },
+      { id: 3, url: 'https://example.com' },
+    ];
+    const [group] = findDuplicateGroups(tabs, [1, 2]);
+    expect(group.keepTabIds).toEqual([1, 2]);
+    expect(group.closeTabIds).toEqual([3]);
+  });
+});
+
+describe('findRuleGroups', () => {
+  const tabs = [
+    { id: 1, url: 'https://github.com/a/b/pull/1' },
+    { id: 2, url: 'https://github.com/a/b/pull/1/files' },
+    { id: 3, url: 'https://github.com/a/b/pull/2' },
+  ];
+  const regex = 'github\\.com/[^/]+/[^/]+/pull/(\\d+)';
+
+  it('groups dedupe rules by captured key and skips single tabs', () => {
+    const { groups } = findRuleGroups(tabs, { regex, mode: CUSTOM_RULE_MODES.DEDUPE }, 999);
+    expect(groups).toEqual([{ key: '1', keepOne: true, keepTabIds: [2], closeTabIds: [1] }]);
+  });
+
+  it('puts all matches of a close-all rule in one group that keeps only the active tab', () => {
+    const { groups } = findRuleGroups(tabs, { regex, mode: CUSTOM_RULE_MODES.CLOSE_ALL }, 3);
+    expect(groups).toEqual([{ key: regex, keepOne: false, keepTabIds: [3], closeTabIds: [1, 2] }]);
+  });
+
+  it('returns no groups when nothing matches', () => {
+    expect(findRuleGroups(tabs, { regex: 'gitlab' }, 999).groups).toEqual([]);
+  });
+});
+
+describe('matchRuleTabs', () => {
+  it('returns matching regular tabs with their match', () => {
+    const tabs = [
+      { id: 1, url: 'https://github.com/a/b/pull/1' },
+      { id: 2, url: 'chrome://github.com/pull/1' },
+      { id: 3, url: 'https://example.com' },
+    ];
+    const matches = matchRuleTabs(tabs, { regex: 'pull/(\\d+)' });
+    expect(matches.map(({ tab }) => tab.id)).toEqual([1]);
+    expect(matches[0].match[1]).toBe('1');
+  });
+
+  it('matches any include pattern and drops excluded tabs', () => {
+    const tabs = [
+      { id: 1, url: 'https://jira.example.com/browse/ABC-1' },
+      { id: 2, url: 'https://jira.example.com/secure/RapidBoard.jspa' },
+      { id: 3, url: 'https://wiki.example.com/page' },
+      { id: 4, url: 'https://jira.example.com/projects/ABC' },
+    ];
+    const rule = { regex: 'jira\\.example\\.com', include: ['wiki\\.'], exclude: ['RapidBoard', '/projects/'] };
+    expect(matchRuleTabs(tabs, rule).map(({ tab }) => tab.id)).toEqual([1, 3]);
+  });
+
+  it('uses the match of the first include pattern that matches', () => {
+    const tabs = [{ id: 1, url: 'https://example.com/item/7' }];
+    const [{ match }] = matchRuleTabs(tabs, { regex: '', include: ['nothing', 'item/(\\d+)'] });
+    expect(match[1]).toBe('7');
+  });
+
+  it('also requires the rule\'s conditions', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/a', title: 'Draft A' },
+      { id: 2, url: 'https://example.com/b', title: 'B' },
+    ];
+    const conditions = { match: 'all', conditions: [{ field: 'title', operator: 'contains', value: 'draft', negate: true }] };
+    expect(matchRuleTabs(tabs, { regex: 'example', conditions }).map(({ tab }) => tab.id)).toEqual([2]);
+    expect(matchRuleTabs(tabs, { regex: '', conditions }).map(({ tab }) => tab.id)).toEqual([2]);
+  });
+});
+
+describe('testRule', () => {
+  const tabs = [
+    { id: 1, url: 'https://github.com/a/b/pull/12' },
+    { id: 2, url: 'https://example.com/pull/3' },
+    { id: 3, url: 'https://allowed.com/pull/4' },
+    { id: 4, url: 'https://example.com/issues' },
+  ];
+  const options = { allowlist: [{ type: 'host', pattern: 'allowed.com' }] };
+
+  it('reports the match range for each tab and which tabs are ignored', () => {
+    const { error, results } = testRule(tabs, { regex: 'pull/\\d+' }, options);
+    expect(error).toBeNull();
+    expect(results.map(result => result.match)).toEqual([
+      { start: 23, end: 30, key: null },
+      { start: 20, end: 26, key: null },
+      null,
+      null,
+    ]);
+    expect(results.map(result => result.ignored)).toEqual([false, false, true, false]);
+  });
+
+  it('includes the dedupe key in dedupe mode', () => {
+    const { results } = testRule(tabs, { regex: 'pull/(?<n>\\d+)', mode: CUSTOM_RULE_MODES.DEDUPE }, options);
+    expect(results[0].match.key).toBe('n=12');
+  });
+
+  it('matches the same tabs as findRuleGroups', () => {
+    const rule = { regex: 'pull' };
+    const tested = testRule(tabs, rule, options).results.filter(result => result.match).map(result => result.tab.id);
+    expect(tested).toEqual(findRuleGroups(tabs, rule, null, options).matchingTabIds);
+  });
+
+  it('returns the compile error instead of results', () => {
+    expect(testRule(tabs, { regex: '(' }, options)).toEqual({
+      error: { message: 'Unterminated group', position: 0, source: '(', label: 'Regex' },
+      results: [],
+    });
+  });
+
+  it('names the include or exclude pattern that does not compile', () => {
+    expect(testRule(tabs, { regex: 'a', exclude: ['b', 'c)'] }, options).error).toMatchObject({
+      label: 'Exclude pattern 2',
+      source: 'c)',
+      position: 1,
+    });
+  });
+
+  it('reports which exclude patterns removed each tab', () => {
+    const rule = { regex: 'pull', exclude: ['github', '\\d$'] };
+    const { results } = testRule(tabs, rule, options);
+    expect(results.map(result => result.excludedBy)).toEqual([[0, 1], [1], [], []]);
+    expect(results.every(result => result.match === null)).toBe(true);
+  });
+});
+
+describe('URL pattern rules', () => {
+  it('applies to the rule\'s include and exclude patterns, with named segments as dedupe keys', () => {
+    const tabs = [
+      { id: 1, url: 'https://acme.atlassian.net/browse/ABC-1' },
+      { id: 2, url: 'https://acme.atlassian.net/browse/ABC-1?focusedComment=2' },
+      { id: 3, url: 'https://acme.atlassian.net/browse/ABC-2' },
+      { id: 4, url: 'https://acme.atlassian.net/secure/RapidBoard.jspa' },
+    ];
+    const rule = {
+      syntax: 'url-pattern',
+      regex: '*://*.atlassian.net/browse/:key',
+      include: ['*://*.atlassian.net/secure/*'],
+      exclude: ['*/secure/RapidBoard*'],
+      mode: CUSTOM_RULE_MODES.DEDUPE,
+    };
+    const { matchingTabIds, groups } = findRuleGroups(tabs, rule, null);
+    expect(matchingTabIds).toEqual([1, 2, 3]);
+    expect(groups.map(group => group.key)).toEqual(['key=ABC-1']);
+  });
+
+  it('labels a URL pattern error in testRule', () => {
+    const { error } = testRule([], { syntax: 'url-pattern', regex: 'https://x.com/:id/:id' });
+    expect(error).toMatchObject({ label: 'URL pattern', position: 18 });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RULE_ORDER_KEY,
+  getRuleKey,
+  getItemBytes,
+  planRuleStorage,
+  assembleRules,
+  hasFailedSyncWrite,
+} from '../../extension/rule-store.js';
+
+const makeRule = (id, regex = 'a') => ({ id, name: id, regex });
+
+describe('getItemBytes', () => {
+  it('counts the key and the JSON value in UTF-8 bytes', () => {
+    expect(getItemBytes('k', 'a')).toBe(4);
+    expect(getItemBytes('k', 'é')).toBe(5);
+  });
+});
+
+describe('planRuleStorage', () => {
+  it('puts every rule and the order in sync storage when they fit', () => {
+    const rules = [makeRule('a'), makeRule('b')];
+    const plan = planRuleStorage(rules);
+    expect(plan.syncItems).toEqual({
+      [RULE_ORDER_KEY]: ['a', 'b'],
+      [getRuleKey('a')]: rules[0],
+      [getRuleKey('b')]: rules[1],
+    });
+    expect(plan.localRules).toEqual([]);
+    expect(plan.notSyncing).toEqual({});
+  });
+
+  it('keeps a rule over the per-item limit local', () => {
+    const big = makeRule('big', 'x'.repeat(200));
+    const plan = planRuleStorage([makeRule('a'), big], undefined, { bytes: 10000, bytesPerItem: 100, items: 10 });
+    expect(plan.localRules).toEqual([big]);
+    expect(plan.notSyncing).toEqual({ big: 'too-large' });
+    expect(plan.syncItems[RULE_ORDER_KEY]).toEqual(['a', 'big']);
+  });
+
+  it('keeps the rules at the end of the list local once the total quota is used', () => {
+    const rules = [makeRule('a'), makeRule('b'), makeRule('c')];
+    const ruleBytes = getItemBytes(getRuleKey('a'), rules[0]);
+    const orderBytes = getItemBytes(RULE_ORDER_KEY, ['a', 'b', 'c']);
+    const limits = { bytes: orderBytes + 2 * ruleBytes, bytesPerItem: 1000, items: 100 };
+    const plan = planRuleStorage(rules, { bytes: 0, items: 0 }, limits);
+    expect(Object.keys(plan.syncItems)).toEqual([RULE_ORDER_KEY, getRuleKey('a'), getRuleKey('b')]);
+    expect(plan.notSyncing).toEqual({ c: 'quota' });
+  });
+
+  it('counts items used by other data against the item limit', () => {
+    const plan = planRuleStorage([makeRule('a'), makeRule('b')], { bytes: 0, items: 2 }, { bytes: 10000, bytesPerItem: 1000, items: 4 });
+    expect(plan.notSyncing).toEqual({ b: 'quota' });
+  });
+});
+
+describe('assembleRules', () => {
+  it('follows the stored order and appends rules missing from it', () => {
+    const syncData = {
+      [RULE_ORDER_KEY]: ['b', 'gone', 'a'],
+      [getRuleKey('a')]: makeRule('a'),
+      [getRuleKey('b')]: makeRule('b'),
+      settings: {},
+    };
+    const rules = assembleRules(syncData, [makeRule('local')]);
+    expect(rules.map(rule => rule.id)).toEqual(['b', 'a', 'local']);
+  });
+
+  it('prefers the local copy of a rule', () => {
+    const syncData = { [RULE_ORDER_KEY]: ['a'], [getRuleKey('a')]: makeRule('a', 'old') };
+    expect(assembleRules(syncData, [makeRule('a', 'new')])).toEqual([makeRule('a', 'new')]);
+  });
+
+  it('round-trips a storage plan', () => {
+    const rules = [makeRule('a'), makeRule('big', 'x'.repeat(200)), makeRule('c')];
+    const plan = planRuleStorage(rules, undefined, { bytes: 10000, bytesPerItem: 100, items: 10 });
+    expect(assembleRules(plan.syncItems, plan.localRules)).toEqual(rules);
+  });
+});
+
+describe('hasFailedSyncWrite', () => {
+  it('is true only when a rule is local because writing failed', () => {
+    expect(hasFailedSyncWrite({ a: 'quota' })).toBe(false);
+    expect(hasFailedSyncWrite({ a: 'write-failed' })).toBe(true);
+  });
+});
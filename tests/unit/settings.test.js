@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SETTINGS,
+  mergeSettings,
+  getMatchOptions,
+  getPredefinedRuleOptions,
+} from '../../extension/settings.js';
+
+describe('mergeSettings', () => {
+  it('returns the defaults when nothing is stored', () => {
+    expect(mergeSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('keeps stored values and fills in missing nested keys', () => {
+    const merged = mergeSettings({ normalization: { foldWww: false } });
+    expect(merged.normalization.foldWww).toBe(false);
+    expect(merged.normalization.foldScheme).toBe(DEFAULT_SETTINGS.normalization.foldScheme);
+  });
+
+  it('does not share nested objects with the defaults', () => {
+    const merged = mergeSettings();
+    merged.normalization.foldScheme = !merged.normalization.foldScheme;
+    expect(DEFAULT_SETTINGS.normalization.foldScheme).not.toBe(merged.normalization.foldScheme);
+  });
+});
+
+describe('getMatchOptions', () => {
+  it('lets user site identity entries override the built-in ones', () => {
+    const settings = mergeSettings({ siteIdentity: { 'youtube.com': { params: [], fragment: false } } });
+    const options = getMatchOptions(settings);
+    expect(options.siteIdentity['youtube.com'].params).toEqual([]);
+    expect(options.siteIdentity['google.com']).toBeDefined();
+  });
+});
+
+describe('getPredefinedRuleOptions', () => {
+  it('maps settings onto the same fields custom rules use', () => {
+    const settings = mergeSettings({ keepStrategy: 'oldest', scope: 'tab-group', scopeGroupTitle: 'Research' });
+    expect(getPredefinedRuleOptions(settings)).toEqual({
+      keep: 'oldest',
+      scope: 'tab-group',
+      scopeGroupTitle: 'Research',
+      action: 'close',
+      actionTarget: 'Duplicates',
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  buildExport,
+  parseImport,
+  planRulesImport,
+  mergeImportedSettings,
+  diffSettings,
+} from '../../extension/transfer.js';
+
+const makeFile = (rules, extra = {}) => JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, rules, ...extra });
+
+describe('buildExport', () => {
+  it('writes the format, version, time, rules and settings', () => {
+    const rules = [{ id: 'custom-1', name: 'Docs', regex: 'docs' }];
+    const data = JSON.parse(buildExport(rules, { keepStrategy: 'oldest' }, new Date('2024-01-02T03:04:05Z')));
+    expect(data).toEqual({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: '2024-01-02T03:04:05.000Z',
+      rules,
+      settings: { keepStrategy: 'oldest' },
+    });
+  });
+
+  it('round-trips through parseImport', () => {
+    const rules = [{ id: 'custom-1', name: 'Docs', regex: 'docs', mode: 'dedupe' }];
+    const parsed = parseImport(buildExport(rules, { keepStrategy: 'oldest' }));
+    expect(parsed).toEqual({ errors: [], rules, settings: { keepStrategy: 'oldest' } });
+  });
+});
+
+describe('parseImport', () => {
+  it('rejects text that is not JSON', () => {
+    expect(parseImport('not json').errors).toEqual(['The text is not valid JSON']);
+  });
+
+  it('rejects JSON from somewhere else', () => {
+    expect(parseImport('{"rules": []}').errors).toEqual(['This is not a Close Duplicate Tabs export']);
+  });
+
+  it('rejects files from a newer version', () => {
+    const text = JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, rules: [] });
+    expect(parseImport(text).errors[0]).toMatch(/newer/);
+  });
+
+  it('reports regexes that do not compile', () => {
+    const { errors } = parseImport(makeFile([{ name: 'Broken', regex: '[invalid(' }]));
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Rule "Broken" has an invalid regex/);
+  });
+
+  it('reports missing names and unknown field values', () => {
+    const { errors } = parseImport(makeFile([{ regex: 'a', action: 'explode' }]));
+    expect(errors).toEqual(['Rule 1 has no name', 'Rule 1 has an unknown action "explode"']);
+  });
+
+  it('reports an enabled flag that is not a boolean', () => {
+    const { errors } = parseImport(makeFile([{ name: 'Docs', regex: 'docs', enabled: 'yes' }]));
+    expect(errors).toEqual(['Rule "Docs" has an enabled flag that is not true or false']);
+  });
+
+  it('accepts conditions in place of a regex, but not for dedupe', () => {
+    const conditions = { match: 'all', conditions: [{ field: 'title', operator: 'contains', value: 'Draft' }] };
+    expect(parseImport(makeFile([{ name: 'Drafts', regex: '', conditions }])).errors).toEqual([]);
+    expect(parseImport(makeFile([{ name: 'Drafts', regex: '', conditions, mode: 'dedupe' }])).errors).toEqual(['Rule "Drafts" has no regex']);
+  });
+
+  it('rejects close-all rules with nothing to match them', () => {
+    const empty = { match: 'all', conditions: [] };
+    expect(parseImport(makeFile([{ name: 'All', regex: '' }])).errors).toEqual(['Rule "All" has no regex or condition']);
+    expect(parseImport(makeFile([{ name: 'All', regex: '', conditions: empty }])).errors).toEqual([
+      'Rule "All" has no regex or condition',
+      'Rule "All": A condition group is empty',
+    ]);
+    const emptyText = { match: 'all', conditions: [{ field: 'url', operator: 'contains', value: '' }] };
+    expect(parseImport(makeFile([{ name: 'All', regex: '', conditions: emptyText }])).errors).toEqual([
+      'Rule "All": The URL condition has no text',
+    ]);
+  });
+
+  it('accepts include patterns in place of a regex, even for dedupe', () => {
+    const rule = { name: 'Tracker', regex: '', include: ['jira\\.example\\.com/browse/(\\w+-\\d+)'], exclude: ['/secure/'], mode: 'dedupe' };
+    expect(parseImport(makeFile([rule])).errors).toEqual([]);
+  });
+
+  it('reports include and exclude patterns that are not lists or do not compile', () => {
+    expect(parseImport(makeFile([{ name: 'Docs', regex: 'docs', exclude: 'drafts' }])).errors).toEqual([
+      'Rule "Docs" has exclude patterns that are not a list of text',
+    ]);
+    const { errors } = parseImport(makeFile([{ name: 'Docs', regex: 'docs', exclude: ['ok', '(draft'] }]));
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Rule "Docs" has an invalid exclude pattern 2:/);
+  });
+
+  it('checks patterns in the rule\'s syntax', () => {
+    expect(parseImport(makeFile([{ name: 'Issues', syntax: 'url-pattern', regex: 'https://github.com/*/issues/:n' }])).errors).toEqual([]);
+    expect(parseImport(makeFile([{ name: 'Issues', syntax: 'url-pattern', regex: 'https://x.com/:n/:n' }])).errors).toEqual([
+      'Rule "Issues" has an invalid URL pattern: Duplicate segment name "n"',
+    ]);
+    expect(parseImport(makeFile([{ name: 'Issues', syntax: 'glob', regex: 'issues' }])).errors).toEqual([
+      'Rule "Issues" has an unknown syntax "glob"',
+    ]);
+  });
+
+  it('reports invalid conditions', () => {
+    const conditions = { match: 'all', conditions: [{ field: 'colour', operator: 'is' }] };
+    expect(parseImport(makeFile([{ name: 'Docs', regex: 'docs', conditions }])).errors).toEqual([
+      'Rule "Docs": A condition has an unknown field "colour"',
+    ]);
+  });
+
+  it('rejects IDs that are not text', () => {
+    const { errors } = parseImport(makeFile([{ id: 7, name: 'Docs', regex: 'a' }, { id: '', name: 'Wiki', regex: 'b' }]));
+    expect(errors).toEqual(['Rule "Docs" has an ID that is not text', 'Rule "Wiki" has an ID that is not text']);
+  });
+
+  it('reports repeated IDs and names', () => {
+    const { errors } = parseImport(makeFile([
+      { id: 'x', name: 'Docs', regex: 'a' },
+      { id: 'x', name: 'docs', regex: 'b' },
+    ]));
+    expect(errors).toEqual(['Rule ID "x" appears more than once', 'Rule name "docs" appears more than once']);
+  });
+
+  it('treats a missing settings object as no settings', () => {
+    expect(parseImport(makeFile([])).settings).toBeNull();
+  });
+
+  it('reports settings of the wrong type', () => {
+    const { errors } = parseImport(makeFile([], { settings: { allowlist: 'x', trackingParams: 5, scopeGroupTitle: 1 } }));
+    expect(errors).toEqual([
+      'Setting "trackingParams" is not a list of text',
+      'Setting "scopeGroupTitle" is not text',
+      'Setting "allowlist" is not a list',
+    ]);
+  });
+
+  it('reports unknown values, non-boolean flags and malformed site identities', () => {
+    const settings = {
+      keepStrategy: 'random',
+      normalization: { foldWww: 'yes' },
+      safeguards: [],
+      siteIdentity: { 'example.com': { params: 'q' } },
+    };
+    expect(parseImport(makeFile([], { settings })).errors).toEqual([
+      'Setting "normalization" has a foldWww flag that is not true or false',
+      'Setting "siteIdentity" for "example.com" needs a list of params and a fragment flag',
+      'Setting "keepStrategy" has an unknown value "random"',
+      'Setting "safeguards" is not an object',
+    ]);
+  });
+
+  it('checks allowlist entries and compiles their regexes', () => {
+    const allowlist = [{ type: 'host', pattern: 'example.com' }, { type: 'regex', pattern: '(' }, { type: 'url', pattern: 'a' }];
+    expect(parseImport(makeFile([], { settings: { allowlist } })).errors).toEqual([
+      'Setting "allowlist" entry 2 has an invalid regex: Unterminated group',
+      'Setting "allowlist" entry 3 needs a type of host or regex and a pattern',
+    ]);
+  });
+
+  it('drops unknown settings and flags', () => {
+    const settings = { keepStrategy: 'oldest', theme: 'dark', safeguards: { pinned: false, sparkly: true } };
+    expect(parseImport(makeFile([], { settings }))).toEqual({
+      errors: [],
+      rules: [],
+      settings: { keepStrategy: 'oldest', safeguards: { pinned: false } },
+    });
+  });
+});
+
+describe('planRulesImport', () => {
+  const existing = [
+    { id: 'custom-1', name: 'Docs', regex: 'docs' },
+    { id: 'custom-2', name: 'Issues', regex: 'issues' },
+  ];
+  const createId = i => `new-${i}`;
+
+  it('merges by ID, then by name, and appends the rest', () => {
+    const imported = [
+      { id: 'custom-1', name: 'Docs', regex: 'docs/v2' },
+      { name: 'ISSUES', regex: 'issues' },
+      { name: 'Wiki', regex: 'wiki' },
+    ];
+    const plan = planRulesImport(existing, imported, 'merge', createId);
+    expect(plan.rules).toEqual([
+      { id: 'custom-1', name: 'Docs', regex: 'docs/v2' },
+      { id: 'custom-2', name: 'ISSUES', regex: 'issues' },
+      { id: 'new-2', name: 'Wiki', regex: 'wiki' },
+    ]);
+    expect(plan.added).toEqual(['Wiki']);
+    expect(plan.updated).toEqual(['Docs', 'ISSUES']);
+    expect(plan.removed).toEqual([]);
+  });
+
+  it('reports rules that are the same as unchanged', () => {
+    const plan = planRulesImport(existing, [{ id: 'custom-1', name: 'Docs', regex: 'docs' }], 'merge', createId);
+    expect(plan.unchanged).toEqual(['Docs']);
+    expect(plan.updated).toEqual([]);
+  });
+
+  it('replaces the whole list and reports removed rules', () => {
+    const plan = planRulesImport(existing, [{ id: 'custom-2', name: 'Issues', regex: 'issues' }], 'replace', createId);
+    expect(plan.rules).toEqual([{ id: 'custom-2', name: 'Issues', regex: 'issues' }]);
+    expect(plan.removed).toEqual(['Docs']);
+    expect(plan.unchanged).toEqual(['Issues']);
+  });
+});
+
+describe('mergeImportedSettings', () => {
+  it('keeps the current flags a file leaves out and replaces other settings whole', () => {
+    const current = { keepStrategy: 'newest', safeguards: { pinned: true, audible: false }, trackingParams: ['a', 'b'] };
+    const imported = { safeguards: { audible: true }, trackingParams: ['c'] };
+    expect(mergeImportedSettings(current, imported)).toEqual({
+      keepStrategy: 'newest',
+      safeguards: { pinned: true, audible: true },
+      trackingParams: ['c'],
+    });
+  });
+});
+
+describe('diffSettings', () => {
+  it('lists known settings whose value differs', () => {
+    const current = { keepStrategy: 'newest', safeguards: { pinned: true }, scope: 'current-window' };
+    const imported = { keepStrategy: 'oldest', safeguards: { pinned: true }, unknown: 1 };
+    expect(diffSettings(current, imported)).toEqual(['keepStrategy']);
+  });
+});
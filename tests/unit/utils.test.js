@@ -1,9 +1,26 @@
 import { describe, it, expect } from 'vitest';
 import {
   getBaseUrl,
+  findSiteIdentity,
+  getTrackingFreeUrl,
+  isTrackingParam,
   groupTabsByBaseUrl,
   filterSpecialUrls,
-  findTabsToClose,
+  getRegexError,
+  translateUrlPattern,
+  compilePattern,
+  buildPlanGroups,
+  sortPlanGroups,
+  isRuleEnabled,
+  moveRule,
+  pickTabToKeep,
+  applySafeguards,
+  getSafeguardReason,
+  isAllowlisted,
+  matchesHostPattern,
+  describeScope,
+  filterTabsInScope,
+  selectTabsToRestore,
 } from '../../extension/utils.js';
 
 describe('getBaseUrl', () => {
@@ -39,6 +56,129 @@ describe('getBaseUrl', () => {
   });
 });
 
+describe('getBaseUrl normalization steps', () => {
+  it('folds http into https when foldScheme is on', () => {
+    const options = { normalization: { foldScheme: true } };
+    expect(getBaseUrl('http://example.com/page', options)).toBe('https://example.com/page');
+  });
+
+  it('strips a leading www. when foldWww is on', () => {
+    const options = { normalization: { foldWww: true } };
+    expect(getBaseUrl('https://www.example.com/page', options)).toBe('https://example.com/page');
+  });
+
+  it('strips trailing slashes but keeps the root path', () => {
+    const options = { normalization: { stripTrailingSlash: true } };
+    expect(getBaseUrl('https://example.com/page/', options)).toBe('https://example.com/page');
+    expect(getBaseUrl('https://example.com/', options)).toBe('https://example.com/');
+  });
+
+  it('lowercases the path but keeps escapes uppercase', () => {
+    const options = { normalization: { lowercasePath: true } };
+    expect(getBaseUrl('https://example.com/My%2fPage', options)).toBe('https://example.com/my%2Fpage');
+  });
+
+  it('drops ports 80 and 443 when stripDefaultPort is on', () => {
+    const options = { normalization: { foldScheme: true, stripDefaultPort: true } };
+    expect(getBaseUrl('http://example.com:443/page', options)).toBe('https://example.com/page');
+    expect(getBaseUrl('https://example.com:8443/page', options)).toBe('https://example.com:8443/page');
+  });
+
+  it('canonicalizes percent-encoding when decodePercentEncoding is on', () => {
+    const options = { normalization: { decodePercentEncoding: true } };
+    expect(getBaseUrl('https://example.com/%7euser/a%2fb', options)).toBe('https://example.com/~user/a%2Fb');
+  });
+
+  it('strips index.html when stripIndexHtml is on', () => {
+    const options = { normalization: { stripIndexHtml: true } };
+    expect(getBaseUrl('https://example.com/docs/index.html', options)).toBe('https://example.com/docs/');
+  });
+
+  it('leaves the URL untouched when no steps are enabled', () => {
+    expect(getBaseUrl('http://www.example.com/Page/')).toBe('http://www.example.com/Page/');
+  });
+});
+
+describe('getBaseUrl site identity', () => {
+  const siteIdentity = {
+    'youtube.com': { params: ['v', 'list'], fragment: false },
+    'app.example.com': { params: [], fragment: true },
+  };
+
+  it('keeps significant params in sorted order and drops the rest', () => {
+    const url = 'https://www.youtube.com/watch?t=10&v=abc&list=xyz';
+    expect(getBaseUrl(url, { siteIdentity })).toBe('https://www.youtube.com/watch?list=xyz&v=abc');
+  });
+
+  it('distinguishes pages that differ only by a significant param', () => {
+    const a = getBaseUrl('https://youtube.com/watch?v=A', { siteIdentity });
+    const b = getBaseUrl('https://youtube.com/watch?v=B', { siteIdentity });
+    expect(a).not.toBe(b);
+  });
+
+  it('keeps the fragment when it is significant', () => {
+    const url = 'https://app.example.com/?x=1#/inbox';
+    expect(getBaseUrl(url, { siteIdentity })).toBe('https://app.example.com/#/inbox');
+  });
+
+  it('ignores params on hosts without an identity rule', () => {
+    expect(getBaseUrl('https://example.com/page?v=1', { siteIdentity })).toBe('https://example.com/page');
+  });
+});
+
+describe('findSiteIdentity', () => {
+  it('matches subdomains against a parent host entry', () => {
+    const table = { 'youtube.com': { params: ['v'] } };
+    expect(findSiteIdentity('m.youtube.com', table)).toBe(table['youtube.com']);
+  });
+
+  it('prefers the most specific host entry', () => {
+    const table = { 'google.com': { params: ['q'] }, 'mail.google.com': { params: [], fragment: true } };
+    expect(findSiteIdentity('mail.google.com', table)).toBe(table['mail.google.com']);
+  });
+
+  it('returns null when no entry matches', () => {
+    expect(findSiteIdentity('example.com', { 'youtube.com': { params: ['v'] } })).toBeNull();
+  });
+});
+
+describe('getTrackingFreeUrl', () => {
+  const trackingParams = ['utm_*', 'fbclid', 'ref'];
+
+  it('removes tracking params and keeps the others', () => {
+    const url = 'https://example.com/page?id=7&utm_source=news&fbclid=abc';
+    expect(getTrackingFreeUrl(url, { trackingParams })).toBe('https://example.com/page?id=7');
+  });
+
+  it('sorts the remaining params so their order does not matter', () => {
+    const a = getTrackingFreeUrl('https://example.com/?a=1&b=2', { trackingParams });
+    const b = getTrackingFreeUrl('https://example.com/?b=2&a=1', { trackingParams });
+    expect(a).toBe(b);
+  });
+
+  it('drops the "?" when only tracking params were present', () => {
+    const url = 'https://example.com/page?utm_medium=email&ref=home';
+    expect(getTrackingFreeUrl(url, { trackingParams })).toBe('https://example.com/page');
+  });
+
+  it('keeps the fragment', () => {
+    const url = 'https://example.com/page?utm_source=x#top';
+    expect(getTrackingFreeUrl(url, { trackingParams })).toBe('https://example.com/page#top');
+  });
+});
+
+describe('isTrackingParam', () => {
+  it('matches glob patterns on key names case-insensitively', () => {
+    expect(isTrackingParam('UTM_Campaign', ['utm_*'])).toBe(true);
+    expect(isTrackingParam('mc_?id', ['mc_?id'])).toBe(true);
+    expect(isTrackingParam('mc_eid', ['mc_?id'])).toBe(true);
+  });
+
+  it('does not match keys that only contain the pattern', () => {
+    expect(isTrackingParam('preference', ['ref'])).toBe(false);
+  });
+});
+
 describe('groupTabsByBaseUrl', () => {
   it('groups tabs with same base URL together', () => {
     const tabs = [
@@ -119,208 +259,359 @@ describe('filterSpecialUrls', () => {
   });
 });
 
-describe('Custom Rule Matching', () => {
-  /**
-   * Helper function to match tabs against a regex pattern
-   * Used for testing custom rule logic
-   */
-  function matchTabsAgainstRegex(tabs, regexPattern) {
-    try {
-      const pattern = new RegExp(regexPattern);
-      return tabs.filter(tab => pattern.test(tab.url));
-    } catch {
-      return [];
-    }
-  }
-
-  /**
-   * Determine which tabs to close for a custom rule
-   * Keeps only the active tab if it matches the pattern
-   */
-  function findTabsToCloseForCustomRule(tabs, regexPattern, currentTabId) {
-    const matchingTabs = matchTabsAgainstRegex(tabs, regexPattern);
-
-    if (matchingTabs.length === 0) {
-      return [];
-    }
-
-    const tabsToClose = [];
-    const isActiveTabInMatches = matchingTabs.some(tab => tab.id === currentTabId);
-
-    matchingTabs.forEach(tab => {
-      // Only keep the active tab if it's in the matching set
-      if (tab.id === currentTabId && isActiveTabInMatches) {
-        return;
-      }
-      // Close all other matching tabs
-      tabsToClose.push(tab.id);
-    });
-
-    return tabsToClose;
-  }
-
-  it('matches tabs using regex pattern', () => {
+describe('filterSpecialUrls allowlist', () => {
+  it('removes tabs on allowlisted hosts', () => {
     const tabs = [
-      { id: 1, url: 'https://github.com/user/repo' },
-      { id: 2, url: 'https://github.com/other/repo' },
-      { id: 3, url: 'https://stackoverflow.com/questions/123' },
+      { id: 1, url: 'https://grafana.corp.net/d/abc?var=1' },
+      { id: 2, url: 'https://example.com' },
     ];
-    const pattern = 'github\\.com';
-    const matched = matchTabsAgainstRegex(tabs, pattern);
-    expect(matched.length).toBe(2);
-    expect(matched[0].id).toBe(1);
-    expect(matched[1].id).toBe(2);
+    const filtered = filterSpecialUrls(tabs, [{ type: 'host', pattern: 'corp.net' }]);
+    expect(filtered.map(tab => tab.id)).toEqual([2]);
   });
 
-  it('handles invalid regex gracefully', () => {
+  it('removes tabs matching an allowlisted regex', () => {
     const tabs = [
-      { id: 1, url: 'https://example.com' },
+      { id: 1, url: 'https://example.com/dashboards/1' },
+      { id: 2, url: 'https://example.com/page' },
     ];
-    const matched = matchTabsAgainstRegex(tabs, '[invalid(regex');
-    expect(matched.length).toBe(0);
+    const filtered = filterSpecialUrls(tabs, [{ type: 'regex', pattern: '/dashboards/' }]);
+    expect(filtered.map(tab => tab.id)).toEqual([2]);
   });
+});
 
-  it('closes non-active matching tabs, keeping the active one', () => {
-    const tabs = [
-      { id: 1, url: 'https://github.com/user/repo1' },
-      { id: 2, url: 'https://github.com/user/repo2' },
-      { id: 3, url: 'https://github.com/user/repo3' },
-    ];
-    const pattern = 'github\\.com';
-    const toClose = findTabsToCloseForCustomRule(tabs, pattern, 2); // Tab 2 is active
-    expect(toClose).not.toContain(2);
-    expect(toClose).toContain(1);
-    expect(toClose).toContain(3);
+describe('matchesHostPattern', () => {
+  it('matches the host and its subdomains', () => {
+    expect(matchesHostPattern('corp.net', 'corp.net')).toBe(true);
+    expect(matchesHostPattern('grafana.corp.net', 'corp.net')).toBe(true);
+    expect(matchesHostPattern('notcorp.net', 'corp.net')).toBe(false);
   });
 
-  it('closes all matching tabs when active tab does not match', () => {
-    const tabs = [
-      { id: 1, url: 'https://github.com/user/repo1' },
-      { id: 2, url: 'https://github.com/user/repo2' },
-      { id: 3, url: 'https://example.com' },
-    ];
-    const pattern = 'github\\.com';
-    const toClose = findTabsToCloseForCustomRule(tabs, pattern, 3); // Tab 3 is active but doesn't match
-    expect(toClose).toContain(1);
-    expect(toClose).toContain(2); // Close all matching tabs since active tab doesn't match
-    expect(toClose).not.toContain(3); // Active tab never closed
+  it('supports wildcards', () => {
+    expect(matchesHostPattern('dash-3.corp.net', 'dash-*.corp.net')).toBe(true);
+    expect(matchesHostPattern('wiki.corp.net', 'dash-*.corp.net')).toBe(false);
   });
+});
 
-  it('closes single matching tab if it is not the active tab', () => {
-    const tabs = [
-      { id: 1, url: 'https://github.com/user/repo' },
-      { id: 2, url: 'https://example.com' },
-    ];
-    const pattern = 'github\\.com';
-    const toClose = findTabsToCloseForCustomRule(tabs, pattern, 999); // Tab 999 is active (not in list)
-    expect(toClose).toContain(1);
+describe('isAllowlisted', () => {
+  it('ignores allowlist regexes that do not compile', () => {
+    expect(isAllowlisted('https://example.com', [{ type: 'regex', pattern: '[broken(' }])).toBe(false);
   });
 
-  it('preserves single matching tab if it is the active tab', () => {
-    const tabs = [
-      { id: 1, url: 'https://github.com/user/repo' },
-      { id: 2, url: 'https://example.com' },
-    ];
-    const pattern = 'github\\.com';
-    const toClose = findTabsToCloseForCustomRule(tabs, pattern, 1); // Tab 1 is active
-    expect(toClose.length).toBe(0);
+  it('returns false for an empty allowlist', () => {
+    expect(isAllowlisted('https://example.com', [])).toBe(false);
   });
+});
 
-  it('handles complex regex patterns', () => {
-    const tabs = [
-      { id: 1, url: 'https://example.com/search?q=test' },
-      { id: 2, url: 'https://example.com/search?q=another' },
-      { id: 3, url: 'https://example.com/page' },
+describe('pickTabToKeep', () => {
+  const group = [
+    { id: 1, index: 4, lastAccessed: 300, discarded: false, pinned: false, historyLength: 2 },
+    { id: 2, index: 0, lastAccessed: 100, discarded: true, pinned: true, historyLength: 9 },
+    { id: 3, index: 2, lastAccessed: 200, discarded: true, pinned: false, historyLength: 1 },
+  ];
+
+  it('keeps the newest tab by default', () => {
+    expect(pickTabToKeep(group).id).toBe(3);
+  });
+
+  it('keeps the oldest tab', () => {
+    expect(pickTabToKeep(group, 'oldest').id).toBe(1);
+  });
+
+  it('compares recorded creation times before tab IDs', () => {
+    const timed = [
+      { id: 5, createdAt: 1700000002000 },
+      { id: 9, createdAt: 1700000001000 },
+      { id: 7 },
     ];
-    const pattern = '/search\\?'; // Match any search URL
-    const matched = matchTabsAgainstRegex(tabs, pattern);
-    expect(matched.length).toBe(2);
+    expect(pickTabToKeep(timed, 'newest').id).toBe(5);
+    expect(pickTabToKeep(timed, 'oldest').id).toBe(7);
+  });
+
+  it('keeps the most recently accessed tab', () => {
+    expect(pickTabToKeep(group, 'last-accessed').id).toBe(1);
+  });
+
+  it('keeps the leftmost tab', () => {
+    expect(pickTabToKeep(group, 'leftmost').id).toBe(2);
+  });
+
+  it('keeps the rightmost tab', () => {
+    expect(pickTabToKeep(group, 'rightmost').id).toBe(1);
+  });
+
+  it('prefers a loaded tab over discarded ones', () => {
+    expect(pickTabToKeep(group, 'prefer-loaded').id).toBe(1);
+  });
+
+  it('prefers a pinned tab', () => {
+    expect(pickTabToKeep(group, 'prefer-pinned').id).toBe(2);
+  });
+
+  it('keeps the tab with the longest navigation history', () => {
+    expect(pickTabToKeep(group, 'longest-history').id).toBe(2);
+  });
+
+  it('falls back to the newest tab when the strategy ties', () => {
+    const tied = [{ id: 5, pinned: false }, { id: 6, pinned: false }];
+    expect(pickTabToKeep(tied, 'prefer-pinned').id).toBe(6);
+  });
+
+  it('treats an unknown strategy as newest', () => {
+    expect(pickTabToKeep(group, 'nonsense').id).toBe(3);
   });
 });
 
-describe('findTabsToClose', () => {
-  it('identifies duplicate tabs to close, keeping newest when no active tab in group', () => {
-    const tabs = [
-      { id: 1, url: 'https://example.com/page?id=1' },
-      { id: 2, url: 'https://example.com/page?id=2' },
-      { id: 3, url: 'https://example.com/page?id=3' },
-    ];
-    const toClose = findTabsToClose(tabs, 999); // Active tab is not in this group
-    // Should close tabs 1 and 2, keep the newest (tab 3)
-    expect(toClose).toContain(1);
-    expect(toClose).toContain(2);
-    expect(toClose).not.toContain(3);
+describe('applySafeguards', () => {
+  const tabs = [
+    { id: 1, title: 'Dashboard', url: 'https://a.com', pinned: true },
+    { id: 2, title: 'Call', url: 'https://b.com', audible: true },
+    { id: 3, title: 'Grouped', url: 'https://c.com', groupId: 7 },
+    { id: 4, title: 'Ungrouped', url: 'https://d.com', groupId: -1 },
+    { id: 5, title: 'Draft', url: 'https://e.com', hasUnsavedInput: true },
+  ];
+  const allOn = { pinned: true, audible: true, grouped: true, incognito: true, unsavedInput: true };
+
+  it('spares protected tabs and reports the reason', () => {
+    const result = applySafeguards(tabs, [1, 2, 3, 4, 5], allOn);
+    expect(result.tabsToClose).toEqual([4]);
+    expect(result.spared.map(tab => [tab.tabId, tab.reason])).toEqual([
+      [1, 'pinned'],
+      [2, 'audible'],
+      [3, 'grouped'],
+      [5, 'unsavedInput'],
+    ]);
   });
 
-  it('keeps active tab even if it is not the newest', () => {
-    const tabs = [
-      { id: 1, url: 'https://example.com/page' },
-      { id: 2, url: 'https://example.com/page' },
-      { id: 3, url: 'https://example.com/page' },
-    ];
-    const toClose = findTabsToClose(tabs, 2); // Tab 2 is active but not newest
-    // Should keep tab 2 (active) and close tabs 1 and 3
-    expect(toClose).toContain(1);
-    expect(toClose).toContain(3);
-    expect(toClose).not.toContain(2);
+  it('closes protected tabs when their safeguard is off', () => {
+    const result = applySafeguards(tabs, [1, 3], { ...allOn, pinned: false, grouped: false });
+    expect(result.tabsToClose).toEqual([1, 3]);
+    expect(result.spared).toEqual([]);
   });
 
-  it('returns empty array when no duplicates exist', () => {
-    const tabs = [
-      { id: 1, url: 'https://example.com' },
-      { id: 2, url: 'https://github.com' },
-      { id: 3, url: 'https://stackoverflow.com' },
+  it('only considers the tabs a rule wants to close', () => {
+    expect(applySafeguards(tabs, [4], allOn)).toEqual({ tabsToClose: [4], spared: [] });
+  });
+});
+
+describe('getSafeguardReason', () => {
+  it('returns null for an unprotected tab', () => {
+    expect(getSafeguardReason({ id: 1 }, { pinned: true })).toBeNull();
+  });
+
+  it('detects incognito tabs', () => {
+    expect(getSafeguardReason({ id: 1, incognito: true }, { incognito: true })).toBe('incognito');
+  });
+});
+
+describe('describeScope', () => {
+  it('defaults to the current window', () => {
+    expect(describeScope()).toBe('Current window');
+  });
+
+  it('includes the group title for tab-group scope', () => {
+    expect(describeScope('tab-group', 'Research')).toBe('Tab group: Research');
+  });
+});
+
+describe('filterTabsInScope', () => {
+  const tabs = [
+    { id: 1, windowId: 1, groupId: -1 },
+    { id: 2, windowId: 1, groupId: 10 },
+    { id: 3, windowId: 2, groupId: 20 },
+  ];
+  const context = { windowId: 1, groups: [{ id: 10, title: 'Work' }, { id: 20, title: 'Work' }, { id: 30, title: 'Home' }] };
+
+  it('keeps the current window by default', () => {
+    expect(filterTabsInScope(tabs, undefined, '', context).map(tab => tab.id)).toEqual([1, 2]);
+  });
+
+  it('keeps every tab for all windows', () => {
+    expect(filterTabsInScope(tabs, 'all-windows', '', context)).toEqual(tabs);
+  });
+
+  it('keeps the tabs of every group with the title, in any window', () => {
+    expect(filterTabsInScope(tabs, 'tab-group', 'Work', context).map(tab => tab.id)).toEqual([2, 3]);
+    expect(filterTabsInScope(tabs, 'tab-group', 'Home', context)).toEqual([]);
+  });
+});
+
+describe('selectTabsToRestore', () => {
+  it('reopens closed duplicates while the copy the action kept is still open', () => {
+    const records = [
+      { id: 1, url: 'https://example.com/a', windowId: 1, index: 0, keptCopies: 1 },
+      { id: 2, url: 'https://example.com/a', windowId: 1, index: 1, keptCopies: 1 },
     ];
-    expect(findTabsToClose(tabs, 999).length).toBe(0);
+    const result = selectTabsToRestore(records, ['https://example.com/a']);
+    expect(result.map(record => record.id)).toEqual([1, 2]);
   });
 
-  it('ignores special URLs and only processes regular URLs', () => {
-    const tabs = [
-      { id: 1, url: 'chrome://settings' },
-      { id: 2, url: 'https://example.com' },
-      { id: 3, url: 'https://example.com?id=1' },
-      { id: 4, url: 'about:blank' },
+  it('skips one closed tab for each copy opened since the action', () => {
+    const records = [
+      { id: 1, url: 'https://example.com/a', windowId: 1, index: 0, keptCopies: 1 },
+      { id: 2, url: 'https://example.com/a', windowId: 1, index: 1, keptCopies: 1 },
+      { id: 3, url: 'https://example.com/b', windowId: 1, index: 2, keptCopies: 0 },
     ];
-    const toClose = findTabsToClose(tabs, 999);
-    // Should not include special URL tabs, should close tab 2
-    expect(toClose).not.toContain(1);
-    expect(toClose).toContain(2);
-    expect(toClose).not.toContain(4);
+    const result = selectTabsToRestore(records, ['https://example.com/a', 'https://example.com/a', 'https://example.com/b']);
+    expect(result.map(record => record.id)).toEqual([2]);
   });
 
-  it('handles single tab with no duplicates', () => {
-    const tabs = [{ id: 1, url: 'https://example.com' }];
-    expect(findTabsToClose(tabs, 999).length).toBe(0);
+  it('treats records without keptCopies as having left no copy open', () => {
+    const records = [{ id: 1, url: 'https://example.com/a', windowId: 1, index: 0 }];
+    expect(selectTabsToRestore(records, ['https://example.com/a'])).toEqual([]);
   });
 
-  it('handles multiple groups of duplicates, keeping newest in each group', () => {
-    const tabs = [
-      { id: 1, url: 'https://example.com/page1' },
-      { id: 2, url: 'https://example.com/page1?id=1' },
-      { id: 3, url: 'https://example.com/page2' },
-      { id: 4, url: 'https://example.com/page2?id=1' },
+  it('orders records by window, then by index', () => {
+    const records = [
+      { id: 1, url: 'https://a.com', windowId: 2, index: 0 },
+      { id: 2, url: 'https://b.com', windowId: 1, index: 4 },
+      { id: 3, url: 'https://c.com', windowId: 1, index: 1 },
     ];
-    const toClose = findTabsToClose(tabs, 999); // Active tab is not in any group
-    // Should close tab 1 (keep 2 - newest in group 1) and tab 3 (keep 4 - newest in group 2)
-    expect(toClose).toContain(1);
-    expect(toClose).not.toContain(2);
-    expect(toClose).toContain(3);
-    expect(toClose).not.toContain(4);
+    const result = selectTabsToRestore(records, []);
+    expect(result.map(record => record.id)).toEqual([3, 2, 1]);
   });
 
-  it('prioritizes active tab in one group while keeping newest in other groups', () => {
-    const tabs = [
-      { id: 1, url: 'https://example.com/page1' },
-      { id: 2, url: 'https://example.com/page1?id=1' },
-      { id: 3, url: 'https://example.com/page2' },
-      { id: 4, url: 'https://example.com/page2?id=1' },
+  it('does not modify the records array', () => {
+    const records = [
+      { id: 1, url: 'https://a.com', windowId: 1, index: 3 },
+      { id: 2, url: 'https://b.com', windowId: 1, index: 0 },
     ];
-    const toClose = findTabsToClose(tabs, 1); // Tab 1 is active (but not newest in its group)
-    // Should keep tab 1 (active in group 1) and close tab 2
-    // Should keep tab 4 (newest in group 2) and close tab 3
-    expect(toClose).not.toContain(1);
-    expect(toClose).toContain(2);
-    expect(toClose).toContain(3);
-    expect(toClose).not.toContain(4);
+    selectTabsToRestore(records, []);
+    expect(records.map(record => record.id)).toEqual([1, 2]);
+  });
+});
+
+describe('getRegexError', () => {
+  it('returns null for a valid pattern', () => {
+    expect(getRegexError('github\\.com/(?<n>\\d+)')).toBeNull();
+  });
+
+  it('points an unclosed group or class at its opener', () => {
+    expect(getRegexError('(a)(b')).toEqual({ message: 'Unterminated group', position: 3 });
+    expect(getRegexError('x[ab')).toEqual({ message: 'Unterminated character class', position: 1 });
+  });
+
+  it('points other errors at the offending character', () => {
+    expect(getRegexError('ab)')).toEqual({ message: "Unmatched ')'", position: 2 });
+    expect(getRegexError('a|*b').position).toBe(2);
+  });
+});
+
+describe('URL patterns', () => {
+  const matches = (pattern, url) => compilePattern(pattern, 'url-pattern').test(url);
+
+  it('matches the whole URL, allowing any query and fragment', () => {
+    expect(matches('https://github.com/*/issues/*', 'https://github.com/a/b/issues/12')).toBe(true);
+    expect(matches('https://github.com/*/issues/*', 'https://github.com/a/b/pull/12')).toBe(false);
+    expect(matches('https://example.com/docs', 'https://example.com/docs?page=2#top')).toBe(true);
+    expect(matches('https://example.com/docs', 'https://example.com/docs/intro')).toBe(false);
+    expect(matches('https://example.com/docs', 'https://www.example.com/docs')).toBe(false);
+  });
+
+  it('keeps * in the scheme and host from crossing into the path', () => {
+    expect(matches('*://*.atlassian.net/browse/*', 'https://team.atlassian.net/browse/ABC-1')).toBe(true);
+    expect(matches('*://*.atlassian.net/browse/*', 'https://evil.com/x.atlassian.net/browse/ABC-1')).toBe(false);
+  });
+
+  it('treats regex characters and ports literally', () => {
+    expect(matches('http://localhost:3000/a+b', 'http://localhost:3000/a+b')).toBe(true);
+    expect(matches('http://localhost:3000/a+b', 'http://localhost:3000/aab')).toBe(false);
+    expect(matches('https://example.com/\\:id', 'https://example.com/:id')).toBe(true);
+  });
+
+  it('matches any scheme when none is given, and every page when there is no path', () => {
+    expect(matches('github.com', 'https://github.com/a/b')).toBe(true);
+    expect(matches('github.com', 'https://github.com.evil.com/')).toBe(false);
+  });
+
+  it('captures named segments as named groups', () => {
+    const match = compilePattern('*://:team.atlassian.net/browse/:key', 'url-pattern')
+      .exec('https://acme.atlassian.net/browse/ABC-1?focusedComment=2');
+    expect(match.groups).toEqual({ team: 'acme', key: 'ABC-1' });
+  });
+
+  it('reports repeated names and a trailing backslash', () => {
+    expect(translateUrlPattern('https://x.com/:id/:id').error).toEqual({ message: 'Duplicate segment name "id"', position: 18 });
+    expect(translateUrlPattern('https://x.com/a\\').error).toEqual({ message: 'Nothing to escape', position: 15 });
+    expect(() => compilePattern('https://x.com/:id/:id', 'url-pattern')).toThrow(SyntaxError);
+  });
+});
+
+describe('buildPlanGroups', () => {
+  const tabs = [
+    { id: 1, url: 'https://example.com', title: 'A', windowId: 1, active: true },
+    { id: 2, url: 'https://example.com', title: 'B', windowId: 1, pinned: true },
+    { id: 3, url: 'https://example.com', title: 'C', windowId: 2, favIconUrl: 'https://example.com/icon.png' },
+  ];
+  const groups = [{ key: 'https://example.com/', keepOne: true, keepTabIds: [1], closeTabIds: [2, 3] }];
+
+  it('describes kept, closed and spared tabs', () => {
+    const [group] = buildPlanGroups(tabs, groups, { pinned: true });
+    expect(group.key).toBe('https://example.com/');
+    expect(group.keepOne).toBe(true);
+    expect(group.tabs).toEqual([
+      { id: 1, title: 'A', url: 'https://example.com', favIconUrl: undefined, windowId: 1, active: true, keep: true, close: false, spared: null },
+      { id: 2, title: 'B', url: 'https://example.com', favIconUrl: undefined, windowId: 1, active: false, keep: false, close: false, spared: 'pinned' },
+      { id: 3, title: 'C', url: 'https://example.com', favIconUrl: 'https://example.com/icon.png', windowId: 2, active: false, keep: false, close: true, spared: null },
+    ]);
+  });
+
+  it('closes protected tabs when their safeguard is off', () => {
+    const [group] = buildPlanGroups(tabs, groups, { pinned: false });
+    expect(group.tabs[1]).toMatchObject({ close: true, spared: null });
+  });
+});
+
+describe('sortPlanGroups', () => {
+  const makeGroup = (key, urls) => ({ key, tabs: urls.map((url, i) => ({ id: i, url })) });
+  const groups = [
+    makeGroup('b', ['https://zeta.com/1', 'https://zeta.com/1']),
+    makeGroup('a', ['https://alpha.com', 'https://alpha.com', 'https://alpha.com']),
+    makeGroup('c', ['https://alpha.com/x', 'https://alpha.com/x']),
+  ];
+
+  it('puts the largest groups first when sorting by size', () => {
+    expect(sortPlanGroups(groups, 'size').map(group => group.key)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('sorts by host, then by key, when sorting by domain', () => {
+    expect(sortPlanGroups(groups, 'domain').map(group => group.key)).toEqual(['a', 'c', 'b']);
+  });
+
+  it('does not modify the input array', () => {
+    sortPlanGroups(groups, 'size');
+    expect(groups.map(group => group.key)).toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('isRuleEnabled', () => {
+  it('treats rules without the flag as enabled', () => {
+    expect(isRuleEnabled({ id: 'a' })).toBe(true);
+    expect(isRuleEnabled({ id: 'a', enabled: true })).toBe(true);
+    expect(isRuleEnabled({ id: 'a', enabled: false })).toBe(false);
+  });
+});
+
+describe('moveRule', () => {
+  const rules = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const ids = list => list.map(rule => rule.id);
+
+  it('moves a rule up or down', () => {
+    expect(ids(moveRule(rules, 'c', 0))).toEqual(['c', 'a', 'b']);
+    expect(ids(moveRule(rules, 'a', 1))).toEqual(['b', 'a', 'c']);
+    expect(ids(moveRule(rules, 'a', 2))).toEqual(['b', 'c', 'a']);
+  });
+
+  it('clamps positions outside the list', () => {
+    expect(ids(moveRule(rules, 'a', -1))).toEqual(['a', 'b', 'c']);
+    expect(ids(moveRule(rules, 'a', 10))).toEqual(['b', 'c', 'a']);
+  });
+
+  it('returns the list unchanged for an unknown ID', () => {
+    expect(moveRule(rules, 'missing', 0)).toBe(rules);
+  });
+
+  it('does not modify the input array', () => {
+    moveRule(rules, 'c', 0);
+    expect(ids(rules)).toEqual(['a', 'b', 'c']);
   });
 });